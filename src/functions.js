@@ -4,3 +4,12 @@
 require("./functions/triggerPipeline");
 require("./functions/storageBlobTrigger");
 require("./functions/batchStatusChecker");
+require("./functions/runStatus");
+require("./functions/batchJobsApi");
+require("./functions/jobMaintenance");
+require("./functions/realtimeAnalysis");
+require("./functions/presetsApi");
+require("./functions/previewAnalysis");
+require("./functions/schedulesApi");
+require("./functions/scheduleRunner");
+require("./functions/webhookDeliveries");
@@ -0,0 +1,106 @@
+/**
+ * InsightFlow - Data Factory REST Helper
+ * Starts pipeline runs and reads their status via the ARM management API
+ */
+
+const { DefaultAzureCredential } = require("@azure/identity");
+
+const SUBSCRIPTION_ID = process.env.AZURE_SUBSCRIPTION_ID;
+const RESOURCE_GROUP = process.env.AZURE_RESOURCE_GROUP;
+const API_VERSION = "2018-06-01";
+
+const TERMINAL_STATUSES = ["Succeeded", "Failed", "Cancelled"];
+
+function isConfigured(factoryName) {
+  return !!(SUBSCRIPTION_ID && RESOURCE_GROUP && factoryName);
+}
+
+async function getToken() {
+  const credential = new DefaultAzureCredential();
+  const token = await credential.getToken("https://management.azure.com/.default");
+  return token.token;
+}
+
+function factoryUrl(factoryName) {
+  return `https://management.azure.com/subscriptions/${SUBSCRIPTION_ID}/resourceGroups/${RESOURCE_GROUP}/providers/Microsoft.DataFactory/factories/${factoryName}`;
+}
+
+/**
+ * Start a pipeline run. Resolves to { ok, status, runId } or { ok: false, status, errorText }.
+ */
+async function createPipelineRun(factoryName, pipelineName, parameters) {
+  const token = await getToken();
+  const runUrl = `${factoryUrl(factoryName)}/pipelines/${pipelineName}/createRun?api-version=${API_VERSION}`;
+
+  const response = await fetch(runUrl, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(parameters),
+  });
+
+  if (!response.ok) {
+    return { ok: false, status: response.status, errorText: await response.text() };
+  }
+
+  const result = await response.json();
+  return { ok: true, status: response.status, runId: result.runId };
+}
+
+/**
+ * Read a pipeline run. Resolves to { ok, status, run } or { ok: false, status, errorText }.
+ */
+async function getPipelineRun(factoryName, runId) {
+  const token = await getToken();
+  const statusUrl = `${factoryUrl(factoryName)}/pipelineruns/${runId}?api-version=${API_VERSION}`;
+
+  const response = await fetch(statusUrl, {
+    method: "GET",
+    headers: { Authorization: `Bearer ${token}` },
+  });
+
+  if (!response.ok) {
+    return { ok: false, status: response.status, errorText: await response.text() };
+  }
+
+  return { ok: true, status: response.status, run: await response.json() };
+}
+
+/**
+ * Read the activity runs of a pipeline run. Resolves to { ok, status, activities }
+ * or { ok: false, status, errorText }.
+ */
+async function queryActivityRuns(factoryName, runId, { after, before }) {
+  const token = await getToken();
+  const queryUrl = `${factoryUrl(factoryName)}/pipelineruns/${runId}/queryActivityruns?api-version=${API_VERSION}`;
+
+  const response = await fetch(queryUrl, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ lastUpdatedAfter: after, lastUpdatedBefore: before }),
+  });
+
+  if (!response.ok) {
+    return { ok: false, status: response.status, errorText: await response.text() };
+  }
+
+  const result = await response.json();
+  return { ok: true, status: response.status, activities: result.value || [] };
+}
+
+function isTerminal(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+module.exports = {
+  isConfigured,
+  createPipelineRun,
+  getPipelineRun,
+  queryActivityRuns,
+  isTerminal,
+};
@@ -4,9 +4,24 @@
  */
 
 const { BlobServiceClient } = require("@azure/storage-blob");
+const jobIndex = require("./jobIndex");
 
 const STORAGE_CONNECTION_STRING = process.env.AZURE_STORAGE_CONNECTION_STRING || process.env.AzureWebJobsStorage;
 const CONTAINER = "batch-jobs";
+const { FOLDERS } = jobIndex;
+const MAX_UPDATE_ATTEMPTS = 5;
+// Written once every job blob written before the index existed has been indexed
+const INDEX_MARKER = "index/jobs.json";
+// Finished jobs removed by purgeJobs once older than the retention period
+const PURGEABLE_STATUSES = ["processed", "failed", "cancelled"];
+// awaiting-output/<groupId>.json: groups whose combined output is still to be written
+const GROUP_OUTPUT_PREFIX = "awaiting-output/";
+
+// Processing locks are leases on locks/<batchId>.lock, renewed while held
+const LOCK_LEASE_SECONDS = 60;
+const LOCK_RENEW_MS = 20000;
+// A write-back claim still "writing" after this long belongs to an execution that died
+const WRITE_BACK_CLAIM_TIMEOUT_MS = 15 * 60000;
 
 async function getContainer() {
   if (!STORAGE_CONNECTION_STRING) throw new Error("Storage not configured");
@@ -16,6 +31,8 @@ async function getContainer() {
   return container;
 }
 
+let indexReady = null;
+
 async function streamToString(stream) {
   return new Promise((resolve, reject) => {
     const chunks = [];
@@ -33,71 +50,337 @@ async function createBatchJob(data) {
     inputBlobPath: data.inputBlobPath,
     recordCount: data.recordCount,
     objectName: data.objectName,
+    configId: data.configId || null,
+    pipelineRunId: data.pipelineRunId || null,
     config: data.config,
+    // Deployment and parameters the batch was submitted with (modelSettings.resolveModel)
+    model: data.model || null,
+    // Projected tokens/cost at submission (costEstimator.estimateRun); usage is filled from the results
+    estimate: data.estimate || null,
+    usage: null,
     status: "pending",
     submittedAt: new Date().toISOString(),
     completedAt: null,
     outputFileId: null,
     errorMessage: null,
     retryCount: 0,
+    retryOf: data.retryOf || null,
+    followUpOf: data.followUpOf || null,
+    rootBatchId: data.rootBatchId || null,
+    recordAttempt: data.recordAttempt || 0,
+    stagedResultsPath: data.stagedResultsPath || null,
+    // custom_ids a follow-up (or a retry of one) resubmits; null for a whole dataset or chunk
+    recordIds: data.recordIds || null,
+    groupId: data.groupId || null,
+    chunkIndex: data.chunkIndex ?? null,
+    chunkRange: data.chunkRange || null,
+    ingestionReportPath: data.ingestionReportPath || null,
   };
 
-  const blobClient = container.getBlockBlobClient(`pending/${data.batchId}.json`);
+  const blobName = `pending/${data.batchId}.json`;
   const content = JSON.stringify(job, null, 2);
-  await blobClient.upload(content, Buffer.byteLength(content), {
+  await container.getBlockBlobClient(blobName).upload(content, Buffer.byteLength(content), {
     blobHTTPHeaders: { blobContentType: "application/json" },
+    ...jobIndex.uploadOptions(job),
   });
+  await jobIndex.record(blobName, job);
 
   return job;
 }
 
-async function getPendingJobs() {
+/**
+ * A job blob with its ETag, or null once it has been moved or deleted.
+ */
+async function readJobBlob(container, blobName) {
+  try {
+    const response = await container.getBlockBlobClient(blobName).download(0);
+    return { job: JSON.parse(await streamToString(response.readableStreamBody)), etag: response.etag };
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Index queries, after indexing every job on first use: jobs written before
+ * the index existed carry no tags and would never be found otherwise.
+ */
+async function queryIndex(container, filter, options) {
+  if (!indexReady) {
+    indexReady = ensureIndexed(container).catch((err) => {
+      indexReady = null;
+      throw err;
+    });
+  }
+  await indexReady;
+  return jobIndex.query(container, filter, options);
+}
+
+async function ensureIndexed(container) {
+  // The in-memory index is built from the job blobs themselves
+  if (jobIndex.BACKEND === "memory") return;
+
+  const marker = container.getBlockBlobClient(INDEX_MARKER);
+  if (await marker.exists()) return;
+
+  const indexed = await reindexJobs();
+  const content = JSON.stringify({ backend: jobIndex.BACKEND, indexed, indexedAt: new Date().toISOString() }, null, 2);
+  await marker.upload(content, Buffer.byteLength(content), {
+    blobHTTPHeaders: { blobContentType: "application/json" },
+  });
+}
+
+/**
+ * The batchIds of every pending job, from the index; the jobs themselves
+ * are only read once their batch has finished (see batchStatusChecker).
+ */
+async function getPendingBatchIds() {
+  const container = await getContainer();
+  const batchIds = [];
+
+  let continuationToken = null;
+  do {
+    const page = await queryIndex(container, { status: "pending" }, { pageSize: 500, continuationToken });
+    batchIds.push(...page.blobNames.map((name) => name.slice("pending/".length, -".json".length)));
+    continuationToken = page.continuationToken;
+  } while (continuationToken);
+
+  return batchIds;
+}
+
+/**
+ * Reads the status folders one at a time in FOLDERS order, so a pending job
+ * (the status checker's case) costs one read. Jobs only move to later folders
+ * and are written there before being deleted, so a move never hides one.
+ */
+async function getJob(batchId) {
+  const container = await getContainer();
+  for (const folder of FOLDERS) {
+    const found = await readJobBlob(container, `${folder}/${batchId}.json`);
+    if (found) return found.job;
+  }
+  return null;
+}
+
+/**
+ * List jobs a page at a time, filtered by status, objectName, configId and a
+ * submittedAt range (from inclusive, to exclusive) through the job index.
+ * Index entries lag behind moves, so each job is checked again once read and
+ * pages may be short; the continuation token comes from the index backend.
+ */
+async function listJobs({ pageSize = 50, continuationToken, ...query } = {}) {
   const container = await getContainer();
+  const filter = jobIndex.normalizeFilter(query);
+  const page = await queryIndex(container, filter, { pageSize, continuationToken });
+
   const jobs = [];
+  for (const blobName of page.blobNames) {
+    const found = await readJobBlob(container, blobName);
+    if (found && jobIndex.matches(found.job, filter)) jobs.push(found.job);
+  }
 
-  for await (const blob of container.listBlobsFlat({ prefix: "pending/" })) {
-    const blobClient = container.getBlockBlobClient(blob.name);
-    const response = await blobClient.download(0);
-    const content = await streamToString(response.readableStreamBody);
-    jobs.push(JSON.parse(content));
+  return { jobs, continuationToken: page.continuationToken };
+}
+
+/**
+ * Delete processed, failed and cancelled jobs submitted before `before`, with
+ * their lock and staged results. The write-back claim, group and ingestion
+ * report a job shares with others go once no remaining job refers to them.
+ * A job changed since it was read (e.g. just retried) is left for the next run.
+ */
+async function purgeJobs(before) {
+  const container = await getContainer();
+  const purged = [];
+
+  for (const status of PURGEABLE_STATUSES) {
+    const filter = jobIndex.normalizeFilter({ status, to: before });
+    let continuationToken = null;
+    do {
+      const page = await queryIndex(container, filter, { pageSize: 100, continuationToken });
+      for (const blobName of page.blobNames) {
+        const found = await readJobBlob(container, blobName);
+        if (!found || !jobIndex.matches(found.job, filter)) continue;
+        try {
+          await container.getBlockBlobClient(blobName).delete({ conditions: { ifMatch: found.etag } });
+          await jobIndex.remove(blobName);
+        } catch (err) {
+          if (err.statusCode !== 404 && err.statusCode !== 412) throw err;
+          continue;
+        }
+
+        const { job } = found;
+        for (const name of [`locks/${job.batchId}.lock`, job.stagedResultsPath, job.memberResultsPath].filter(Boolean)) {
+          // A lock still leased by an execution can't be deleted and is left
+          await container
+            .getBlockBlobClient(name)
+            .deleteIfExists()
+            .catch((err) => {
+              if (err.statusCode !== 412) throw err;
+            });
+        }
+        purged.push({ configId: job.configId, retriedAs: job.retriedAs || null, shared: sharedBlobNames(job) });
+      }
+      continuationToken = page.continuationToken;
+    } while (continuationToken);
   }
 
-  return jobs;
+  await deleteUnsharedBlobs(container, purged);
+  return purged.length;
 }
 
-async function getJob(batchId) {
+// Blobs a job may share with the other jobs of its run or its retry
+function sharedBlobNames(job) {
+  const names = [`writebacks/${job.groupId || job.rootBatchId || job.batchId}.json`];
+  if (job.groupId) names.push(`groups/${job.groupId}.json`, `${GROUP_OUTPUT_PREFIX}${job.groupId}.json`);
+  if (job.ingestionReportPath) names.push(job.ingestionReportPath.replace(/^batch-jobs\//, ""));
+  return names;
+}
+
+/**
+ * Delete the shared blobs of purged jobs that no remaining job refers to. The
+ * jobs sharing them belong to the same run, found through the index by
+ * configId; a job without one only shares with its retry.
+ */
+async function deleteUnsharedBlobs(container, purged) {
+  const unshared = new Set();
+  const byConfig = new Map(); // configId -> shared blob names of its purged jobs
+
+  for (const { configId, retriedAs, shared } of purged) {
+    if (configId) {
+      if (!byConfig.has(configId)) byConfig.set(configId, new Set());
+      shared.forEach((name) => byConfig.get(configId).add(name));
+    } else if (!retriedAs || !(await getJob(retriedAs))) {
+      shared.forEach((name) => unshared.add(name));
+    }
+  }
+
+  for (const [configId, names] of byConfig) {
+    const filter = jobIndex.normalizeFilter({ configId });
+    let continuationToken = null;
+    do {
+      const page = await queryIndex(container, filter, { pageSize: 100, continuationToken });
+      for (const blobName of page.blobNames) {
+        const found = await readJobBlob(container, blobName);
+        if (found?.job.configId === configId) sharedBlobNames(found.job).forEach((name) => names.delete(name));
+      }
+      continuationToken = page.continuationToken;
+    } while (continuationToken);
+    names.forEach((name) => unshared.add(name));
+  }
+
+  for (const name of unshared) {
+    await container.getBlockBlobClient(name).deleteIfExists();
+  }
+}
+
+/**
+ * Index every job blob in the status folders, e.g. those written before the
+ * index existed. Returns the number of jobs indexed.
+ */
+async function reindexJobs() {
   const container = await getContainer();
+  let indexed = 0;
 
-  for (const folder of ["pending", "completed", "processed", "failed"]) {
-    const blobClient = container.getBlockBlobClient(`${folder}/${batchId}.json`);
-    if (await blobClient.exists()) {
-      const response = await blobClient.download(0);
-      const content = await streamToString(response.readableStreamBody);
-      return JSON.parse(content);
+  for (const folder of FOLDERS) {
+    for await (const blob of container.listBlobsFlat({ prefix: `${folder}/` })) {
+      const found = await readJobBlob(container, blob.name);
+      if (!found) continue;
+      await jobIndex.reindex(container.getBlockBlobClient(blob.name), found.job);
+      indexed++;
     }
   }
 
-  return null;
+  return indexed;
+}
+
+/**
+ * ETag-guarded update of a job in place. `updates` is an object to merge, or a
+ * function of the current job returning one (it may run more than once).
+ */
+async function updateJob(batchId, folder, updates) {
+  const container = await getContainer();
+  const blobClient = container.getBlockBlobClient(`${folder}/${batchId}.json`);
+
+  for (let attempt = 1; ; attempt++) {
+    let response;
+    try {
+      response = await blobClient.download(0);
+    } catch (err) {
+      if (err.statusCode === 404) throw jobStateConflict(batchId, `no longer in ${folder}/`);
+      throw err;
+    }
+    const current = JSON.parse(await streamToString(response.readableStreamBody));
+    const job = { ...current, ...(typeof updates === "function" ? updates(current) : updates) };
+
+    const updated = JSON.stringify(job, null, 2);
+    try {
+      await blobClient.upload(updated, Buffer.byteLength(updated), {
+        blobHTTPHeaders: { blobContentType: "application/json" },
+        conditions: { ifMatch: response.etag },
+        ...jobIndex.uploadOptions(job),
+      });
+      await jobIndex.record(blobClient.name, job);
+      return job;
+    } catch (err) {
+      if (err.statusCode !== 412 || attempt >= MAX_UPDATE_ATTEMPTS) throw err;
+    }
+  }
 }
 
+/**
+ * Move a job between status folders. The copy is only created if the target
+ * doesn't exist and the source is only deleted if unchanged since it was read,
+ * so of two concurrent moves of the same job exactly one succeeds; the other
+ * throws an error with code JOB_STATE_CONFLICT.
+ */
 async function moveJob(batchId, fromFolder, toFolder, updates = {}) {
   const container = await getContainer();
   const fromBlob = container.getBlockBlobClient(`${fromFolder}/${batchId}.json`);
+  const toBlob = container.getBlockBlobClient(`${toFolder}/${batchId}.json`);
 
-  const response = await fromBlob.download(0);
+  let response;
+  try {
+    response = await fromBlob.download(0);
+  } catch (err) {
+    if (err.statusCode === 404) throw jobStateConflict(batchId, `no longer in ${fromFolder}/`);
+    throw err;
+  }
   const content = await streamToString(response.readableStreamBody);
   const job = { ...JSON.parse(content), ...updates };
 
-  const toBlob = container.getBlockBlobClient(`${toFolder}/${batchId}.json`);
   const updated = JSON.stringify(job, null, 2);
-  await toBlob.upload(updated, Buffer.byteLength(updated), {
-    blobHTTPHeaders: { blobContentType: "application/json" },
-  });
+  try {
+    await toBlob.upload(updated, Buffer.byteLength(updated), {
+      blobHTTPHeaders: { blobContentType: "application/json" },
+      conditions: { ifNoneMatch: "*" },
+      ...jobIndex.uploadOptions(job),
+    });
+  } catch (err) {
+    if (err.statusCode === 409 || err.statusCode === 412) throw jobStateConflict(batchId, `already in ${toFolder}/`);
+    throw err;
+  }
 
-  await fromBlob.deleteIfExists();
+  try {
+    await fromBlob.delete({ conditions: { ifMatch: response.etag } });
+  } catch (err) {
+    // Changed or moved by someone else since it was read: undo the copy
+    await toBlob.deleteIfExists();
+    if (err.statusCode === 404 || err.statusCode === 412) {
+      throw jobStateConflict(batchId, `changed in ${fromFolder}/ while moving`);
+    }
+    throw err;
+  }
+  await jobIndex.remove(fromBlob.name);
+  await jobIndex.record(toBlob.name, job);
   return job;
 }
 
+function jobStateConflict(batchId, reason) {
+  const err = new Error(`Job ${batchId} ${reason}`);
+  err.code = "JOB_STATE_CONFLICT";
+  return err;
+}
+
 async function markCompleted(batchId, outputFileId, errorFileId = null) {
   return moveJob(batchId, "pending", "completed", {
     status: "completed",
@@ -107,14 +390,33 @@ async function markCompleted(batchId, outputFileId, errorFileId = null) {
   });
 }
 
-async function markProcessed(batchId, outputBlobPath) {
+async function markProcessed(batchId, outputBlobPath, updates = {}) {
   return moveJob(batchId, "completed", "processed", {
+    ...updates,
     status: "processed",
     outputBlobPath,
     processedAt: new Date().toISOString(),
   });
 }
 
+/**
+ * Straight from pending/ to processed/ in one move, for a job whose results
+ * have been handled: a failure can't leave it in completed/, which nothing
+ * checks again.
+ */
+async function markFinished(batchId, { outputFileId, errorFileId = null }, outputBlobPath, updates = {}) {
+  const finishedAt = new Date().toISOString();
+  return moveJob(batchId, "pending", "processed", {
+    ...updates,
+    status: "processed",
+    outputFileId,
+    errorFileId,
+    outputBlobPath,
+    completedAt: finishedAt,
+    processedAt: finishedAt,
+  });
+}
+
 async function markFailed(batchId, errorMessage) {
   return moveJob(batchId, "pending", "failed", {
     status: "failed",
@@ -123,30 +425,477 @@ async function markFailed(batchId, errorMessage) {
   });
 }
 
+async function markCancelled(batchId, reason = "Cancelled by user") {
+  return moveJob(batchId, "pending", "failed", {
+    status: "cancelled",
+    errorMessage: reason,
+    completedAt: new Date().toISOString(),
+  });
+}
+
+async function markRetried(batchId, newBatchId) {
+  return updateJob(batchId, "failed", {
+    retriedAs: newBatchId,
+    retriedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Remember a submitted follow-up batch on its pending parent before the
+ * follow-up job is created, so a retry of the parent reuses it.
+ */
+async function recordFollowUp(batchId, followUp) {
+  return updateJob(batchId, "pending", { followUp });
+}
+
+/**
+ * The custom_ids a follow-up job resubmitted. Follow-ups created before they
+ * were kept on the job retried their parent's failedRecordIds.
+ */
+async function getJobRecordIds(job) {
+  if (job.recordIds) return job.recordIds;
+  const parent = job.followUpOf ? await getJob(job.followUpOf) : null;
+  return parent?.failedRecordIds || null;
+}
+
 async function incrementRetry(batchId) {
+  return updateJob(batchId, "pending", (job) => ({ retryCount: (job.retryCount || 0) + 1 }));
+}
+
+/**
+ * Delete the pending jobs (and group) of a submission that failed part way,
+ * after its batches were cancelled: the retried submission replaces them.
+ */
+async function discardJobs(batchIds, groupId = null) {
+  const container = await getContainer();
+  for (const batchId of batchIds) {
+    const blobName = `pending/${batchId}.json`;
+    await container.getBlockBlobClient(blobName).deleteIfExists();
+    await jobIndex.remove(blobName);
+  }
+  if (groupId) {
+    await container.getBlockBlobClient(`groups/${groupId}.json`).deleteIfExists();
+    await clearGroupAwaitingOutput(groupId);
+  }
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* PROCESSING LOCKS                                                */
+/* One execution at a time works on a job; overlapping timer runs  */
+/* and scaled-out instances skip jobs another one holds            */
+/* ─────────────────────────────────────────────────────────────── */
+/**
+ * Resolves to a lock with release(), or null when another execution holds it.
+ * The lease is renewed until released, and expires by itself if the holder dies.
+ */
+async function acquireJobLock(batchId) {
   const container = await getContainer();
-  const blobClient = container.getBlockBlobClient(`pending/${batchId}.json`);
+  const blobClient = container.getBlockBlobClient(`locks/${batchId}.lock`);
+  try {
+    await blobClient.upload("", 0, { conditions: { ifNoneMatch: "*" } });
+  } catch (err) {
+    if (err.statusCode !== 409 && err.statusCode !== 412) throw err;
+  }
+
+  const leaseClient = blobClient.getBlobLeaseClient();
+  try {
+    await leaseClient.acquireLease(LOCK_LEASE_SECONDS);
+  } catch (err) {
+    // 409: leased by another execution; 404: just released and deleted by it
+    if (err.statusCode === 409 || err.statusCode === 404) return null;
+    throw err;
+  }
+
+  const renewal = setInterval(() => {
+    leaseClient.renewLease().catch(() => clearInterval(renewal));
+  }, LOCK_RENEW_MS);
+  renewal.unref?.();
+
+  return {
+    batchId,
+    async release() {
+      clearInterval(renewal);
+      // Deleting the blob ends the lease
+      await blobClient.delete({ conditions: { leaseId: leaseClient.leaseId } }).catch(() => leaseClient.releaseLease());
+    },
+  };
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* WRITE-BACK CLAIMS                                               */
+/* writebacks/<key>.json is claimed per output (a standalone job   */
+/* chain or a group) before anything is written: whoever holds it  */
+/* writes the output and triggers the write-back                   */
+/* ─────────────────────────────────────────────────────────────── */
+/**
+ * Resolves to { claimed: true, record } for the caller that may write the
+ * output, or { claimed: false, record } with the claim in its way. Only a
+ * write-back that was started ("triggering", "triggered") or a live "writing"
+ * claim blocks; a stale or not_triggered claim is taken over, conditional on
+ * its ETag so only one caller gets it.
+ */
+async function claimWriteBack(key, data) {
+  const container = await getContainer();
+  const blobClient = container.getBlockBlobClient(`writebacks/${key}.json`);
+
+  for (let attempt = 1; ; attempt++) {
+    let existing = null;
+    try {
+      const response = await blobClient.download(0);
+      existing = { record: JSON.parse(await streamToString(response.readableStreamBody)), etag: response.etag };
+    } catch (err) {
+      if (err.statusCode !== 404) throw err;
+    }
+    if (existing && !isRetakeable(existing.record)) return { claimed: false, record: existing.record };
+
+    const record = {
+      key,
+      ...data,
+      status: "writing",
+      claimedAt: new Date().toISOString(),
+      claims: existing ? (existing.record.claims || 1) + 1 : 1,
+    };
+    const content = JSON.stringify(record, null, 2);
+    try {
+      await blobClient.upload(content, Buffer.byteLength(content), {
+        blobHTTPHeaders: { blobContentType: "application/json" },
+        conditions: existing ? { ifMatch: existing.etag } : { ifNoneMatch: "*" },
+      });
+      return { claimed: true, record };
+    } catch (err) {
+      if ((err.statusCode !== 409 && err.statusCode !== 412) || attempt >= 5) throw err;
+    }
+  }
+}
+
+function isRetakeable(record) {
+  if (record.status === "not_triggered") return true;
+  return record.status === "writing" && Date.now() - new Date(record.claimedAt).getTime() > WRITE_BACK_CLAIM_TIMEOUT_MS;
+}
+
+async function updateWriteBack(key, updates) {
+  const container = await getContainer();
+  const blobClient = container.getBlockBlobClient(`writebacks/${key}.json`);
+
+  const response = await blobClient.download(0);
+  const record = { ...JSON.parse(await streamToString(response.readableStreamBody)), ...updates, updatedAt: new Date().toISOString() };
+  const content = JSON.stringify(record, null, 2);
+  await blobClient.upload(content, Buffer.byteLength(content), {
+    blobHTTPHeaders: { blobContentType: "application/json" },
+    conditions: { ifMatch: response.etag },
+  });
+  return record;
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* JOB GROUPS                                                      */
+/* A dataset split into several batches is tracked as one parent   */
+/* group; members are keyed by their first (root) batchId          */
+/* ─────────────────────────────────────────────────────────────── */
+async function createJobGroup(data) {
+  const container = await getContainer();
+  const group = {
+    groupId: data.groupId,
+    inputBlobPath: data.inputBlobPath,
+    recordCount: data.recordCount,
+    objectName: data.objectName,
+    configId: data.configId || null,
+    pipelineRunId: data.pipelineRunId || null,
+    config: data.config,
+    model: data.model || null,
+    estimate: data.estimate || null,
+    status: "in_progress",
+    ingestionReportPath: data.ingestionReportPath || null,
+    members: Object.fromEntries(data.members.map((m) => [m.batchId, { ...m, status: "pending" }])),
+    createdAt: new Date().toISOString(),
+    completedAt: null,
+    outputBlobPath: null,
+  };
+
+  const blobClient = container.getBlockBlobClient(`groups/${data.groupId}.json`);
+  const content = JSON.stringify(group, null, 2);
+  await blobClient.upload(content, Buffer.byteLength(content), {
+    blobHTTPHeaders: { blobContentType: "application/json" },
+  });
+
+  const marker = JSON.stringify({ groupId: data.groupId, createdAt: group.createdAt });
+  await container.getBlockBlobClient(`${GROUP_OUTPUT_PREFIX}${data.groupId}.json`).upload(marker, Buffer.byteLength(marker), {
+    blobHTTPHeaders: { blobContentType: "application/json" },
+  });
+
+  return group;
+}
+
+/**
+ * Groups whose combined output hasn't been written yet: still running, or
+ * finished by a member whose execution failed before writing it.
+ */
+async function getGroupsAwaitingOutput() {
+  const container = await getContainer();
+  const groupIds = [];
+  for await (const blob of container.listBlobsFlat({ prefix: GROUP_OUTPUT_PREFIX })) {
+    groupIds.push(blob.name.slice(GROUP_OUTPUT_PREFIX.length, -".json".length));
+  }
+  return groupIds;
+}
+
+async function clearGroupAwaitingOutput(groupId) {
+  const container = await getContainer();
+  await container.getBlockBlobClient(`${GROUP_OUTPUT_PREFIX}${groupId}.json`).deleteIfExists();
+}
+
+async function getJobGroup(groupId) {
+  const container = await getContainer();
+  const blobClient = container.getBlockBlobClient(`groups/${groupId}.json`);
+  if (!(await blobClient.exists())) return null;
+
+  const response = await blobClient.download(0);
+  return JSON.parse(await streamToString(response.readableStreamBody));
+}
+
+/**
+ * ETag-guarded update of a group. Members finish concurrently, so the
+ * caller's mutate function may run more than once.
+ */
+async function updateJobGroup(groupId, mutate) {
+  const container = await getContainer();
+  const blobClient = container.getBlockBlobClient(`groups/${groupId}.json`);
+
+  for (let attempt = 1; ; attempt++) {
+    const response = await blobClient.download(0);
+    const group = JSON.parse(await streamToString(response.readableStreamBody));
+    mutate(group);
+
+    const updated = JSON.stringify(group, null, 2);
+    try {
+      await blobClient.upload(updated, Buffer.byteLength(updated), {
+        blobHTTPHeaders: { blobContentType: "application/json" },
+        conditions: { ifMatch: response.etag },
+      });
+      return group;
+    } catch (err) {
+      if (err.statusCode !== 412 || attempt >= 5) throw err;
+    }
+  }
+}
+
+/**
+ * Record a member's final state. `completedNow` is true for exactly one
+ * caller: the one whose update finished the last member.
+ */
+async function completeGroupMember(groupId, memberId, updates) {
+  let completedNow = false;
+
+  const group = await updateJobGroup(groupId, (g) => {
+    completedNow = false;
+    g.members[memberId] = { ...g.members[memberId], ...updates, finishedAt: new Date().toISOString() };
+
+    const done = Object.values(g.members).every((m) => m.status !== "pending");
+    if (done && g.status === "in_progress") {
+      g.status = Object.values(g.members).some((m) => m.status === "completed") ? "completed" : "failed";
+      g.completedAt = new Date().toISOString();
+      completedNow = true;
+    }
+  });
+
+  return { group, completedNow };
+}
+
+/**
+ * Put a finished member back to pending for its retry `batchId`, as long as the
+ * group is still waiting on others. Returns false once the group has completed
+ * (or is gone).
+ */
+async function reopenGroupMember(groupId, memberId, batchId) {
+  let reopened = false;
+
+  try {
+    await updateJobGroup(groupId, (g) => {
+      reopened = g.status === "in_progress" && Boolean(g.members[memberId]);
+      if (reopened) {
+        g.members[memberId] = { ...g.members[memberId], status: "pending", retriedAs: batchId, finishedAt: null };
+      }
+    });
+  } catch (err) {
+    // Purged with its jobs
+    if (err.statusCode !== 404) throw err;
+  }
+
+  return reopened;
+}
+
+/* Results carried between a batch and its follow-up batches (JSONL of batch result lines) */
+async function saveStagedResults(rootBatchId, results) {
+  const container = await getContainer();
+  const blobName = `staging/${rootBatchId}.jsonl`;
+  const content = results.map((r) => JSON.stringify(r)).join("\n");
+  await container.getBlockBlobClient(blobName).upload(content, Buffer.byteLength(content), {
+    blobHTTPHeaders: { blobContentType: "application/x-ndjson" },
+  });
+  return blobName;
+}
+
+async function loadStagedResults(blobName) {
+  const container = await getContainer();
+  const blobClient = container.getBlockBlobClient(blobName);
+  if (!(await blobClient.exists())) return [];
 
   const response = await blobClient.download(0);
   const content = await streamToString(response.readableStreamBody);
-  const job = JSON.parse(content);
-  job.retryCount = (job.retryCount || 0) + 1;
+  return content.split("\n").filter(Boolean).map((line) => JSON.parse(line));
+}
 
-  const updated = JSON.stringify(job, null, 2);
-  await blobClient.upload(updated, Buffer.byteLength(updated), {
+async function deleteStagedResults(blobName) {
+  const container = await getContainer();
+  await container.getBlockBlobClient(blobName).deleteIfExists();
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* INGESTION REPORTS                                               */
+/* One per dataset blob: how many rows parsed and which were       */
+/* rejected, referenced from its jobs as ingestionReportPath       */
+/* ─────────────────────────────────────────────────────────────── */
+async function saveIngestionReport(datasetName, report) {
+  const container = await getContainer();
+  const blobName = `ingestion/${datasetName}.json`;
+  const content = JSON.stringify(report, null, 2);
+  await container.getBlockBlobClient(blobName).upload(content, Buffer.byteLength(content), {
     blobHTTPHeaders: { blobContentType: "application/json" },
-    overwrite: true,
   });
+  return blobName;
+}
 
-  return job;
+async function getIngestionReport(blobName) {
+  const container = await getContainer();
+  const blobClient = container.getBlockBlobClient(blobName);
+  if (!(await blobClient.exists())) return null;
+
+  const response = await blobClient.download(0);
+  return JSON.parse(await streamToString(response.readableStreamBody));
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* DAILY SPEND                                                     */
+/* spend/<YYYY-MM-DD>.json: projected cost of what was submitted   */
+/* that day and actual cost of the results processed that day      */
+/* ─────────────────────────────────────────────────────────────── */
+async function getSpend(date) {
+  const container = await getContainer();
+  const blobClient = container.getBlockBlobClient(`spend/${date}.json`);
+  if (!(await blobClient.exists())) return null;
+
+  const response = await blobClient.download(0);
+  return JSON.parse(await streamToString(response.readableStreamBody));
+}
+
+/**
+ * Set one submission's (`key`: its dataset or batchId) projected or actual cost
+ * in a day's totals. Recording the same key again replaces its amounts, so a
+ * retried trigger or a job processed twice is only counted once.
+ */
+async function recordSpend(date, key, amounts) {
+  return updateSpend(date, (spend) => {
+    const entry = { projectedCost: 0, actualCost: 0, ...spend.entries[key] };
+    if (amounts.projectedCost !== undefined) entry.projectedCost = amounts.projectedCost;
+    if (amounts.actualCost !== undefined) entry.actualCost = amounts.actualCost;
+    spend.entries[key] = entry;
+  });
+}
+
+/**
+ * Reserve a submission's projected cost under `key` if `check` allows it, in
+ * the same update that reads the day's spend: two datasets checked at once
+ * can't both fit in what is left of a budget. `check` gets the day's spend
+ * without `key`'s own entry and returns a costEstimator.checkBudget() result;
+ * nothing is reserved when it is exceeded. Returns that result.
+ */
+async function reserveSpend(date, key, projectedCost, check) {
+  let budget;
+  await updateSpend(date, (spend) => {
+    const own = spend.entries[key]?.projectedCost || 0;
+    budget = check({ ...spend, projectedCost: spend.projectedCost - own });
+    if (budget.exceeded || !projectedCost) return false;
+    spend.entries[key] = { projectedCost: 0, actualCost: 0, ...spend.entries[key], projectedCost };
+  });
+  return budget;
+}
+
+/**
+ * ETag-guarded update of a day's spend: many batches finish at once. `mutate`
+ * changes the entries (it may run more than once) or returns false to leave
+ * the day unchanged; the totals are recomputed from the entries.
+ */
+async function updateSpend(date, mutate) {
+  const container = await getContainer();
+  const blobClient = container.getBlockBlobClient(`spend/${date}.json`);
+
+  for (let attempt = 1; ; attempt++) {
+    let spend = { date, projectedCost: 0, actualCost: 0, submissions: 0, entries: {} };
+    let conditions = { ifNoneMatch: "*" };
+    if (await blobClient.exists()) {
+      const response = await blobClient.download(0);
+      spend = JSON.parse(await streamToString(response.readableStreamBody));
+      conditions = { ifMatch: response.etag };
+    }
+    // Totals recorded before entries were kept
+    if (!spend.entries) {
+      spend.entries = { legacy: { projectedCost: spend.projectedCost, actualCost: spend.actualCost, submissions: spend.submissions } };
+    }
+
+    if (mutate(spend) === false) return spend;
+
+    const entries = Object.values(spend.entries);
+    spend.projectedCost = Math.round(entries.reduce((sum, e) => sum + e.projectedCost, 0) * 1e6) / 1e6;
+    spend.actualCost = Math.round(entries.reduce((sum, e) => sum + e.actualCost, 0) * 1e6) / 1e6;
+    spend.submissions = entries.reduce((sum, e) => sum + (e.submissions ?? (e.projectedCost > 0 ? 1 : 0)), 0);
+    spend.updatedAt = new Date().toISOString();
+
+    const content = JSON.stringify(spend, null, 2);
+    try {
+      await blobClient.upload(content, Buffer.byteLength(content), {
+        blobHTTPHeaders: { blobContentType: "application/json" },
+        conditions,
+      });
+      return spend;
+    } catch (err) {
+      if ((err.statusCode !== 412 && err.statusCode !== 409) || attempt >= 5) throw err;
+    }
+  }
 }
 
 module.exports = {
   createBatchJob,
-  getPendingJobs,
+  getPendingBatchIds,
   getJob,
+  listJobs,
+  purgeJobs,
+  reindexJobs,
   markCompleted,
   markProcessed,
+  markFinished,
   markFailed,
+  markCancelled,
+  markRetried,
+  recordFollowUp,
+  getJobRecordIds,
   incrementRetry,
+  discardJobs,
+  acquireJobLock,
+  claimWriteBack,
+  updateWriteBack,
+  createJobGroup,
+  getJobGroup,
+  getGroupsAwaitingOutput,
+  clearGroupAwaitingOutput,
+  updateJobGroup,
+  completeGroupMember,
+  reopenGroupMember,
+  saveStagedResults,
+  loadStagedResults,
+  deleteStagedResults,
+  saveIngestionReport,
+  getIngestionReport,
+  getSpend,
+  recordSpend,
+  reserveSpend,
 };
@@ -0,0 +1,321 @@
+/**
+ * InsightFlow - Batch Jobs API
+ * HTTP triggers to list, inspect, cancel and retry batch jobs
+ */
+
+const { app } = require("@azure/functions");
+const batchJobStorage = require("./batchJobStorage");
+const batchSubmitter = require("./batchSubmitter");
+const costEstimator = require("./costEstimator");
+const { parseDataset, readDatasetBlob } = require("./datasetParser");
+const datasetSubmitter = require("./datasetSubmitter");
+const { preflight, respond } = require("./httpResponses");
+const jobIndex = require("./jobIndex");
+const modelSettings = require("./modelSettings");
+const openAIClientFactory = require("./openAIClient");
+const { recordGroupMember, finishGroup } = require("./resultWriter");
+const runTracker = require("./runTracker");
+const { recordIdField } = require("./writeBackTarget");
+
+const MAX_PAGE_SIZE = 200;
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HTTP TRIGGER - List Batch Jobs                                  */
+/* ─────────────────────────────────────────────────────────────── */
+app.http("listBatchJobs", {
+  methods: ["GET", "OPTIONS"],
+  authLevel: "function",
+  handler: async (request, context) => {
+    if (request.method === "OPTIONS") return preflight("GET");
+
+    const status = request.query.get("status") || undefined;
+    const objectName = request.query.get("object") || undefined;
+    const configId = request.query.get("configId") || undefined;
+    const from = request.query.get("from") || undefined;
+    const to = request.query.get("to") || undefined;
+    const pageSize = Math.min(parseInt(request.query.get("pageSize"), 10) || 50, MAX_PAGE_SIZE);
+    const continuationToken = request.query.get("continuationToken") || undefined;
+
+    if (status && !jobIndex.STATUSES.includes(status)) {
+      return respond(400, { success: false, error: `Unknown status: ${status}` });
+    }
+    for (const [name, value] of [["from", from], ["to", to]]) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return respond(400, { success: false, error: `${name} must be an ISO date` });
+      }
+    }
+
+    try {
+      const page = await batchJobStorage.listJobs({ status, objectName, configId, from, to, pageSize, continuationToken });
+      return respond(200, {
+        success: true,
+        count: page.jobs.length,
+        jobs: page.jobs.map(summarizeJob),
+        continuationToken: page.continuationToken,
+      });
+    } catch (error) {
+      context.error("Error:", error);
+      return respond(500, { success: false, error: error.message });
+    }
+  },
+});
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HTTP TRIGGER - Get Batch Job                                    */
+/* ─────────────────────────────────────────────────────────────── */
+app.http("getBatchJob", {
+  methods: ["GET", "OPTIONS"],
+  authLevel: "function",
+  handler: async (request, context) => {
+    if (request.method === "OPTIONS") return preflight("GET");
+
+    const batchId = request.query.get("batchId");
+    if (!batchId) return respond(400, { success: false, error: "batchId parameter required" });
+
+    try {
+      const job = await batchJobStorage.getJob(batchId);
+      if (!job) return respond(404, { success: false, error: "Job not found" });
+
+      const ingestion = job.ingestionReportPath
+        ? await batchJobStorage.getIngestionReport(job.ingestionReportPath.replace(/^batch-jobs\//, ""))
+        : null;
+      return respond(200, { success: true, job, ingestion });
+    } catch (error) {
+      context.error("Error:", error);
+      return respond(500, { success: false, error: error.message });
+    }
+  },
+});
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HTTP TRIGGER - Cancel Batch Job                                 */
+/* ─────────────────────────────────────────────────────────────── */
+app.http("cancelBatchJob", {
+  methods: ["POST", "OPTIONS"],
+  authLevel: "function",
+  handler: async (request, context) => {
+    if (request.method === "OPTIONS") return preflight("POST");
+
+    const batchId = request.query.get("batchId");
+    if (!batchId) return respond(400, { success: false, error: "batchId parameter required" });
+
+    try {
+      const job = await batchJobStorage.getJob(batchId);
+      if (!job) return respond(404, { success: false, error: "Job not found" });
+      if (job.status !== "pending") {
+        return respond(409, { success: false, error: `Job is ${job.status}, only pending jobs can be cancelled` });
+      }
+
+      // The status checker may be finishing this job right now
+      const lock = await batchJobStorage.acquireJobLock(batchId);
+      if (!lock) return respond(409, { success: false, error: "Job is being processed, try again shortly" });
+
+      let batch;
+      let cancelled;
+      try {
+        const current = await batchJobStorage.getJob(batchId);
+        if (current?.status !== "pending") {
+          return respond(409, { success: false, error: `Job is ${current?.status}, only pending jobs can be cancelled` });
+        }
+
+        const openAIClient = openAIClientFactory.createClient();
+        batch = await openAIClient.batches.cancel(batchId);
+        context.log(`Batch ${batchId} cancel requested: ${batch.status}`);
+
+        // The rest of a split dataset is still written back once its other batches finish
+        const member = job.groupId ? await recordGroupMember(job, { status: "cancelled" }, context) : null;
+        cancelled = await batchJobStorage.markCancelled(batchId);
+
+        try {
+          const run = await runTracker.recordBatch(job.configId, batchId, {
+            status: "cancelled",
+            completedAt: cancelled.completedAt,
+          });
+          if (run?.stages.batch.status === "failed") {
+            await runTracker.failRun(job.configId, "batch", "Batch cancelled");
+          }
+        } catch (err) {
+          context.warn(`Failed to update run ${job.configId}: ${err.message}`);
+        }
+
+        if (member?.completedNow) await finishGroup(job.groupId, context);
+      } finally {
+        await lock.release().catch((err) => context.warn(`Failed to release lock on ${batchId}: ${err.message}`));
+      }
+
+      return respond(200, { success: true, job: summarizeJob(cancelled), batchStatus: batch.status });
+    } catch (error) {
+      context.error("Error:", error);
+      return respond(500, { success: false, error: error.message });
+    }
+  },
+});
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HTTP TRIGGER - Retry Batch Job                                  */
+/* Resubmits a failed/cancelled job from its stored dataset blob   */
+/* and config; the new job links back via retryOf                  */
+/* ─────────────────────────────────────────────────────────────── */
+app.http("retryBatchJob", {
+  methods: ["POST", "OPTIONS"],
+  authLevel: "function",
+  handler: async (request, context) => {
+    if (request.method === "OPTIONS") return preflight("POST");
+
+    const batchId = request.query.get("batchId");
+    if (!batchId) return respond(400, { success: false, error: "batchId parameter required" });
+
+    try {
+      const job = await batchJobStorage.getJob(batchId);
+      if (!job) return respond(404, { success: false, error: "Job not found" });
+      if (job.status !== "failed" && job.status !== "cancelled") {
+        return respond(409, { success: false, error: `Job is ${job.status}, only failed or cancelled jobs can be retried` });
+      }
+      if (job.retriedAs) {
+        return respond(409, { success: false, error: `Job was already retried as ${job.retriedAs}` });
+      }
+
+      // Two concurrent retries would each submit a paid batch: only the lock holder may
+      const lock = await batchJobStorage.acquireJobLock(batchId);
+      if (!lock) return respond(409, { success: false, error: "Job is being retried, try again shortly" });
+
+      let newJob;
+      try {
+        const current = await batchJobStorage.getJob(batchId);
+        if (current?.retriedAs) {
+          return respond(409, { success: false, error: `Job was already retried as ${current.retriedAs}` });
+        }
+
+        const retry = await prepareRetry(job);
+        if (!retry) return respond(422, { success: false, error: `No records found in ${job.inputBlobPath}` });
+
+        // The same budget gate as a new dataset, reserved under the retried job
+        const spendKey = `retries/${job.batchId}`;
+        const budget = await datasetSubmitter.reserveBudget(spendKey, retry.estimate, job.config, context);
+        if (budget.exceeded) {
+          return respond(409, { success: false, error: `Budget exceeded: ${budget.reasons.join("; ")}` });
+        }
+        newJob = await resubmitJob(job, retry, spendKey, context);
+      } finally {
+        await lock.release().catch((err) => context.warn(`Failed to release lock on ${batchId}: ${err.message}`));
+      }
+
+      return respond(202, { success: true, retryOf: job.batchId, job: summarizeJob(newJob) });
+    } catch (error) {
+      context.error("Error:", error);
+      return respond(error.code === "SPEND_UNAVAILABLE" ? 503 : 500, { success: false, error: error.message });
+    }
+  },
+});
+
+/* ─────────────────────────────────────────────────────────────── */
+/* RESUBMIT A FAILED JOB (holding its lock)                        */
+/* ─────────────────────────────────────────────────────────────── */
+/**
+ * The records a retry resubmits and their projected cost, or null if none are
+ * left. A follow-up batch is retried on the failed records it was resubmitting,
+ * a chunk of a split dataset on its record range.
+ */
+async function prepareRetry(job) {
+  const content = await readDatasetBlob(job.inputBlobPath);
+  const { records: allRecords } = batchSubmitter.rejectRecordsWithoutId(
+    parseDataset(content, job.inputBlobPath, job.config?.dataset),
+    job.config
+  );
+  const idField = recordIdField(job.config);
+
+  let records;
+  let recordIds;
+  const wanted = job.stagedResultsPath ? await batchJobStorage.getJobRecordIds(job) : null;
+  if (wanted) {
+    const wantedIds = new Set(wanted);
+    records = [];
+    recordIds = [];
+    allRecords.forEach((record, index) => {
+      const recordId = batchSubmitter.getRecordId(record, index, idField);
+      if (wantedIds.has(recordId)) {
+        records.push(record);
+        recordIds.push(recordId);
+      }
+    });
+  } else {
+    const { start = 0, end = allRecords.length } = job.chunkRange || {};
+    records = allRecords.slice(start, end);
+    recordIds = records.map((record, i) => batchSubmitter.getRecordId(record, start + i, idField));
+  }
+  if (records.length === 0) return null;
+
+  const requests = batchSubmitter.buildBatchRequests(records, job.config, job.objectName, recordIds);
+  const estimate = costEstimator.estimateRun(requests, modelSettings.resolveModel(job.config, "batch"), job.config);
+  return { records, recordIds: wanted ? recordIds : null, requests, estimate };
+}
+
+/**
+ * Submit a prepared retry whose projected cost is reserved under `spendKey`.
+ * A retried follow-up keeps its staged results and root batch, so its output
+ * still covers the whole dataset; a group member rejoins its group while the
+ * group is still waiting on other members, and is written back on its own
+ * once the group has been completed.
+ */
+async function resubmitJob(job, { records, recordIds, requests, estimate }, spendKey, context) {
+  const openAIClient = openAIClientFactory.createClient();
+  const fileName = job.inputBlobPath.replace(/^datasets\//, "");
+  let submitted;
+  try {
+    submitted = await batchSubmitter.submitRequests(openAIClient, requests, fileName, context);
+  } catch (err) {
+    await datasetSubmitter.releaseBudget(spendKey, context);
+    throw err;
+  }
+  const { inputFile, batch } = submitted;
+
+  const memberId = job.rootBatchId || job.batchId;
+  const rejoined = job.groupId ? await batchJobStorage.reopenGroupMember(job.groupId, memberId, batch.id) : false;
+  const newJob = await batchJobStorage.createBatchJob({
+    batchId: batch.id,
+    inputFileId: inputFile.id,
+    inputBlobPath: job.inputBlobPath,
+    recordCount: records.length,
+    recordIds,
+    objectName: job.objectName,
+    configId: job.configId,
+    pipelineRunId: job.pipelineRunId,
+    config: job.config,
+    model: modelSettings.resolveModel(job.config, "batch"),
+    estimate,
+    retryOf: job.batchId,
+    rootBatchId: rejoined || job.stagedResultsPath ? memberId : null,
+    recordAttempt: job.recordAttempt,
+    stagedResultsPath: job.stagedResultsPath,
+    groupId: rejoined ? job.groupId : null,
+    chunkIndex: job.chunkIndex,
+    chunkRange: job.chunkRange,
+    ingestionReportPath: job.ingestionReportPath,
+  });
+  await batchJobStorage.markRetried(job.batchId, batch.id);
+
+  await runTracker
+    .updateRun(job.configId, (run) => {
+      run.status = "running";
+      run.error = null;
+    })
+    .then(() => runTracker.recordBatch(job.configId, batch.id, {
+      status: "pending",
+      recordCount: records.length,
+      groupId: newJob.groupId,
+      estimatedCost: estimate?.cost ?? null,
+      submittedAt: newJob.submittedAt,
+      retryOf: job.batchId,
+    }))
+    .catch((err) => context.warn(`Failed to update run ${job.configId}: ${err.message}`));
+
+  return newJob;
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HELPERS                                                         */
+/* ─────────────────────────────────────────────────────────────── */
+function summarizeJob(job) {
+  const { config, ...summary } = job;
+  return summary;
+}
@@ -1,26 +1,25 @@
 /**
  * InsightFlow - Batch Status Checker
  * Timer trigger to poll batch jobs, process results, and trigger ADF WriteBack
+ * (output writing lives in resultWriter.js); also follows extract and write-back runs to completion
  */
 
 const { app } = require("@azure/functions");
-const { AzureOpenAI } = require("openai");
-const { BlobServiceClient } = require("@azure/storage-blob");
-const { DefaultAzureCredential } = require("@azure/identity");
 const batchJobStorage = require("./batchJobStorage");
+const batchSubmitter = require("./batchSubmitter");
+const costEstimator = require("./costEstimator");
+const { parseDataset, readDatasetBlob } = require("./datasetParser");
+const modelSettings = require("./modelSettings");
+const openAIClientFactory = require("./openAIClient");
+const { finishJob, recordGroupMember, finishGroup, classifyResults } = require("./resultWriter");
+const runTracker = require("./runTracker");
+const { recordIdField } = require("./writeBackTarget");
 
-const AZURE_OPENAI_ENDPOINT = process.env.AZURE_AI_PROJECT_ENDPOINT;
-const AZURE_OPENAI_DEPLOYMENT = process.env.AZURE_OPENAI_DEPLOYMENT_NAME;
-const AZURE_OPENAI_API_KEY = process.env.AZURE_OPENAI_API_KEY;
-const STORAGE_CONNECTION_STRING = process.env.AZURE_STORAGE_CONNECTION_STRING || process.env.AzureWebJobsStorage;
-const OUTPUT_CONTAINER = process.env.OUTPUT_CONTAINER || "output";
 const MAX_RETRIES = 3;
-
-// ADF configuration for triggering WriteBack pipeline
-const SUBSCRIPTION_ID = process.env.AZURE_SUBSCRIPTION_ID;
-const RESOURCE_GROUP = process.env.AZURE_RESOURCE_GROUP;
-const DATA_FACTORY_NAME = process.env.DYNAMIC_DATA_FACTORY_NAME || process.env.DATA_FACTORY_NAME;
-const WRITEBACK_PIPELINE_NAME = "SalesforceWriteBackPipeline";
+// Follow-up batches for records that failed or returned unparseable JSON
+const MAX_RECORD_RETRY_ATTEMPTS = parseInt(process.env.RECORD_RETRY_MAX_ATTEMPTS || "2", 10);
+// OpenAI batch states before a result or failure
+const RUNNING_STATUSES = ["validating", "in_progress", "finalizing"];
 
 /* ─────────────────────────────────────────────────────────────── */
 /* TIMER TRIGGER - Check Batch Status (every 5 min)                */
@@ -31,58 +30,39 @@ app.timer("batchStatusChecker", {
     context.log("Batch status checker running");
 
     try {
-      if (!AZURE_OPENAI_ENDPOINT || !AZURE_OPENAI_API_KEY) {
+      // Completes runs (empty extracts, watermarks, run.written_back webhooks) without anyone polling getRunStatus
+      const followed = await runTracker.refreshFollowedRuns(context);
+      if (followed > 0) context.log(`Followed ${followed} runs waiting on ADF`);
+
+      await finishStrandedGroups(context);
+
+      if (!openAIClientFactory.isConfigured()) {
         context.log("Azure OpenAI not configured, skipping");
         return;
       }
 
-      const openAIClient = new AzureOpenAI({
-        endpoint: AZURE_OPENAI_ENDPOINT,
-        apiKey: AZURE_OPENAI_API_KEY,
-        deployment: AZURE_OPENAI_DEPLOYMENT,
-        apiVersion: "2024-10-21",
-      });
+      const openAIClient = openAIClientFactory.createClient();
 
-      const pendingJobs = await batchJobStorage.getPendingJobs();
-      context.log(`Found ${pendingJobs.length} pending jobs`);
+      const pendingBatchIds = await batchJobStorage.getPendingBatchIds();
+      context.log(`Found ${pendingBatchIds.length} pending jobs`);
 
-      if (pendingJobs.length === 0) return;
+      if (pendingBatchIds.length === 0) return;
+
+      for (const batchId of pendingBatchIds) {
+        // Batches still running need neither their job nor a lock
+        if (await isStillRunning(openAIClient, batchId, context)) continue;
+
+        // Overlapping timer executions and other instances skip a job that is locked
+        const lock = await batchJobStorage.acquireJobLock(batchId);
+        if (!lock) {
+          context.log(`Batch ${batchId} is being processed elsewhere, skipping`);
+          continue;
+        }
 
-      for (const job of pendingJobs) {
         try {
-          const batchStatus = await openAIClient.batches.retrieve(job.batchId);
-          context.log(`Batch ${job.batchId}: ${batchStatus.status}`);
-
-          switch (batchStatus.status) {
-            case "completed":
-              await processResults(openAIClient, job, batchStatus, context);
-              break;
-
-            case "failed":
-              await batchJobStorage.markFailed(job.batchId, batchStatus.errors?.data?.[0]?.message || "Failed");
-              break;
-
-            case "expired":
-            case "cancelled":
-              await batchJobStorage.markFailed(job.batchId, `Batch ${batchStatus.status}`);
-              break;
-
-            case "validating":
-            case "in_progress":
-            case "finalizing":
-              // Still processing
-              const hours = (Date.now() - new Date(job.submittedAt).getTime()) / 3600000;
-              if (hours > 25) {
-                context.warn(`Batch ${job.batchId} running for ${hours.toFixed(1)}h`);
-              }
-              break;
-          }
-        } catch (err) {
-          context.error(`Error checking ${job.batchId}:`, err.message);
-          const updated = await batchJobStorage.incrementRetry(job.batchId);
-          if (updated.retryCount >= MAX_RETRIES) {
-            await batchJobStorage.markFailed(job.batchId, `Max retries: ${err.message}`);
-          }
+          await checkJob(openAIClient, batchId, context);
+        } finally {
+          await lock.release().catch((err) => context.warn(`Failed to release lock on ${batchId}: ${err.message}`));
         }
       }
     } catch (err) {
@@ -92,161 +72,311 @@ app.timer("batchStatusChecker", {
   },
 });
 
+/**
+ * Finish groups whose members are all done but whose output wasn't written,
+ * because the execution finishing the last member failed before writing it.
+ */
+async function finishStrandedGroups(context) {
+  for (const groupId of await batchJobStorage.getGroupsAwaitingOutput()) {
+    const group = await batchJobStorage.getJobGroup(groupId);
+    if (group?.status === "in_progress") continue;
+    context.log(`Group ${groupId} finished without its output, writing it now`);
+    await finishGroup(groupId, context);
+  }
+}
+
 /* ─────────────────────────────────────────────────────────────── */
-/* PROCESS BATCH RESULTS                                           */
+/* STILL RUNNING? (no lock or job read needed)                     */
 /* ─────────────────────────────────────────────────────────────── */
-async function processResults(openAIClient, job, batchStatus, context) {
-  context.log(`Processing results for ${job.batchId}`);
+/**
+ * Whether the batch is still being processed by OpenAI. A failed lookup counts
+ * as finished, so checkJob retries it and counts the error against the job.
+ */
+async function isStillRunning(openAIClient, batchId, context) {
+  let batchStatus;
+  try {
+    batchStatus = await openAIClient.batches.retrieve(batchId);
+  } catch {
+    return false;
+  }
+  if (!RUNNING_STATUSES.includes(batchStatus.status)) return false;
 
-  const outputFileId = batchStatus.output_file_id;
-  if (!outputFileId) throw new Error("No output file ID");
+  context.log(`Batch ${batchId}: ${batchStatus.status}`);
+  const hours = (Date.now() - batchStatus.created_at * 1000) / 3600000;
+  if (hours > 25) {
+    context.warn(`Batch ${batchId} running for ${hours.toFixed(1)}h`);
+  }
+  return true;
+}
 
-  // Download results from OpenAI
-  const fileResponse = await openAIClient.files.content(outputFileId);
-  const outputContent = await fileResponse.text();
+/* ─────────────────────────────────────────────────────────────── */
+/* CHECK ONE JOB (holding its processing lock)                     */
+/* ─────────────────────────────────────────────────────────────── */
+async function checkJob(openAIClient, batchId, context) {
+  // Re-read under the lock: another execution may have finished it since the listing
+  const job = await batchJobStorage.getJob(batchId);
+  if (job?.status !== "pending") return;
 
-  // Parse JSONL
-  const results = outputContent
-    .trim()
-    .split("\n")
-    .filter(Boolean)
-    .map((line) => {
-      try {
-        return JSON.parse(line);
-      } catch {
-        return null;
-      }
-    })
-    .filter(Boolean);
+  try {
+    const batchStatus = await openAIClient.batches.retrieve(job.batchId);
+    context.log(`Batch ${job.batchId}: ${batchStatus.status}`);
+
+    switch (batchStatus.status) {
+      case "completed":
+        await processResults(openAIClient, job, batchStatus, context);
+        break;
+
+      case "failed":
+        await failJob(job, batchStatus.errors?.data?.[0]?.message || "Failed", context);
+        break;
+
+      case "expired":
+      case "cancelled":
+        await failJob(job, `Batch ${batchStatus.status}`, context);
+        break;
+
+      case "validating":
+      case "in_progress":
+      case "finalizing":
+        // Still processing
+        const hours = (Date.now() - new Date(job.submittedAt).getTime()) / 3600000;
+        if (hours > 25) {
+          context.warn(`Batch ${job.batchId} running for ${hours.toFixed(1)}h`);
+        }
+        break;
+    }
+  } catch (err) {
+    // Moved on by another execution in the meantime: nothing left to do here
+    if (err.code === "JOB_STATE_CONFLICT") {
+      context.warn(`Batch ${job.batchId}: ${err.message}`);
+      return;
+    }
+    // Its output is being written elsewhere: checked again on the next run, not counted as a retry
+    if (err.code === "WRITE_BACK_IN_PROGRESS") {
+      context.warn(`Batch ${job.batchId}: ${err.message}`);
+      return;
+    }
 
-  context.log(`Parsed ${results.length} results`);
+    context.error(`Error checking ${job.batchId}:`, err.message);
+    // A failure here must not stop the check of the remaining jobs
+    try {
+      const updated = await batchJobStorage.incrementRetry(job.batchId);
+      if (updated.retryCount >= MAX_RETRIES) {
+        await failJob(job, `Max retries: ${err.message}`, context);
+      }
+    } catch (retryErr) {
+      // No longer pending: it got past the step that failed, so there is nothing to retry
+      if (retryErr.code === "JOB_STATE_CONFLICT") {
+        context.warn(`Batch ${job.batchId}: ${retryErr.message}`);
+      } else {
+        context.error(`Failed to record the error of ${job.batchId}:`, retryErr.message);
+      }
+    }
+  }
+}
 
-  // Transform to Salesforce-compatible format for ADF WriteBack
-  const processedResults = results
-    .map((result) => transformToSalesforceFormat(result, job, context))
-    .filter(Boolean);
+/* ─────────────────────────────────────────────────────────────── */
+/* PROCESS BATCH RESULTS                                           */
+/* ─────────────────────────────────────────────────────────────── */
+async function processResults(openAIClient, job, batchStatus, context) {
+  context.log(`Processing results for ${job.batchId}`);
 
-  // Save to output blob (for ADF to pick up)
-  const { outputPath, fileName } = await saveResults(job, processedResults, context);
+  const outputFileId = batchStatus.output_file_id;
+  const errorFileId = batchStatus.error_file_id;
+  if (!outputFileId && !errorFileId) throw new Error("No output file ID");
+
+  // Download results (and per-request errors) from OpenAI
+  const results = [
+    ...(await downloadJsonl(openAIClient, outputFileId)),
+    ...(await downloadJsonl(openAIClient, errorFileId)),
+  ];
+  context.log(`Parsed ${results.length} results`);
 
-  // Update job status
-  await batchJobStorage.markCompleted(job.batchId, outputFileId, batchStatus.error_file_id);
-  await batchJobStorage.markProcessed(job.batchId, outputPath);
+  // Actual tokens of this batch, for comparison with its estimate
+  const usage = costEstimator.usageFromResults(results, job.model?.deployment || modelSettings.resolveModel(job.config).deployment);
+
+  // Merge with results carried over from earlier attempts of this dataset
+  const { succeeded, failedIds } = classifyResults(results, context);
+  const carried = job.stagedResultsPath ? await batchJobStorage.loadStagedResults(job.stagedResultsPath) : [];
+  const merged = new Map(carried.map((r) => [r.custom_id, r]));
+  for (const result of succeeded) merged.set(result.custom_id, result);
+  const stillFailed = failedIds.filter((id) => !merged.has(id));
+
+  const attempt = job.recordAttempt || 0;
+  if (stillFailed.length > 0 && attempt < MAX_RECORD_RETRY_ATTEMPTS) {
+    const followUp = await submitFollowUpBatch(openAIClient, job, stillFailed, [...merged.values()], context);
+    if (followUp) {
+      await batchJobStorage.markFinished(job.batchId, { outputFileId, errorFileId }, null, {
+        followUpBatchId: followUp.batchId,
+        failedRecordIds: stillFailed,
+        usage,
+      });
+      await recordActualSpend(job, usage, context);
+      await runTracker
+        .recordBatch(job.configId, followUp.batchId, {
+          status: "pending",
+          recordCount: followUp.recordCount,
+          submittedAt: followUp.submittedAt,
+          followUpOf: job.batchId,
+        })
+        .then(() => runTracker.recordBatch(job.configId, job.batchId, {
+          status: "completed",
+          followUpBatchId: followUp.batchId,
+          usage,
+          completedAt: new Date().toISOString(),
+        }))
+        .catch((err) => context.warn(`Failed to update run ${job.configId}: ${err.message}`));
+      return;
+    }
+  } else if (stillFailed.length > 0) {
+    context.warn(`${stillFailed.length} records still failing after ${attempt} follow-up attempts`);
+  }
 
-  const successCount = processedResults.length;
-  context.log(`Saved ${successCount}/${results.length} results to ${outputPath}`);
+  await finishJob(job, [...merged.values()], stillFailed, { outputFileId, errorFileId, usage }, context);
+  await recordActualSpend(job, usage, context);
+}
 
-  // Trigger ADF WriteBack Pipeline
-  await triggerWriteBackPipeline(fileName, context);
+/**
+ * Recorded once the job has been moved on, keyed by batchId: an execution that
+ * lost the job to another one never gets here, and a repeat replaces the amount.
+ */
+async function recordActualSpend(job, usage, context) {
+  if (!usage.cost) return;
+  await batchJobStorage
+    .recordSpend(costEstimator.spendDate(), job.batchId, { actualCost: usage.cost })
+    .catch((err) => context.warn(`Failed to record actual spend: ${err.message}`));
 }
 
 /* ─────────────────────────────────────────────────────────────── */
-/* TRANSFORM TO SALESFORCE FORMAT                                  */
-/* Maps AI insights to Salesforce azinsights__c field structure    */
-/* Only uses fields that exist in the actual SF object             */
+/* FOLLOW-UP BATCH FOR FAILED RECORDS                              */
+/* Resubmits only the failed custom_ids from the original dataset; */
+/* results gathered so far are staged and merged on completion     */
 /* ─────────────────────────────────────────────────────────────── */
-function transformToSalesforceFormat(result, job, context) {
-  if (result.error) {
-    context.warn(`Skipping failed record ${result.custom_id}: ${result.error.message}`);
-    return null;
+async function submitFollowUpBatch(openAIClient, job, failedIds, carriedResults, context) {
+  // Submitted by an earlier attempt that failed before moving the job on: reuse it, never pay twice
+  if (job.followUp) {
+    context.log(`Reusing follow-up batch ${job.followUp.batchId} of ${job.batchId}`);
+    return (await batchJobStorage.getJob(job.followUp.batchId)) || batchJobStorage.createBatchJob(followUpJob(job, job.followUp));
   }
 
-  const content = result.response?.body?.choices?.[0]?.message?.content;
-  let insights;
-  try {
-    insights = content ? JSON.parse(content) : null;
-  } catch {
-    context.warn(`Failed to parse AI response for ${result.custom_id}`);
+  const content = await readDatasetBlob(job.inputBlobPath);
+  const { records } = batchSubmitter.rejectRecordsWithoutId(parseDataset(content, job.inputBlobPath, job.config?.dataset), job.config);
+
+  const idField = recordIdField(job.config);
+  const wanted = new Set(failedIds);
+  const retryRecords = [];
+  const retryIds = [];
+  records.forEach((record, index) => {
+    const recordId = batchSubmitter.getRecordId(record, index, idField);
+    if (wanted.has(recordId)) {
+      retryRecords.push(record);
+      retryIds.push(recordId);
+    }
+  });
+
+  if (retryRecords.length === 0) {
+    context.warn(`Failed records of ${job.batchId} not found in ${job.inputBlobPath}, not retrying`);
     return null;
   }
 
-  if (!insights) return null;
+  const rootBatchId = job.rootBatchId || job.batchId;
+  const stagedResultsPath = await batchJobStorage.saveStagedResults(rootBatchId, carriedResults);
 
-  // Map to actual Salesforce azinsights__c object fields
-  const sfRecord = {
-    ParentObjectId__c: result.custom_id,
-    ParentObjectApiName__c: job.objectName || null,
-    RawInsightsJSON__c: truncate(JSON.stringify(insights), 131072),
-  };
+  const fileName = job.inputBlobPath.replace(/^datasets\//, "");
+  const { inputFile, batch } = await batchSubmitter.submitBatch(
+    openAIClient,
+    { records: retryRecords, recordIds: retryIds, config: job.config, objectName: job.objectName, fileName },
+    context
+  );
 
-  return sfRecord;
+  const submitted = { batchId: batch.id, inputFileId: inputFile.id, recordIds: retryIds, stagedResultsPath };
+  await batchJobStorage.recordFollowUp(job.batchId, submitted);
+  const followUp = await batchJobStorage.createBatchJob(followUpJob(job, submitted));
+
+  context.log(`Follow-up batch ${batch.id} submitted for ${retryRecords.length} failed records of ${job.batchId}`);
+  return followUp;
 }
 
-/* ─────────────────────────────────────────────────────────────── */
-/* SAVE RESULTS TO BLOB                                            */
-/* Output as JSONL (JSON Lines) - one record per line for ADF      */
-/* ─────────────────────────────────────────────────────────────── */
-async function saveResults(job, results, context) {
-  const blobServiceClient = BlobServiceClient.fromConnectionString(STORAGE_CONNECTION_STRING);
-  const containerClient = blobServiceClient.getContainerClient(OUTPUT_CONTAINER);
-  await containerClient.createIfNotExists();
-
-  const baseName = job.inputBlobPath.split("/").pop()?.replace(/\.[^/.]+$/, "") || "unknown";
-  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-  const fileName = `${baseName}_processed_${timestamp}.jsonl`;
-
-  // JSONL format: one JSON object per line (ADF handles this as tabular data)
-  const content = results.map(r => JSON.stringify(r)).join("\n");
-  const blobClient = containerClient.getBlockBlobClient(fileName);
-  await blobClient.upload(content, Buffer.byteLength(content), {
-    blobHTTPHeaders: { blobContentType: "application/x-ndjson" },
-  });
+function followUpJob(job, { batchId, inputFileId, recordIds, stagedResultsPath }) {
+  return {
+    batchId,
+    inputFileId,
+    inputBlobPath: job.inputBlobPath,
+    recordCount: recordIds.length,
+    recordIds,
+    objectName: job.objectName,
+    configId: job.configId,
+    pipelineRunId: job.pipelineRunId,
+    config: job.config,
+    model: modelSettings.resolveModel(job.config, "batch"),
+    followUpOf: job.batchId,
+    rootBatchId: job.rootBatchId || job.batchId,
+    recordAttempt: (job.recordAttempt || 0) + 1,
+    stagedResultsPath,
+    groupId: job.groupId,
+    chunkIndex: job.chunkIndex,
+    chunkRange: job.chunkRange,
+    ingestionReportPath: job.ingestionReportPath,
+  };
+}
 
-  context.log(`Saved ${results.length} records to ${OUTPUT_CONTAINER}/${fileName}`);
-  return { outputPath: `${OUTPUT_CONTAINER}/${fileName}`, fileName };
+async function downloadJsonl(openAIClient, fileId) {
+  if (!fileId) return [];
+
+  const fileResponse = await openAIClient.files.content(fileId);
+  const content = await fileResponse.text();
+
+  return content
+    .trim()
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
 }
 
 /* ─────────────────────────────────────────────────────────────── */
-/* TRIGGER ADF WRITEBACK PIPELINE                                  */
+/* MARK JOB FAILED (and the run, once no batch can still succeed)  */
 /* ─────────────────────────────────────────────────────────────── */
-async function triggerWriteBackPipeline(fileName, context) {
-  if (!SUBSCRIPTION_ID || !RESOURCE_GROUP || !DATA_FACTORY_NAME) {
-    context.warn("ADF not configured, skipping WriteBack pipeline trigger");
+async function failJob(job, errorMessage, context) {
+  if (job.stagedResultsPath) {
+    // A follow-up batch failed: still write back what earlier attempts produced,
+    // with the records it was retrying reported as failed
+    context.warn(`Follow-up batch ${job.batchId} failed (${errorMessage}), writing carried results`);
+    const carried = await batchJobStorage.loadStagedResults(job.stagedResultsPath);
+    const failedIds = (await batchJobStorage.getJobRecordIds(job)) || [];
+    await finishJob(job, carried, failedIds, { outputFileId: null, errorFileId: null }, context);
     return;
   }
 
+  if (job.groupId) {
+    // On the group before the job moves on, as in finishJob
+    const { completedNow } = await recordGroupMember(job, { status: "failed", error: errorMessage }, context);
+    await batchJobStorage.markFailed(job.batchId, errorMessage);
+    await runTracker
+      .recordBatch(job.configId, job.batchId, { status: "failed", error: errorMessage, completedAt: new Date().toISOString() })
+      .catch((err) => context.warn(`Failed to update run ${job.configId}: ${err.message}`));
+    if (completedNow) await finishGroup(job.groupId, context);
+    return;
+  }
+
+  await batchJobStorage.markFailed(job.batchId, errorMessage);
+
   try {
-    const credential = new DefaultAzureCredential();
-    const token = await credential.getToken("https://management.azure.com/.default");
-
-    const runUrl = `https://management.azure.com/subscriptions/${SUBSCRIPTION_ID}/resourceGroups/${RESOURCE_GROUP}/providers/Microsoft.DataFactory/factories/${DATA_FACTORY_NAME}/pipelines/${WRITEBACK_PIPELINE_NAME}/createRun?api-version=2018-06-01`;
-
-    const pipelineParams = {
-      fileName: fileName,
-    };
-
-    const response = await fetch(runUrl, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${token.token}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(pipelineParams),
+    const run = await runTracker.recordBatch(job.configId, job.batchId, {
+      status: "failed",
+      error: errorMessage,
+      completedAt: new Date().toISOString(),
     });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      context.error(`Failed to trigger WriteBack pipeline: ${response.status} - ${errorText}`);
-      return;
+    if (run?.stages.batch.status === "failed") {
+      await runTracker.failRun(job.configId, "batch", errorMessage);
     }
-
-    const result = await response.json();
-    context.log(`WriteBack pipeline triggered: ${result.runId} for file ${fileName}`);
   } catch (err) {
-    context.error(`Error triggering WriteBack pipeline: ${err.message}`);
+    context.warn(`Failed to update run ${job.configId}: ${err.message}`);
   }
 }
-
-/* ─────────────────────────────────────────────────────────────── */
-/* HELPERS                                                         */
-/* ─────────────────────────────────────────────────────────────── */
-function truncate(str, maxLength) {
-  if (!str) return null;
-  if (typeof str !== "string") str = String(str);
-  return str.length > maxLength ? str.substring(0, maxLength - 3) + "..." : str;
-}
-
-function arrayToString(arr) {
-  if (!arr || !Array.isArray(arr)) return null;
-  return arr.join(", ");
-}
@@ -0,0 +1,210 @@
+/**
+ * InsightFlow - Batch Submitter
+ * Builds Batch API JSONL from records and submits it to Azure OpenAI
+ */
+
+const { toJsonSchema } = require("./insightSchema");
+const modelSettings = require("./modelSettings");
+const { buildPrompts } = require("./promptBuilder");
+const { estimateMessagesTokens } = require("./tokenEstimator");
+const { recordIdField } = require("./writeBackTarget");
+
+// Set to "false" for deployments/API versions without json_schema support
+const STRUCTURED_OUTPUTS_ENABLED = process.env.AZURE_OPENAI_STRUCTURED_OUTPUTS !== "false";
+
+// Azure OpenAI Batch limits: requests and bytes per input file, enqueued tokens per deployment
+const BATCH_LIMITS = {
+  maxRequests: parseInt(process.env.BATCH_MAX_REQUESTS || "100000", 10),
+  maxBytes: parseInt(process.env.BATCH_MAX_FILE_BYTES || String(190 * 1024 * 1024), 10),
+  maxTokens: parseInt(process.env.BATCH_MAX_ENQUEUED_TOKENS || "5000000", 10),
+};
+
+/* ─────────────────────────────────────────────────────────────── */
+/* SUBMIT RECORDS AS ONE BATCH                                     */
+/* ─────────────────────────────────────────────────────────────── */
+async function submitBatch(openAIClient, { records, recordIds, config, objectName, fileName }, context) {
+  const requests = buildBatchRequests(records, config, objectName, recordIds);
+  return submitRequests(openAIClient, requests, fileName, context);
+}
+
+async function submitRequests(openAIClient, requests, fileName, context) {
+  const jsonlContent = requests.map((r) => r.line).join("\n");
+
+  const inputFile = await uploadBatchFile(openAIClient, jsonlContent, fileName);
+  context.log(`Batch input uploaded: ${inputFile.id}`);
+
+  const batch = await openAIClient.batches.create({
+    input_file_id: inputFile.id,
+    endpoint: "/chat/completions",
+    completion_window: "24h",
+  });
+  context.log(`Batch job created: ${batch.id}`);
+
+  return { inputFile, batch };
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* CREATE JSONL FOR BATCH API                                      */
+/* ─────────────────────────────────────────────────────────────── */
+function createBatchJsonl(records, config, objectName, recordIds) {
+  return buildBatchRequests(records, config, objectName, recordIds)
+    .map((r) => r.line)
+    .join("\n");
+}
+
+/**
+ * One Batch API request per record, with its serialized JSONL line and
+ * estimated prompt tokens (used to size chunks).
+ */
+function buildBatchRequests(records, config, objectName, recordIds) {
+  const responseFormat = buildResponseFormat(config);
+  const settings = modelSettings.resolveModel(config, "batch");
+  const idField = recordIdField(config);
+
+  return records.map((record, index) => {
+    // Follow-up batches pass the original ids so custom_id stays stable
+    const recordId = recordIds?.[index] ?? getRecordId(record, index, idField);
+    const body = buildChatBody(record, config, objectName, { settings, responseFormat });
+
+    const request = {
+      custom_id: recordId,
+      method: "POST",
+      url: "/v1/chat/completions",
+      body,
+    };
+
+    return {
+      customId: recordId,
+      line: JSON.stringify(request),
+      estimatedTokens: estimateMessagesTokens(body.messages),
+    };
+  });
+}
+
+/**
+ * Chat completions body for one record; shared by batch lines and real-time calls.
+ * `settings` comes from modelSettings.resolveModel().
+ */
+function buildChatBody(record, config, objectName, { settings, responseFormat = buildResponseFormat(config) }) {
+  const { systemPrompt, userPrompt } = buildPrompts(record, config, objectName);
+  const { model, ...params } = modelSettings.chatParams(settings);
+
+  return {
+    model,
+    messages: [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: userPrompt },
+    ],
+    ...params,
+    response_format: responseFormat,
+  };
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* SPLIT REQUESTS INTO BATCH-SIZED CHUNKS                          */
+/* Chunks are contiguous so each maps to a record index range      */
+/* ─────────────────────────────────────────────────────────────── */
+function chunkRequests(requests, limits = BATCH_LIMITS) {
+  const chunks = [];
+  let current = null;
+
+  requests.forEach((request, index) => {
+    const bytes = Buffer.byteLength(request.line) + 1;
+    const fits = current
+      && current.requests.length < limits.maxRequests
+      && current.bytes + bytes <= limits.maxBytes
+      && current.estimatedTokens + request.estimatedTokens <= limits.maxTokens;
+
+    if (!fits) {
+      current = { start: index, end: index, requests: [], bytes: 0, estimatedTokens: 0 };
+      chunks.push(current);
+    }
+
+    current.requests.push(request);
+    current.end = index + 1;
+    current.bytes += bytes;
+    current.estimatedTokens += request.estimatedTokens;
+  });
+
+  return chunks;
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* RESPONSE FORMAT                                                 */
+/* Structured outputs when a schema is configured, otherwise (or   */
+/* when disabled) the prompt-only json_object mode                 */
+/* ─────────────────────────────────────────────────────────────── */
+function buildResponseFormat(config) {
+  const analysis = config?.analysis || {};
+  const hasSchema = analysis.schema && Object.keys(analysis.schema).length > 0;
+
+  if (!hasSchema || !STRUCTURED_OUTPUTS_ENABLED || analysis.structuredOutputs === false) {
+    return { type: "json_object" };
+  }
+
+  return {
+    type: "json_schema",
+    json_schema: {
+      name: "insights",
+      strict: true,
+      schema: toJsonSchema(analysis.schema),
+    },
+  };
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HELPERS                                                         */
+/* ─────────────────────────────────────────────────────────────── */
+/**
+ * A record's custom_id, always a string. With an `idField` (the field a
+ * sourceRecord write-back updates records by) it is that field's value or
+ * null: another field would write the insight to some other record.
+ */
+function getRecordId(record, index, idField) {
+  if (idField) {
+    const value = record[idField];
+    return value === undefined || value === null || value === "" ? null : String(value);
+  }
+  return String(record.Id || record.Name || `record-${index}`);
+}
+
+/**
+ * Reject the records of a parseDataset() result that have no ID to be written
+ * back by: they are added to its errors, so they are reported and quarantined
+ * with the malformed rows. Applied wherever a dataset is parsed for submission,
+ * so record positions (chunk ranges) match between them.
+ */
+function rejectRecordsWithoutId(parsed, config) {
+  const idField = recordIdField(config);
+  if (!idField) return parsed;
+
+  const records = [];
+  const errors = [...parsed.errors];
+  parsed.records.forEach((record, index) => {
+    if (getRecordId(record, index, idField) !== null) {
+      records.push(record);
+    } else {
+      errors.push({ line: null, error: `Record ${index + 1} has no ${idField}`, raw: JSON.stringify(record) });
+    }
+  });
+  return { ...parsed, records, errors };
+}
+
+async function uploadBatchFile(client, jsonlContent, originalFileName) {
+  const blob = new Blob([jsonlContent], { type: "application/jsonl" });
+  const file = new File([blob], `batch_${originalFileName}.jsonl`, { type: "application/jsonl" });
+  return client.files.create({ file, purpose: "batch" });
+}
+
+module.exports = {
+  BATCH_LIMITS,
+  submitBatch,
+  submitRequests,
+  createBatchJsonl,
+  buildBatchRequests,
+  buildChatBody,
+  chunkRequests,
+  buildResponseFormat,
+  getRecordId,
+  rejectRecordsWithoutId,
+};
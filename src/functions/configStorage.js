@@ -0,0 +1,142 @@
+/**
+ * InsightFlow - Pipeline Config Storage Helper
+ * Stores one immutable config per run, keyed by configId and ADF runId
+ */
+
+const { BlobServiceClient } = require("@azure/storage-blob");
+
+const STORAGE_CONNECTION_STRING = process.env.AZURE_STORAGE_CONNECTION_STRING || process.env.AzureWebJobsStorage;
+const CONTAINER = "pipeline-configs";
+
+// configs/<configId>.json  - full config for one run (never overwritten by other runs)
+// runs/<runId>.json        - pointer from ADF runId to configId
+// <object>_config.json     - latest config per object (legacy fallback)
+const CONFIG_ID_PATTERN = /^(.*?_\d{13})(?!\d)/;
+const RUN_ID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i;
+
+async function getContainer() {
+  if (!STORAGE_CONNECTION_STRING) throw new Error("Storage not configured");
+  const client = BlobServiceClient.fromConnectionString(STORAGE_CONNECTION_STRING);
+  const container = client.getContainerClient(CONTAINER);
+  await container.createIfNotExists();
+  return container;
+}
+
+async function streamToString(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", (d) => chunks.push(d.toString()));
+    stream.on("end", () => resolve(chunks.join("")));
+    stream.on("error", reject);
+  });
+}
+
+async function uploadJson(container, blobName, data) {
+  const content = JSON.stringify(data, null, 2);
+  await container.getBlockBlobClient(blobName).upload(content, Buffer.byteLength(content), {
+    blobHTTPHeaders: { blobContentType: "application/json" },
+  });
+}
+
+async function downloadJson(container, blobName) {
+  const blobClient = container.getBlockBlobClient(blobName);
+  if (!(await blobClient.exists())) return null;
+  const response = await blobClient.download(0);
+  return JSON.parse(await streamToString(response.readableStreamBody));
+}
+
+function createConfigId(objectName) {
+  return `${objectName.toLowerCase()}_${Date.now()}`;
+}
+
+async function saveConfig(configId, config, runId) {
+  const container = await getContainer();
+  const objectName = config.source.object.toLowerCase();
+  const configData = {
+    ...config,
+    configId,
+    pipelineRunId: runId,
+    createdAt: new Date().toISOString(),
+  };
+
+  await uploadJson(container, `configs/${configId}.json`, configData);
+  if (runId) {
+    await uploadJson(container, `runs/${runId}.json`, { runId, configId, objectName });
+  }
+  await uploadJson(container, `${objectName}_config.json`, configData);
+
+  return configData;
+}
+
+async function getConfig(configId) {
+  const container = await getContainer();
+  return downloadJson(container, `configs/${configId}.json`);
+}
+
+async function getConfigByRunId(runId) {
+  const container = await getContainer();
+  const pointer = await downloadJson(container, `runs/${runId}.json`);
+  return pointer ? downloadJson(container, `configs/${pointer.configId}.json`) : null;
+}
+
+async function getLatestConfig(objectName) {
+  const container = await getContainer();
+  return downloadJson(container, `${objectName.toLowerCase()}_config.json`);
+}
+
+async function listConfigs(objectName, limit = 50) {
+  const container = await getContainer();
+  const configs = [];
+  const prefix = `configs/${objectName.toLowerCase()}_`;
+
+  for await (const blob of container.listBlobsFlat({ prefix })) {
+    // The prefix also matches objects named like this one plus a suffix (account_history_...)
+    if (!/^\d{13}\.json$/.test(blob.name.slice(prefix.length))) continue;
+    configs.push(await downloadJson(container, blob.name));
+  }
+
+  return configs
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+/**
+ * Find the config for a dataset blob. ADF passes the configId (or its own runId)
+ * through to the dataset path or blob metadata; older pipelines that don't are
+ * matched to the latest config for the object.
+ */
+async function resolveDatasetConfig(fileName, objectName, metadata = {}) {
+  const configId = metadata.configId || metadata.configid || findConfigId(fileName);
+  if (configId) {
+    const config = await getConfig(configId);
+    if (config) return { config, matchedBy: "configId" };
+  }
+
+  const runId = metadata.runId || metadata.runid || fileName.match(RUN_ID_PATTERN)?.[0];
+  if (runId) {
+    const config = await getConfigByRunId(runId);
+    if (config) return { config, matchedBy: "runId" };
+  }
+
+  const config = await getLatestConfig(objectName);
+  return { config, matchedBy: config ? "latest" : null };
+}
+
+function findConfigId(fileName) {
+  for (const segment of fileName.split("/")) {
+    const match = segment.match(CONFIG_ID_PATTERN);
+    if (match) return match[1].toLowerCase();
+  }
+  return null;
+}
+
+module.exports = {
+  createConfigId,
+  saveConfig,
+  getConfig,
+  getConfigByRunId,
+  getLatestConfig,
+  listConfigs,
+  resolveDatasetConfig,
+};
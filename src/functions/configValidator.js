@@ -0,0 +1,176 @@
+/**
+ * InsightFlow - Config Validator
+ * Checks a whole run config (source, analysis, output, dataset, budget) before
+ * a pipeline run is started and reports every problem with its JSON path
+ */
+
+const { validateBudget } = require("./costEstimator");
+const { validateDatasetOptions } = require("./datasetParser");
+const { validateFieldMapping } = require("./fieldMapper");
+const { validateSchema } = require("./insightSchema");
+const { validateModel } = require("./modelSettings");
+const { validateFilter } = require("./soqlFilter");
+const { validateTemplate } = require("./templateEngine");
+const { validateIncremental } = require("./watermarkStorage");
+const { validateNotify } = require("./webhookNotifier");
+const writeBackTarget = require("./writeBackTarget");
+
+const API_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+const VALIDATION_ACTIONS = ["flag", "skip"];
+
+/**
+ * @param {object} config - triggerPipeline request body
+ * @returns {Array<{path: string, message: string}>} empty when the config can be run
+ */
+function validateRunConfig(config) {
+  if (!isPlainObject(config)) return [{ path: "$", message: "expected a JSON object" }];
+
+  const errors = [...validateSource(config.source), ...validateAnalysis(config.analysis, config.source?.fields)];
+
+  const destinationErrors = writeBackTarget.validateDestination(config);
+  errors.push(...withPaths(destinationErrors, "output"));
+  if (destinationErrors.length === 0) {
+    const reserved = writeBackTarget.systemFields(writeBackTarget.resolveDestination(config));
+    errors.push(...withPaths(validateFieldMapping(config.output?.fieldMapping, reserved), "output.fieldMapping"));
+  }
+  errors.push(...withPaths(validateDatasetOptions(config.dataset), "dataset"));
+  errors.push(...withPaths(validateBudget(config.budget), "budget"));
+  errors.push(...withPaths(validateNotify(config.notify), "notify"));
+
+  return errors;
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* SOURCE                                                          */
+/* object and fields become the SOQL query ADF runs; filter its    */
+/* WHERE clause (see soqlFilter.js)                                */
+/* ─────────────────────────────────────────────────────────────── */
+function validateSource(source) {
+  if (!isPlainObject(source)) return [{ path: "$.source", message: "required: object with object and fields" }];
+
+  const errors = [];
+  if (source.object === undefined || source.object === "") {
+    errors.push({ path: "$.source.object", message: "required" });
+  } else if (!isApiName(source.object)) {
+    errors.push({ path: "$.source.object", message: "invalid Salesforce API name" });
+  }
+
+  if (!Array.isArray(source.fields) || source.fields.length === 0) {
+    errors.push({ path: "$.source.fields", message: "required: non-empty array of field API names" });
+  } else {
+    const seen = new Set();
+    source.fields.forEach((field, index) => {
+      const path = `$.source.fields[${index}]`;
+      if (typeof field !== "string" || !field.split(".").every(isApiName)) {
+        errors.push({ path, message: `invalid field API name ${JSON.stringify(field)}` });
+      } else if (seen.has(field.toLowerCase())) {
+        errors.push({ path, message: `duplicate field ${field}` });
+      } else {
+        seen.add(field.toLowerCase());
+      }
+    });
+  }
+
+  if (source.rawFilter !== undefined && typeof source.rawFilter !== "boolean") {
+    errors.push({ path: "$.source.rawFilter", message: "expected a boolean" });
+  }
+  errors.push(...validateFilter(source));
+  errors.push(...withPaths(validateIncremental(source.incremental), "source.incremental"));
+
+  return errors;
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* ANALYSIS                                                        */
+/* ─────────────────────────────────────────────────────────────── */
+function validateAnalysis(analysis, fields) {
+  if (analysis === undefined || analysis === null) return [];
+  if (!isPlainObject(analysis)) return [{ path: "$.analysis", message: "expected an object" }];
+
+  const errors = [];
+  const push = (key, message) => errors.push({ path: `$.analysis.${key}`, message });
+
+  if (analysis.type !== undefined && analysis.type !== "custom") {
+    push("type", `unknown type ${JSON.stringify(analysis.type)} (only "custom"; use preset for the built-in analyses)`);
+  }
+  if (analysis.systemPrompt !== undefined && typeof analysis.systemPrompt !== "string") {
+    push("systemPrompt", "expected a string");
+  }
+  if (analysis.type === "custom" && !(typeof analysis.systemPrompt === "string" && analysis.systemPrompt.trim())) {
+    push("systemPrompt", "required when analysis.type is \"custom\"");
+  }
+  if (analysis.userPromptTemplate !== undefined) {
+    // Every placeholder must be parseable and refer to an extracted field
+    for (const message of validateTemplate(analysis.userPromptTemplate, Array.isArray(fields) ? fields.filter((f) => typeof f === "string") : [])) {
+      push("userPromptTemplate", message);
+    }
+  }
+
+  if (analysis.preset !== undefined && !/^[^@\s]+(@[1-9][0-9]*)?$/.test(String(analysis.preset))) {
+    push("preset", "expected a preset name, optionally with @version");
+  }
+  if (analysis.insights !== undefined && !(Array.isArray(analysis.insights) && analysis.insights.length > 0 && analysis.insights.every((i) => typeof i === "string" && i))) {
+    push("insights", "expected a non-empty array of field names");
+  }
+  if (analysis.schema !== undefined) {
+    errors.push(...validateSchema(analysis.schema, "$.analysis.schema"));
+  }
+
+  if (analysis.validation !== undefined) {
+    const { validation } = analysis;
+    if (!isPlainObject(validation)) {
+      push("validation", "expected an object");
+    } else {
+      for (const key of ["enabled", "coerce"]) {
+        if (validation[key] !== undefined && typeof validation[key] !== "boolean") push(`validation.${key}`, "expected a boolean");
+      }
+      if (validation.onInvalid !== undefined && !VALIDATION_ACTIONS.includes(validation.onInvalid)) {
+        push("validation.onInvalid", `must be one of ${VALIDATION_ACTIONS.join(", ")}`);
+      }
+    }
+  }
+  if (analysis.structuredOutputs !== undefined && typeof analysis.structuredOutputs !== "boolean") {
+    push("structuredOutputs", "expected a boolean");
+  }
+  if (analysis.realtimeThreshold !== undefined && !(Number.isInteger(analysis.realtimeThreshold) && analysis.realtimeThreshold >= 0)) {
+    push("realtimeThreshold", "must be a non-negative integer");
+  }
+
+  errors.push(...withPaths(validateModel(analysis.model), "analysis.model"));
+  return errors;
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HELPERS                                                         */
+/* ─────────────────────────────────────────────────────────────── */
+
+/**
+ * The section validators return messages like "output.destination.mode must
+ * be …" or "output.fieldMapping.Foo__c: invalid …"; the leading dotted path
+ * becomes the JSON path, anything else is reported against `section`.
+ */
+function withPaths(messages, section) {
+  return messages.map((text) => {
+    // "path: message" first, so mapped field names with spaces stay whole
+    const match = text.match(/^([^:]+):\s+([\s\S]*)$/) || text.match(/^(\S+)\s+([\s\S]*)$/);
+    const [, path, message] = match || [];
+    if (match && (path === section || path.startsWith(`${section}.`))) {
+      return { path: `$.${path}`, message };
+    }
+    return { path: `$.${section}`, message: text };
+  });
+}
+
+function isApiName(value) {
+  return typeof value === "string" && API_NAME_PATTERN.test(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+module.exports = {
+  validateRunConfig,
+  validateSource,
+  validateAnalysis,
+};
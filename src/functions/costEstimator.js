@@ -0,0 +1,181 @@
+/**
+ * InsightFlow - Cost Estimator
+ * Projects the tokens and cost of a dataset before it is submitted, checks
+ * them against the run and daily budgets and prices actual usage from results
+ */
+
+// USD per 1M tokens, keyed by deployment name; MODEL_PRICES (JSON) adds or
+// overrides entries, "*" applies to deployments without their own entry
+const DEFAULT_PRICES = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o-mini-batch": { input: 0.075, output: 0.3 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-batch": { input: 1.25, output: 5 },
+};
+const TOKENS_PER_PRICE_UNIT = 1000000;
+const PRICES = { ...DEFAULT_PRICES, ...parsePrices(process.env.MODEL_PRICES) };
+
+// Output tokens expected per record (capped by the run's maxTokens); budget.expectedOutputTokens overrides
+const ESTIMATED_OUTPUT_TOKENS = parseInt(process.env.ESTIMATED_OUTPUT_TOKENS, 10) || 300;
+const RUN_BUDGET = parseBudget(process.env.RUN_BUDGET_USD);
+const DAILY_BUDGET = parseBudget(process.env.DAILY_BUDGET_USD);
+const BUDGET_ACTIONS = ["refuse", "approval"];
+const DEFAULT_ON_EXCEED = BUDGET_ACTIONS.includes(process.env.BUDGET_ON_EXCEED) ? process.env.BUDGET_ON_EXCEED : "refuse";
+
+function parsePrices(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch {
+    // Invalid JSON: keep the default prices
+    return {};
+  }
+}
+
+function parseBudget(value) {
+  const budget = parseFloat(value);
+  return Number.isFinite(budget) ? budget : null;
+}
+
+function priceFor(deployment) {
+  return PRICES[deployment] || PRICES["*"] || null;
+}
+
+function cost(deployment, promptTokens, outputTokens) {
+  const price = priceFor(deployment);
+  if (!price) return null;
+  return roundCost((promptTokens * price.input + outputTokens * price.output) / TOKENS_PER_PRICE_UNIT);
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function formatCost(value) {
+  return `$${value.toFixed(value >= 1 ? 2 : 4)}`;
+}
+
+/**
+ * Projected usage of a set of requests (batchSubmitter.buildBatchRequests).
+ *
+ * @param {Array<{ estimatedTokens: number }>} requests
+ * @param {{ deployment, maxTokens }} settings - modelSettings.resolveModel()
+ * @returns {{ deployment, requestCount, promptTokens, outputTokens, totalTokens, cost, currency }}
+ *   `cost` is null when the deployment has no price
+ */
+function estimateRun(requests, settings, config) {
+  const perRecordOutput = Math.min(config?.budget?.expectedOutputTokens ?? ESTIMATED_OUTPUT_TOKENS, settings.maxTokens);
+  const promptTokens = requests.reduce((sum, r) => sum + r.estimatedTokens, 0);
+  const outputTokens = perRecordOutput * requests.length;
+
+  return {
+    deployment: settings.deployment,
+    requestCount: requests.length,
+    promptTokens,
+    outputTokens,
+    totalTokens: promptTokens + outputTokens,
+    cost: cost(settings.deployment, promptTokens, outputTokens),
+    currency: "USD",
+  };
+}
+
+/**
+ * Actual usage reported on batch/real-time result lines (response.body.usage).
+ */
+function usageFromResults(results, deployment) {
+  let promptTokens = 0;
+  let outputTokens = 0;
+  let requestCount = 0;
+
+  for (const result of results) {
+    const usage = result.response?.body?.usage;
+    if (!usage) continue;
+    requestCount++;
+    promptTokens += usage.prompt_tokens || 0;
+    outputTokens += usage.completion_tokens || 0;
+  }
+
+  return {
+    deployment,
+    requestCount,
+    promptTokens,
+    outputTokens,
+    totalTokens: promptTokens + outputTokens,
+    cost: cost(deployment, promptTokens, outputTokens),
+    currency: "USD",
+  };
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* BUDGETS                                                         */
+/* budget.maxCost (or RUN_BUDGET_USD) caps one run and             */
+/* DAILY_BUDGET_USD the projected cost submitted per UTC day       */
+/* ─────────────────────────────────────────────────────────────── */
+
+/**
+ * @param {object} estimate - estimateRun() result
+ * @param {object} config - run config
+ * @param {{ projectedCost: number }|null} spend - today's spend (see batchJobStorage.reserveSpend)
+ * @returns {{ exceeded: boolean, reasons: string[], onExceed: "refuse"|"approval", runBudget, dailyBudget }}
+ */
+function checkBudget(estimate, config, spend) {
+  const budget = config?.budget || {};
+  const runBudget = budget.maxCost ?? RUN_BUDGET;
+  const dailyBudget = DAILY_BUDGET;
+  const reasons = [];
+
+  if (estimate.cost === null && (runBudget !== null || dailyBudget !== null)) {
+    reasons.push(`no price configured for deployment ${estimate.deployment}`);
+  } else if (estimate.cost !== null) {
+    if (runBudget !== null && estimate.cost > runBudget) {
+      reasons.push(`projected cost ${formatCost(estimate.cost)} exceeds the run budget of ${formatCost(runBudget)}`);
+    }
+    const spentToday = spend?.projectedCost || 0;
+    if (dailyBudget !== null && spentToday + estimate.cost > dailyBudget) {
+      reasons.push(`projected cost ${formatCost(estimate.cost)} on top of ${formatCost(spentToday)} today exceeds the daily budget of ${formatCost(dailyBudget)}`);
+    }
+  }
+
+  return {
+    exceeded: reasons.length > 0,
+    reasons,
+    onExceed: budget.onExceed || DEFAULT_ON_EXCEED,
+    runBudget,
+    dailyBudget,
+  };
+}
+
+/**
+ * Check a config's `budget` section; returns a list of error messages.
+ */
+function validateBudget(budget) {
+  if (budget === undefined || budget === null) return [];
+  if (typeof budget !== "object" || Array.isArray(budget)) return ["budget must be an object"];
+
+  const errors = [];
+  if (budget.maxCost !== undefined && !(typeof budget.maxCost === "number" && budget.maxCost >= 0)) {
+    errors.push("budget.maxCost must be a non-negative number");
+  }
+  if (budget.onExceed !== undefined && !BUDGET_ACTIONS.includes(budget.onExceed)) {
+    errors.push(`budget.onExceed must be one of ${BUDGET_ACTIONS.join(", ")}`);
+  }
+  if (budget.expectedOutputTokens !== undefined && !(Number.isInteger(budget.expectedOutputTokens) && budget.expectedOutputTokens > 0)) {
+    errors.push("budget.expectedOutputTokens must be a positive integer");
+  }
+  return errors;
+}
+
+/** UTC day used to key daily spend */
+function spendDate(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  priceFor,
+  estimateRun,
+  usageFromResults,
+  checkBudget,
+  validateBudget,
+  spendDate,
+  roundCost,
+};
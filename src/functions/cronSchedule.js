@@ -0,0 +1,142 @@
+/**
+ * InsightFlow - Cron Schedule
+ * Five-field cron expressions for analysis schedules, evaluated in UTC:
+ * minute hour day-of-month month day-of-week, with *, lists, ranges, steps,
+ * month/day names (JAN, MON) and the @hourly/@daily/@weekly/@monthly macros
+ */
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"] },
+  { name: "day of week", min: 0, max: 7, names: ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"] },
+];
+
+const MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+};
+
+// Expressions that never match (e.g. 30 February) stop the search here
+const MAX_SEARCH_YEARS = 5;
+const MINUTE_MS = 60000;
+
+/**
+ * Parse an expression into sets of allowed values. Throws on invalid syntax.
+ */
+function parseCron(expression) {
+  if (typeof expression !== "string") throw new Error("expected a string");
+  const text = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`expected ${FIELDS.length} fields (minute hour day-of-month month day-of-week), got ${parts.length}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  // Sunday is both 0 and 7
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard cron: when both day fields are restricted, either one matching is enough
+    anyDay: !parts[2].startsWith("*") && !parts[4].startsWith("*"),
+  };
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const item of text.split(",")) {
+    const [range, stepText, ...extra] = item.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (extra.length > 0 || !Number.isInteger(step) || step < 1) {
+      throw new Error(`invalid step in ${field.name} "${item}"`);
+    }
+
+    let start;
+    let end;
+    if (range === "*") {
+      [start, end] = [field.min, field.max];
+    } else {
+      const [from, to, ...rest] = range.split("-");
+      if (rest.length > 0) throw new Error(`invalid range in ${field.name} "${item}"`);
+      start = parseValue(from, field);
+      end = to === undefined ? (stepText === undefined ? start : field.max) : parseValue(to, field);
+      if (end < start) throw new Error(`invalid range in ${field.name} "${item}"`);
+    }
+
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+
+  return values;
+}
+
+function parseValue(text, field) {
+  const nameIndex = field.names ? field.names.indexOf(String(text).toUpperCase()) : -1;
+  if (nameIndex !== -1) return nameIndex + (field.name === "month" ? 1 : 0);
+
+  const value = /^\d+$/.test(text) ? Number(text) : NaN;
+  if (!(value >= field.min && value <= field.max)) {
+    throw new Error(`${field.name} "${text}" out of range ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+/**
+ * Check an expression; returns a list of error messages.
+ */
+function validateCron(expression) {
+  try {
+    return nextRun(expression) ? [] : ["expression never matches"];
+  } catch (err) {
+    return [err.message];
+  }
+}
+
+/**
+ * First matching minute strictly after `after`, or null when the expression
+ * doesn't match within MAX_SEARCH_YEARS.
+ */
+function nextRun(expression, after = new Date()) {
+  const cron = parseCron(expression);
+  const date = new Date(Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  const limit = date.getUTCFullYear() + MAX_SEARCH_YEARS;
+
+  while (date.getUTCFullYear() <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+function dayMatches(cron, date) {
+  const dayOfMonth = cron.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getUTCDay());
+  return cron.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+}
+
+module.exports = {
+  parseCron,
+  validateCron,
+  nextRun,
+};
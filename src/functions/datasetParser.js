@@ -0,0 +1,254 @@
+/**
+ * InsightFlow - Dataset Parser
+ * Turns dataset blobs written by ADF into record arrays: JSON array, JSON Lines,
+ * CSV or TSV, optionally gzip-compressed
+ */
+
+const { BlobServiceClient } = require("@azure/storage-blob");
+const zlib = require("zlib");
+
+const STORAGE_CONNECTION_STRING = process.env.AZURE_STORAGE_CONNECTION_STRING || process.env.AzureWebJobsStorage;
+
+const FORMATS = ["auto", "json", "jsonl", "csv", "tsv"];
+
+/**
+ * Parse a dataset blob. Format comes from `options.format`, else the file
+ * extension (.json, .jsonl/.ndjson, .csv, .tsv, each optionally .gz), else
+ * the content itself.
+ *
+ * @param {Buffer|string} data
+ * @param {string} fileName
+ * @param {{ format?: string, delimiter?: string, encoding?: string, quote?: string, columns?: string[] }} options
+ *   (the run config's `dataset` section)
+ * @returns {{ format: string, compressed: boolean, total: number, records: object[],
+ *             errors: Array<{line: number, error: string, raw: string}> }}
+ *   `total` counts every data row/line, parsed or not
+ */
+function parseDataset(data, fileName = "", options = {}) {
+  let buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, "utf8");
+  let name = fileName.toLowerCase();
+
+  const compressed = name.endsWith(".gz") || isGzip(buffer);
+  if (compressed) {
+    buffer = zlib.gunzipSync(buffer);
+    name = name.replace(/\.gz$/, "");
+  }
+
+  const text = decode(buffer, options.encoding);
+  const format = detectFormat(name, text, options.format);
+
+  const { records, errors } = format === "csv" || format === "tsv"
+    ? parseDelimited(text, {
+      delimiter: options.delimiter || (format === "tsv" ? "\t" : sniffDelimiter(text)),
+      quote: options.quote,
+      columns: options.columns,
+    })
+    : parseJson(text);
+
+  return { format, compressed, total: records.length + errors.length, records, errors };
+}
+
+/**
+ * Check a config's `dataset` section; returns a list of error messages.
+ */
+function validateDatasetOptions(options) {
+  if (options === undefined || options === null) return [];
+  if (typeof options !== "object" || Array.isArray(options)) return ["dataset must be an object"];
+
+  const errors = [];
+  if (options.format !== undefined && !FORMATS.includes(options.format)) {
+    errors.push(`dataset.format must be one of ${FORMATS.join(", ")}`);
+  }
+  for (const key of ["delimiter", "quote"]) {
+    if (options[key] !== undefined && (typeof options[key] !== "string" || options[key].length !== 1)) {
+      errors.push(`dataset.${key} must be a single character`);
+    }
+  }
+  if (options.encoding !== undefined) {
+    try {
+      new TextDecoder(options.encoding);
+    } catch {
+      errors.push(`dataset.encoding "${options.encoding}" is not supported`);
+    }
+  }
+  if (options.maxRejectedRatio !== undefined && !(typeof options.maxRejectedRatio === "number" && options.maxRejectedRatio >= 0 && options.maxRejectedRatio <= 1)) {
+    errors.push("dataset.maxRejectedRatio must be a number between 0 and 1");
+  }
+  if (options.maxRejectedRows !== undefined && !(Number.isInteger(options.maxRejectedRows) && options.maxRejectedRows >= 0)) {
+    errors.push("dataset.maxRejectedRows must be a non-negative integer");
+  }
+  if (options.columns !== undefined && !(Array.isArray(options.columns) && options.columns.every((c) => typeof c === "string"))) {
+    errors.push("dataset.columns must be an array of column names");
+  }
+  return errors;
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* FORMAT DETECTION                                                */
+/* ─────────────────────────────────────────────────────────────── */
+function isGzip(buffer) {
+  return buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+function decode(buffer, encoding = "utf-8") {
+  // TextDecoder strips a UTF-8/UTF-16 BOM and supports legacy encodings (e.g. windows-1252)
+  return new TextDecoder(encoding).decode(buffer);
+}
+
+function detectFormat(name, text, format) {
+  if (format && format !== "auto") return format;
+
+  if (/\.(jsonl|ndjson)$/.test(name)) return "jsonl";
+  if (/\.json$/.test(name)) return "json";
+  if (/\.tsv$/.test(name)) return "tsv";
+  if (/\.csv$/.test(name)) return "csv";
+
+  const first = text.trimStart()[0];
+  if (first === "[" || first === "{") return "json";
+  return sniffDelimiter(text) === "\t" ? "tsv" : "csv";
+}
+
+function sniffDelimiter(text) {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  const counts = [",", "\t", ";", "|"].map((d) => [d, header.split(d).length - 1]);
+  const [delimiter, count] = counts.reduce((best, c) => (c[1] > best[1] ? c : best));
+  return count > 0 ? delimiter : ",";
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* JSON / JSON LINES                                               */
+/* ─────────────────────────────────────────────────────────────── */
+function parseJson(content) {
+  // Leading lines are kept so reported line numbers match the file
+  const clean = content.replace(/^\uFEFF/, "").trimEnd();
+  if (!clean.trim()) return { records: [], errors: [] };
+
+  try {
+    const parsed = JSON.parse(clean);
+    return { records: Array.isArray(parsed) ? parsed : [parsed], errors: [] };
+  } catch {
+    const records = [];
+    const errors = [];
+    clean.split("\n").forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (err) {
+        errors.push({ line: index + 1, error: err.message, raw: line });
+      }
+    });
+    return { records, errors };
+  }
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* CSV / TSV                                                       */
+/* RFC 4180: header row, quoted fields may contain the delimiter,  */
+/* newlines and doubled quotes                                     */
+/* ─────────────────────────────────────────────────────────────── */
+function parseDelimited(text, { delimiter, quote = '"', columns }) {
+  const rows = splitRows(text.replace(/^\uFEFF/, ""), delimiter, quote);
+  const records = [];
+  const errors = [];
+
+  let header = columns;
+  for (const row of rows) {
+    if (row.error) {
+      errors.push({ line: row.line, error: row.error, raw: row.raw });
+      continue;
+    }
+    if (row.fields.length === 1 && row.fields[0] === "") continue;
+
+    if (!header) {
+      header = row.fields.map((f) => f.trim());
+      continue;
+    }
+    if (row.fields.length !== header.length) {
+      errors.push({
+        line: row.line,
+        error: `expected ${header.length} fields, found ${row.fields.length}`,
+        raw: row.raw,
+      });
+      continue;
+    }
+
+    records.push(Object.fromEntries(header.map((column, i) => [column, row.fields[i]])));
+  }
+
+  return { records, errors };
+}
+
+function splitRows(text, delimiter, quote) {
+  const rows = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  let rowStart = 0;
+
+  const endRow = (end) => {
+    fields.push(field);
+    rows.push({ line: rowLine, fields, raw: text.slice(rowStart, end) });
+    fields = [];
+    field = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === quote && text[i + 1] === quote) {
+        field += quote;
+        i++;
+      } else if (char === quote) {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === quote && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      endRow(i);
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      line++;
+      rowLine = line;
+      rowStart = i + 1;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    rows.push({ line: rowLine, error: "unterminated quoted field", raw: text.slice(rowStart) });
+  } else if (field !== "" || fields.length > 0) {
+    endRow(text.length);
+  }
+
+  return rows;
+}
+
+/**
+ * Download a dataset blob by its "container/name" path (as stored on batch jobs).
+ */
+async function readDatasetBlob(blobPath) {
+  if (!STORAGE_CONNECTION_STRING) throw new Error("Storage not configured");
+  const [containerName, ...rest] = blobPath.split("/");
+  const client = BlobServiceClient.fromConnectionString(STORAGE_CONNECTION_STRING);
+  const blobClient = client.getContainerClient(containerName).getBlockBlobClient(rest.join("/"));
+  return blobClient.downloadToBuffer();
+}
+
+module.exports = {
+  FORMATS,
+  parseDataset,
+  validateDatasetOptions,
+  readDatasetBlob,
+};
@@ -0,0 +1,270 @@
+/**
+ * InsightFlow - Dataset Submitter
+ * Sends a parsed dataset to Azure OpenAI: as one or more Batch API jobs, or
+ * straight through chat completions when it is small enough. Used by the blob
+ * trigger and by approveRun for datasets held back by a budget.
+ */
+
+const { randomUUID } = require("crypto");
+const batchJobStorage = require("./batchJobStorage");
+const batchSubmitter = require("./batchSubmitter");
+const costEstimator = require("./costEstimator");
+const modelSettings = require("./modelSettings");
+const openAIClientFactory = require("./openAIClient");
+const realtimeAnalyzer = require("./realtimeAnalyzer");
+const { writeOutput, classifyResults } = require("./resultWriter");
+const runTracker = require("./runTracker");
+
+// Datasets at or below this many records skip the Batch API (0 = always batch);
+// analysis.realtimeThreshold overrides it per run
+const REALTIME_THRESHOLD = parseInt(process.env.REALTIME_THRESHOLD, 10) || 0;
+
+function submissionMode(records, config) {
+  const realtimeThreshold = config?.analysis?.realtimeThreshold ?? REALTIME_THRESHOLD;
+  return records.length <= realtimeThreshold ? "realtime" : "batch";
+}
+
+/**
+ * Projected tokens and cost of a dataset's requests on the deployment it will use.
+ */
+function estimateDataset(records, requests, config) {
+  const settings = modelSettings.resolveModel(config, submissionMode(records, config));
+  return costEstimator.estimateRun(requests, settings, config);
+}
+
+/**
+ * Submit a dataset whose budget is reserved (reserveBudget).
+ * @param {{ records, requests, fileName, objectName, config, ingestionReportPath, estimate }} dataset
+ *   `requests` from batchSubmitter.buildBatchRequests(), `estimate` from estimateDataset()
+ */
+async function submitDataset(dataset, context) {
+  const { records, config } = dataset;
+  const configId = config?.configId || null;
+
+  // Small datasets are analyzed right away instead of waiting on a batch
+  if (submissionMode(records, config) === "realtime") {
+    await processRealtime(dataset, context);
+    return;
+  }
+
+  // Validate Azure OpenAI config and initialize client
+  const openAIClient = openAIClientFactory.createClient();
+
+  // One request per record, split into batches within Azure OpenAI limits
+  const chunks = batchSubmitter.chunkRequests(dataset.requests);
+  if (chunks.length > 1) {
+    context.log(`Splitting ${records.length} records into ${chunks.length} batches`);
+  }
+
+  const submitted = await submitChunks(openAIClient, chunks, dataset.fileName, context);
+  // Several batches for one dataset are tracked under a parent group
+  const groupId = submitted.length > 1 ? randomUUID() : null;
+  const created = [];
+  try {
+    await trackSubmission(dataset, submitted, groupId, created, context);
+  } catch (err) {
+    // Untracked batches would still run and be billed, and the trigger retry
+    // submits the dataset again: drop this attempt entirely
+    await cancelBatches(openAIClient, submitted, context);
+    await batchJobStorage
+      .discardJobs(created, groupId)
+      .catch((discardErr) => context.warn(`Failed to discard jobs of ${dataset.fileName}: ${discardErr.message}`));
+    for (const batchId of created) {
+      await runTracker
+        .recordBatch(configId, batchId, { status: "cancelled", completedAt: new Date().toISOString() })
+        .catch((trackErr) => context.warn(`Failed to update run ${configId}: ${trackErr.message}`));
+    }
+    throw err;
+  }
+}
+
+/**
+ * Job records (and the parent group of a split dataset) for submitted batches.
+ * Each batchId is pushed onto `created` once its job is saved.
+ */
+async function trackSubmission(dataset, submitted, groupId, created, context) {
+  const { records, config, estimate } = dataset;
+  const configId = config?.configId || null;
+
+  const model = modelSettings.resolveModel(config, "batch");
+  const common = {
+    inputBlobPath: `datasets/${dataset.fileName}`,
+    objectName: dataset.objectName,
+    configId,
+    pipelineRunId: config?.pipelineRunId || null,
+    config,
+    model,
+    ingestionReportPath: dataset.ingestionReportPath,
+  };
+
+  // The group is created before its member jobs so the checker always finds it
+  if (groupId) {
+    await batchJobStorage.createJobGroup({
+      ...common,
+      groupId,
+      recordCount: records.length,
+      estimate,
+      members: submitted.map(({ batch, chunk }) => ({ batchId: batch.id, recordCount: chunk.requests.length })),
+    });
+    context.log(`Batch group ${groupId} created with ${submitted.length} batches`);
+  }
+
+  for (const [chunkIndex, { inputFile, batch, chunk }] of submitted.entries()) {
+    // Save job for tracking
+    const chunkEstimate = groupId ? costEstimator.estimateRun(chunk.requests, model, config) : estimate;
+    await batchJobStorage.createBatchJob({
+      ...common,
+      batchId: batch.id,
+      inputFileId: inputFile.id,
+      recordCount: chunk.requests.length,
+      estimate: chunkEstimate,
+      groupId,
+      chunkIndex: groupId ? chunkIndex : null,
+      chunkRange: groupId ? { start: chunk.start, end: chunk.end } : null,
+    });
+    created.push(batch.id);
+
+    await runTracker
+      .recordBatch(configId, batch.id, {
+        status: "pending",
+        recordCount: chunk.requests.length,
+        groupId,
+        estimatedCost: chunkEstimate?.cost ?? null,
+        submittedAt: new Date().toISOString(),
+      })
+      .catch((err) => context.warn(`Failed to update run ${configId}: ${err.message}`));
+  }
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* SUBMIT CHUNKS                                                   */
+/* All-or-nothing: if a later chunk fails, batches already created */
+/* are cancelled so the blob trigger retry doesn't duplicate them  */
+/* ─────────────────────────────────────────────────────────────── */
+async function submitChunks(openAIClient, chunks, fileName, context) {
+  const submitted = [];
+
+  try {
+    for (const [index, chunk] of chunks.entries()) {
+      const chunkFileName = chunks.length > 1 ? `${fileName}_part${index + 1}` : fileName;
+      const { inputFile, batch } = await batchSubmitter.submitRequests(openAIClient, chunk.requests, chunkFileName, context);
+      submitted.push({ inputFile, batch, chunk });
+    }
+  } catch (err) {
+    await cancelBatches(openAIClient, submitted, context);
+    throw err;
+  }
+
+  return submitted;
+}
+
+async function cancelBatches(openAIClient, submitted, context) {
+  for (const { batch } of submitted) {
+    await openAIClient.batches
+      .cancel(batch.id)
+      .catch((cancelErr) => context.warn(`Failed to cancel batch ${batch.id}: ${cancelErr.message}`));
+  }
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* PROCESS REAL-TIME                                               */
+/* Chat completions per record, then the same output/write-back as */
+/* a finished batch; no batch job record is kept                   */
+/* ─────────────────────────────────────────────────────────────── */
+async function processRealtime({ records, fileName, objectName, config, estimate }, context) {
+  const configId = config?.configId || null;
+  const job = {
+    batchId: `realtime-${randomUUID()}`,
+    inputBlobPath: `datasets/${fileName}`,
+    objectName,
+    configId,
+    pipelineRunId: config?.pipelineRunId || null,
+    config,
+    model: modelSettings.resolveModel(config, "realtime"),
+  };
+
+  context.log(`Analyzing ${records.length} records in real time (${job.batchId})`);
+  await runTracker
+    .recordBatch(configId, job.batchId, {
+      status: "pending",
+      mode: "realtime",
+      model: job.model,
+      recordCount: records.length,
+      estimatedCost: estimate?.cost ?? null,
+      submittedAt: new Date().toISOString(),
+    })
+    .catch((err) => context.warn(`Failed to update run ${configId}: ${err.message}`));
+
+  const openAIClient = realtimeAnalyzer.createClient(config);
+  const results = await realtimeAnalyzer.analyzeRecords(openAIClient, { records, config, objectName }, context);
+  const { succeeded, failedIds } = classifyResults(results, context);
+  const usage = costEstimator.usageFromResults(results, job.model.deployment);
+  await recordActualSpend(`datasets/${fileName}`, usage, context);
+
+  const status = succeeded.length > 0 ? "completed" : "failed";
+  await runTracker
+    .recordBatch(configId, job.batchId, { status, failedCount: failedIds.length, usage, completedAt: new Date().toISOString() })
+    .catch((err) => context.warn(`Failed to update run ${configId}: ${err.message}`));
+
+  if (status === "failed") {
+    context.error(`Real-time analysis failed for all ${records.length} records`);
+    await runTracker
+      .failRun(configId, "batch", "Real-time analysis failed for every record")
+      .catch((err) => context.warn(`Failed to update run ${configId}: ${err.message}`));
+    return;
+  }
+
+  await writeOutput(job, succeeded, failedIds, context);
+}
+
+async function recordActualSpend(key, usage, context) {
+  if (!usage.cost) return;
+  await batchJobStorage
+    .recordSpend(costEstimator.spendDate(), key, { actualCost: usage.cost })
+    .catch((err) => context.warn(`Failed to record actual spend: ${err.message}`));
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* BUDGET RESERVATION                                              */
+/* The projected cost is checked against the budgets and added to  */
+/* today's spend in one update, before anything is submitted       */
+/* ─────────────────────────────────────────────────────────────── */
+/**
+ * Reserve `estimate.cost` under `key` (the dataset, or the job a retry
+ * resubmits): a trigger retry of the same dataset replaces its reservation
+ * instead of adding to it. A dataset approved over budget is reserved without
+ * the check. When a daily budget is set and today's spend can't be read, the
+ * dataset is held: this throws (err.code SPEND_UNAVAILABLE) and nothing is
+ * submitted.
+ * @returns {object} costEstimator.checkBudget() result; nothing was reserved if exceeded
+ */
+async function reserveBudget(key, estimate, config, context, { approved = false } = {}) {
+  const check = (spend) => (approved ? { exceeded: false, reasons: [] } : costEstimator.checkBudget(estimate, config, spend));
+  try {
+    return await batchJobStorage.reserveSpend(costEstimator.spendDate(), key, estimate.cost, check);
+  } catch (err) {
+    const budget = check(null);
+    if (approved || budget.exceeded || budget.dailyBudget === null) {
+      context.warn(`Failed to record projected spend: ${err.message}`);
+      return budget;
+    }
+    const unavailable = new Error(`Today's spend could not be read, so the daily budget can't be checked: ${err.message}`);
+    unavailable.code = "SPEND_UNAVAILABLE";
+    throw unavailable;
+  }
+}
+
+/** Give back a reservation whose submission failed for good */
+async function releaseBudget(key, context) {
+  await batchJobStorage
+    .recordSpend(costEstimator.spendDate(), key, { projectedCost: 0 })
+    .catch((err) => context.warn(`Failed to release projected spend: ${err.message}`));
+}
+
+module.exports = {
+  submissionMode,
+  estimateDataset,
+  reserveBudget,
+  releaseBudget,
+  submitDataset,
+};
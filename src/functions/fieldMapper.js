@@ -0,0 +1,160 @@
+/**
+ * InsightFlow - Field Mapper
+ * Maps insight paths to individual Salesforce fields via `output.fieldMapping`,
+ * e.g. { "Sentiment__c": { "path": "sentiment", "type": "picklist", "values": "Positive|Negative" } }
+ *
+ * Paths: "a.b" (nested), "items[0]" (index), "items[]" (whole array), "items[].name" (pluck)
+ * Types: string (default), number, boolean, date, datetime, picklist
+ */
+
+const { parseOptions } = require("./insightSchema");
+
+const FIELD_TYPES = ["string", "number", "boolean", "date", "datetime", "picklist"];
+const DEFAULT_JOIN = "; ";
+const BOOLEAN_STRINGS = { true: true, false: false, yes: true, no: false, "1": true, "0": false };
+
+/**
+ * Normalize a mapping entry: a bare string is shorthand for { path }.
+ */
+function normalizeEntry(entry) {
+  return typeof entry === "string" ? { path: entry } : entry || {};
+}
+
+/**
+ * Check a fieldMapping config; returns a list of error messages (empty when valid).
+ * `reservedFields` are written by InsightFlow itself (see writeBackTarget.systemFields).
+ */
+function validateFieldMapping(mapping, reservedFields = []) {
+  if (mapping === undefined || mapping === null) return [];
+  if (typeof mapping !== "object" || Array.isArray(mapping)) return ["output.fieldMapping must be an object"];
+
+  const errors = [];
+  for (const [field, rawEntry] of Object.entries(mapping)) {
+    const entry = normalizeEntry(rawEntry);
+    const where = `output.fieldMapping.${field}`;
+
+    if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(field)) errors.push(`${where}: invalid Salesforce field name`);
+    if (reservedFields.includes(field)) errors.push(`${where}: ${field} is always set by InsightFlow`);
+    if (typeof entry.path !== "string" || !entry.path.trim()) errors.push(`${where}: path is required`);
+    if (entry.type && !FIELD_TYPES.includes(entry.type)) {
+      errors.push(`${where}: unknown type "${entry.type}" (expected ${FIELD_TYPES.join(", ")})`);
+    }
+    if (entry.type === "picklist" && parseOptions(entry.values).length === 0) {
+      errors.push(`${where}: picklist requires values`);
+    }
+    if (entry.maxLength !== undefined && !(Number.isInteger(entry.maxLength) && entry.maxLength > 0)) {
+      errors.push(`${where}: maxLength must be a positive integer`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Apply the mapping to one record's insights.
+ *
+ * @returns {{ fields: object, issues: Array<{field: string, message: string}> }}
+ */
+function mapInsights(insights, mapping) {
+  const fields = {};
+  const issues = [];
+
+  for (const [field, rawEntry] of Object.entries(mapping || {})) {
+    const entry = normalizeEntry(rawEntry);
+    const value = resolvePath(insights, entry.path);
+    const issue = (message) => issues.push({ field, message });
+    fields[field] = transformValue(value, entry, issue);
+  }
+
+  return { fields, issues };
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* RESOLVE INSIGHT PATHS                                           */
+/* ─────────────────────────────────────────────────────────────── */
+function resolvePath(value, path) {
+  const segments = String(path).match(/[^.[\]]+|\[\d*\]/g) || [];
+  return walk(value, segments);
+}
+
+function walk(value, segments) {
+  if (segments.length === 0) return value;
+  if (value === null || value === undefined) return null;
+
+  const [segment, ...rest] = segments;
+  if (segment === "[]") {
+    if (!Array.isArray(value)) return null;
+    return value.map((item) => walk(item, rest)).filter((item) => item !== null && item !== undefined);
+  }
+  if (/^\[\d+\]$/.test(segment)) {
+    return Array.isArray(value) ? walk(value[Number(segment.slice(1, -1))], rest) : null;
+  }
+  return typeof value === "object" ? walk(value[segment], rest) : null;
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* TRANSFORMS                                                      */
+/* ─────────────────────────────────────────────────────────────── */
+function transformValue(value, entry, issue) {
+  if (value === undefined || value === null) return entry.default ?? null;
+
+  switch (entry.type) {
+    case "number": {
+      const number = typeof value === "number" ? value : Number(value);
+      if (typeof value === "boolean" || value === "" || !Number.isFinite(number)) {
+        issue(`expected a number, got ${JSON.stringify(value)}`);
+        return null;
+      }
+      return Number.isInteger(entry.scale) ? Number(number.toFixed(entry.scale)) : number;
+    }
+
+    case "boolean":
+      if (typeof value === "boolean") return value;
+      if (String(value).trim().toLowerCase() in BOOLEAN_STRINGS) return BOOLEAN_STRINGS[String(value).trim().toLowerCase()];
+      issue(`expected a boolean, got ${JSON.stringify(value)}`);
+      return null;
+
+    case "date":
+    case "datetime": {
+      const date = new Date(value);
+      if (typeof value === "boolean" || Number.isNaN(date.getTime())) {
+        issue(`expected a ${entry.type}, got ${JSON.stringify(value)}`);
+        return null;
+      }
+      return entry.type === "date" ? date.toISOString().slice(0, 10) : date.toISOString();
+    }
+
+    case "picklist": {
+      const values = parseOptions(entry.values);
+      const text = String(value).trim();
+      const match = values.find((v) => v === text) || values.find((v) => v.toLowerCase() === text.toLowerCase());
+      if (!match) {
+        issue(`${JSON.stringify(value)} is not one of [${values.join(", ")}]`);
+        return entry.default ?? null;
+      }
+      return match;
+    }
+
+    default:
+      return truncate(toText(value, entry.join ?? DEFAULT_JOIN), entry.maxLength);
+  }
+}
+
+function toText(value, separator) {
+  if (Array.isArray(value)) {
+    return value.map((item) => (typeof item === "object" ? JSON.stringify(item) : String(item))).join(separator);
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function truncate(str, maxLength) {
+  if (!maxLength || str.length <= maxLength) return str;
+  return maxLength > 3 ? str.substring(0, maxLength - 3) + "..." : str.substring(0, maxLength);
+}
+
+module.exports = {
+  FIELD_TYPES,
+  validateFieldMapping,
+  mapInsights,
+  resolvePath,
+};
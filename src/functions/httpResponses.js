@@ -0,0 +1,37 @@
+/**
+ * InsightFlow - HTTP Responses
+ * CORS preflight and JSON responses shared by the HTTP triggers
+ */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Content-Type": "application/json",
+};
+
+/**
+ * 204 answer to an OPTIONS request; `methods` e.g. "GET" or "GET, POST".
+ * `allowHeaders` lists request headers a trigger reads beyond the usual ones.
+ */
+function preflight(methods, allowHeaders = []) {
+  return {
+    status: 204,
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": `${methods}, OPTIONS`,
+      "Access-Control-Allow-Headers": ["Content-Type", "Authorization", "x-functions-key", ...allowHeaders].join(", "),
+    },
+  };
+}
+
+/**
+ * JSON response with the CORS headers (plus any extra `headers`).
+ */
+function respond(status, body, headers = {}) {
+  return { status, headers: { ...corsHeaders, ...headers }, body: JSON.stringify(body) };
+}
+
+module.exports = {
+  corsHeaders,
+  preflight,
+  respond,
+};
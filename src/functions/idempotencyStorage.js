@@ -0,0 +1,210 @@
+/**
+ * InsightFlow - Idempotency Storage
+ * Keeps a retried triggerPipeline request from starting a second run: an
+ * Idempotency-Key replays the original response for IDEMPOTENCY_WINDOW_HOURS,
+ * and an identical config for the same object replays it while that run is active
+ */
+
+const crypto = require("crypto");
+const { BlobServiceClient } = require("@azure/storage-blob");
+const runTracker = require("./runTracker");
+
+const STORAGE_CONNECTION_STRING = process.env.AZURE_STORAGE_CONNECTION_STRING || process.env.AzureWebJobsStorage;
+const CONTAINER = "idempotency-keys";
+const MAX_CLAIM_ATTEMPTS = 5;
+
+const WINDOW_MS = (parseFloat(process.env.IDEMPOTENCY_WINDOW_HOURS) || 24) * 3600000;
+// A request that died while starting its run stops blocking retries after this
+const PENDING_TIMEOUT_MS = 5 * 60000;
+const MAX_KEY_LENGTH = 255;
+
+// keys/<sha256 of key>.json                    - one record per Idempotency-Key
+// configs/<object>/<sha256 of config>.json     - one record per distinct config
+
+async function getContainer() {
+  if (!STORAGE_CONNECTION_STRING) throw new Error("Storage not configured");
+  const client = BlobServiceClient.fromConnectionString(STORAGE_CONNECTION_STRING);
+  const container = client.getContainerClient(CONTAINER);
+  await container.createIfNotExists();
+  return container;
+}
+
+async function streamToString(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", (d) => chunks.push(d.toString()));
+    stream.on("end", () => resolve(chunks.join("")));
+    stream.on("error", reject);
+  });
+}
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// JSON with object keys sorted, so key order in the request body doesn't matter
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function fingerprint(config) {
+  return sha256(canonicalJson(config));
+}
+
+function validateKey(key) {
+  return typeof key === "string" && key.trim().length > 0 && key.length <= MAX_KEY_LENGTH
+    ? []
+    : [`Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`];
+}
+
+/**
+ * Reserve a request before its run is started. Resolves to one of
+ * - `{ lock }`: start the run, then call complete() or release()
+ * - `{ replay: { status, body } }`: an earlier request already started it
+ * - `{ conflict: { status, error } }`: an earlier request is still starting it,
+ *   or the key was used with a different body
+ *
+ * @param {string|null} key - Idempotency-Key header value
+ * @param {object} config - request body, before the launcher modifies it
+ */
+async function acquire(key, config, context) {
+  const container = await getContainer();
+  const hash = fingerprint(config);
+
+  const claims = [];
+  if (key) claims.push({ kind: "key", blobName: `keys/${sha256(key)}.json` });
+  if (typeof config?.source?.object === "string") {
+    claims.push({ kind: "config", blobName: `configs/${config.source.object.toLowerCase()}/${hash}.json` });
+  }
+
+  const held = [];
+  for (const claim of claims) {
+    const outcome = await claimRecord(container, claim, hash, context);
+    if (!outcome.etag) {
+      await release({ held }).catch((err) => context.warn(`Failed to release idempotency lock: ${err.message}`));
+      return outcome;
+    }
+    held.push({ ...claim, etag: outcome.etag });
+  }
+
+  return { lock: { held } };
+}
+
+async function claimRecord(container, claim, hash, context) {
+  const blobClient = container.getBlockBlobClient(claim.blobName);
+
+  for (let attempt = 1; attempt <= MAX_CLAIM_ATTEMPTS; attempt++) {
+    let existing = null;
+    let etag = null;
+    if (await blobClient.exists()) {
+      const response = await blobClient.download(0);
+      existing = JSON.parse(await streamToString(response.readableStreamBody));
+      etag = response.etag;
+    }
+
+    if (existing && (await isLive(existing, claim.kind, context))) {
+      if (existing.fingerprint !== hash) {
+        return { conflict: { status: 422, error: "Idempotency-Key was already used with a different request body" } };
+      }
+      if (existing.status === "pending") {
+        return {
+          conflict: {
+            status: 409,
+            error: claim.kind === "key"
+              ? "A request with this Idempotency-Key is still being processed"
+              : "An identical run for this object is still being started",
+          },
+        };
+      }
+      return { replay: existing.response };
+    }
+
+    const now = new Date();
+    const record = {
+      kind: claim.kind,
+      fingerprint: hash,
+      status: "pending",
+      configId: null,
+      response: null,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + WINDOW_MS).toISOString(),
+    };
+    const content = JSON.stringify(record, null, 2);
+    try {
+      const result = await blobClient.upload(content, Buffer.byteLength(content), {
+        blobHTTPHeaders: { blobContentType: "application/json" },
+        conditions: etag ? { ifMatch: etag } : { ifNoneMatch: "*" },
+      });
+      return { etag: result.etag };
+    } catch (err) {
+      // Claimed concurrently: read it again and replay or report that one
+      if ((err.statusCode !== 409 && err.statusCode !== 412) || attempt === MAX_CLAIM_ATTEMPTS) throw err;
+    }
+  }
+
+  return { conflict: { status: 409, error: "A request with this Idempotency-Key is still being processed" } };
+}
+
+/**
+ * Key records count for the whole window; config records only while their
+ * run is still active, so the same config can run again once it finished.
+ * A run that completed empty or is stuck (see runTracker.getActiveRun) is
+ * not active, so it is never replayed in place of a new one.
+ */
+async function isLive(record, kind, context) {
+  const now = Date.now();
+  if (new Date(record.expiresAt).getTime() <= now) return false;
+  if (record.status === "pending") return new Date(record.createdAt).getTime() + PENDING_TIMEOUT_MS > now;
+  if (kind === "key") return true;
+  if (!record.configId) return false;
+  return (await runTracker.getActiveRun(record.configId, context)) !== null;
+}
+
+/**
+ * Store the response of a started run so retries replay it.
+ */
+async function complete(lock, response) {
+  const container = await getContainer();
+  for (const claim of lock.held) {
+    const blobClient = container.getBlockBlobClient(claim.blobName);
+    const current = await blobClient.download(0);
+    const record = JSON.parse(await streamToString(current.readableStreamBody));
+    Object.assign(record, {
+      status: "completed",
+      configId: response.body?.configId || null,
+      response,
+      completedAt: new Date().toISOString(),
+    });
+
+    const content = JSON.stringify(record, null, 2);
+    await blobClient.upload(content, Buffer.byteLength(content), {
+      blobHTTPHeaders: { blobContentType: "application/json" },
+      conditions: { ifMatch: claim.etag },
+    });
+  }
+}
+
+/**
+ * Drop the reservation of a request that started no run, so it can be retried.
+ */
+async function release(lock) {
+  const container = await getContainer();
+  for (const claim of lock.held) {
+    await container.getBlockBlobClient(claim.blobName).deleteIfExists({ conditions: { ifMatch: claim.etag } });
+  }
+}
+
+module.exports = {
+  validateKey,
+  acquire,
+  complete,
+  release,
+};
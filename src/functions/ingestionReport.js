@@ -0,0 +1,120 @@
+/**
+ * InsightFlow - Ingestion Report
+ * Records how a dataset blob parsed, quarantines rejected rows and decides
+ * whether too many were rejected to submit the rest
+ */
+
+const { BlobServiceClient } = require("@azure/storage-blob");
+const batchJobStorage = require("./batchJobStorage");
+
+const STORAGE_CONNECTION_STRING = process.env.AZURE_STORAGE_CONNECTION_STRING || process.env.AzureWebJobsStorage;
+const QUARANTINE_CONTAINER = process.env.QUARANTINE_CONTAINER || "quarantine";
+
+// Unset = never refuse; dataset.maxRejectedRatio / maxRejectedRows override per run
+const MAX_REJECTED_RATIO = process.env.INGESTION_MAX_REJECTED_RATIO !== undefined
+  ? parseFloat(process.env.INGESTION_MAX_REJECTED_RATIO)
+  : null;
+const MAX_REPORTED_ERROR_LENGTH = 500;
+
+/**
+ * Build, quarantine and save the ingestion report for a parsed dataset.
+ *
+ * @param {string} fileName - blob name within datasets/
+ * @param {{ format, compressed, total, records, errors }} parsed - parseDataset() result
+ * @returns {Promise<object>} the report, with `status` "accepted" or "refused" and `reportPath`
+ */
+async function recordIngestion(fileName, parsed, config, context) {
+  const options = config?.dataset || {};
+  const rejected = parsed.errors.length;
+  const rejectedRatio = parsed.total > 0 ? rejected / parsed.total : 0;
+  const maxRejectedRatio = options.maxRejectedRatio ?? MAX_REJECTED_RATIO;
+  const maxRejectedRows = options.maxRejectedRows ?? null;
+
+  const refusedBy = [];
+  if (maxRejectedRatio !== null && rejectedRatio > maxRejectedRatio) {
+    refusedBy.push(`${(rejectedRatio * 100).toFixed(1)}% of rows rejected (limit ${(maxRejectedRatio * 100).toFixed(1)}%)`);
+  }
+  if (maxRejectedRows !== null && rejected > maxRejectedRows) {
+    refusedBy.push(`${rejected} rows rejected (limit ${maxRejectedRows})`);
+  }
+
+  const report = {
+    datasetPath: `datasets/${fileName}`,
+    configId: config?.configId || null,
+    format: parsed.format,
+    compressed: parsed.compressed,
+    totalLines: parsed.total,
+    parsed: parsed.records.length,
+    rejected,
+    rejectedRatio: Number(rejectedRatio.toFixed(4)),
+    maxRejectedRatio,
+    maxRejectedRows,
+    status: refusedBy.length > 0 ? "refused" : "accepted",
+    reason: refusedBy.length > 0 ? refusedBy.join("; ") : null,
+    quarantinePath: null,
+    rejectedLines: parsed.errors.map((e) => ({ line: e.line, error: truncate(e.error) })),
+    createdAt: new Date().toISOString(),
+  };
+
+  if (rejected > 0) {
+    report.quarantinePath = await quarantineRows(fileName, parsed.errors, context);
+  }
+
+  let reportPath = null;
+  try {
+    reportPath = `batch-jobs/${await batchJobStorage.saveIngestionReport(fileName, report)}`;
+  } catch (err) {
+    context.warn(`Failed to save ingestion report for ${fileName}: ${err.message}`);
+  }
+  return { ...report, reportPath };
+}
+
+/**
+ * Summary kept on the run and batch jobs (the full report stays in its blob).
+ */
+function summarizeIngestion(report) {
+  return {
+    status: report.status,
+    totalLines: report.totalLines,
+    parsed: report.parsed,
+    rejected: report.rejected,
+    reportPath: report.reportPath,
+    quarantinePath: report.quarantinePath,
+  };
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* QUARANTINE                                                      */
+/* Rejected rows keep their original text so they can be fixed     */
+/* and re-landed                                                   */
+/* ─────────────────────────────────────────────────────────────── */
+async function quarantineRows(fileName, errors, context) {
+  try {
+    const blobServiceClient = BlobServiceClient.fromConnectionString(STORAGE_CONNECTION_STRING);
+    const containerClient = blobServiceClient.getContainerClient(QUARANTINE_CONTAINER);
+    await containerClient.createIfNotExists();
+
+    const blobName = `${fileName}.rejected.jsonl`;
+    const content = errors.map((e) => JSON.stringify({ line: e.line, error: e.error, raw: e.raw })).join("\n");
+    await containerClient.getBlockBlobClient(blobName).upload(content, Buffer.byteLength(content), {
+      blobHTTPHeaders: { blobContentType: "application/x-ndjson" },
+    });
+
+    return `${QUARANTINE_CONTAINER}/${blobName}`;
+  } catch (err) {
+    context.warn(`Failed to quarantine rejected rows of ${fileName}: ${err.message}`);
+    return null;
+  }
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HELPERS                                                         */
+/* ─────────────────────────────────────────────────────────────── */
+function truncate(str) {
+  return str.length > MAX_REPORTED_ERROR_LENGTH ? str.substring(0, MAX_REPORTED_ERROR_LENGTH - 3) + "..." : str;
+}
+
+module.exports = {
+  recordIngestion,
+  summarizeIngestion,
+};
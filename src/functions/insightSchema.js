@@ -0,0 +1,306 @@
+/**
+ * InsightFlow - Insight Schema
+ * Validates AI output against the `analysis.schema` DSL used by promptBuilder
+ * (string, number, boolean, enum, flags, object, array with itemType/itemFields)
+ * and compiles the DSL to JSON Schema for structured outputs
+ */
+
+const BOOLEAN_STRINGS = { true: true, false: false, yes: true, no: false, "1": true, "0": false };
+const FIELD_TYPES = ["string", "number", "boolean", "enum", "flags", "object", "array"];
+const ITEM_TYPES = ["string", "number", "boolean", "object"];
+
+/**
+ * Validate insights against a schema. With `coerce`, values that can be repaired
+ * are converted (e.g. "true" → true, "42" → 42, out-of-enum → null, unexpected
+ * fields dropped) and the repaired copy is returned as `value`. Conversions that
+ * keep the value and dropped fields are only coercions; a value replaced by
+ * null (or []) is still an error, so `valid` reflects what couldn't be repaired.
+ *
+ * @returns {{ valid: boolean, errors: Array<{path: string, message: string}>,
+ *             coercions: Array<{path: string, from: *, to: *}>, value: object }}
+ */
+function validateInsights(insights, schema, { coerce = false } = {}) {
+  const state = { errors: [], coercions: [], coerce };
+
+  if (!isPlainObject(insights)) {
+    state.errors.push({ path: "$", message: "expected an object" });
+    return { valid: false, errors: state.errors, coercions: [], value: insights };
+  }
+
+  const value = validateFields(insights, schema, "$", state);
+  return {
+    valid: state.errors.length === 0,
+    errors: state.errors,
+    coercions: state.coercions,
+    value: coerce ? value : insights,
+  };
+}
+
+function validateFields(obj, fields, path, state) {
+  const result = {};
+
+  for (const [name, fieldConfig] of Object.entries(fields)) {
+    const fieldPath = `${path}.${name}`;
+    if (!(name in obj)) {
+      result[name] = repairOrFail(state, fieldPath, undefined, null, false, "missing field");
+      continue;
+    }
+    result[name] = validateValue(obj[name], fieldConfig || {}, fieldPath, state);
+  }
+
+  for (const name of Object.keys(obj)) {
+    if (!(name in fields)) {
+      const kept = repairOrFail(state, `${path}.${name}`, obj[name], undefined, true, "unexpected field");
+      if (kept !== undefined) result[name] = kept;
+    }
+  }
+
+  return result;
+}
+
+function validateValue(value, config, path, state) {
+  // null is always allowed: the prompt asks for null on missing/uncertain data
+  if (value === null) return null;
+
+  switch (config.type) {
+    case "flags":
+      return validateFlags(value, config, path, state);
+
+    case "object":
+      if (!isPlainObject(value)) return mismatch(state, path, value, "object", null);
+      return config.fields ? validateFields(value, config.fields, path, state) : value;
+
+    case "array":
+      return validateArray(value, config, path, state);
+
+    case "enum":
+      return validateEnum(value, config, path, state);
+
+    case "boolean":
+      if (typeof value === "boolean") return value;
+      if (typeof value === "string" && value.trim().toLowerCase() in BOOLEAN_STRINGS) {
+        return mismatch(state, path, value, "boolean", BOOLEAN_STRINGS[value.trim().toLowerCase()]);
+      }
+      return mismatch(state, path, value, "boolean", null);
+
+    case "number":
+      if (typeof value === "number" && Number.isFinite(value)) return value;
+      if (typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value))) {
+        return mismatch(state, path, value, "number", Number(value));
+      }
+      return mismatch(state, path, value, "number", null);
+
+    default:
+      if (typeof value === "string") return value;
+      if (typeof value === "number" || typeof value === "boolean") {
+        return mismatch(state, path, value, "string", String(value));
+      }
+      return mismatch(state, path, value, "string", null);
+  }
+}
+
+function validateFlags(value, config, path, state) {
+  if (!isPlainObject(value)) return mismatch(state, path, value, "object of boolean flags", null);
+
+  const flagFields = Object.fromEntries((config.fields || []).map((flag) => [flag, { type: "boolean" }]));
+  return validateFields(value, flagFields, path, state);
+}
+
+function validateArray(value, config, path, state) {
+  if (!Array.isArray(value)) return mismatch(state, path, value, "array", [], false);
+
+  const itemConfig = config.itemType === "object"
+    ? { type: "object", fields: config.itemFields }
+    : { type: config.itemType || "string" };
+
+  return value.map((item, index) => validateValue(item, itemConfig, `${path}[${index}]`, state));
+}
+
+function validateEnum(value, config, path, state) {
+  const options = parseOptions(config.options);
+  if (options.length === 0) return value;
+  if (options.includes(value)) return value;
+
+  const match = typeof value === "string"
+    ? options.find((o) => o.toLowerCase() === value.trim().toLowerCase())
+    : undefined;
+  return repairOrFail(state, path, value, match ?? null, match !== undefined, `expected one of [${options.join(", ")}], got ${JSON.stringify(value)}`);
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* CHECK THE DSL ITSELF                                            */
+/* A schema that can't be described or compiled is refused when    */
+/* the run is triggered instead of failing per record later        */
+/* ─────────────────────────────────────────────────────────────── */
+
+/**
+ * Check an `analysis.schema` definition.
+ *
+ * @returns {Array<{path: string, message: string}>} errors, `path` rooted at `path`
+ */
+function validateSchema(schema, path = "$") {
+  const errors = [];
+  checkFields(schema, path, errors);
+  return errors;
+}
+
+function checkFields(fields, path, errors) {
+  if (!isPlainObject(fields) || Object.keys(fields).length === 0) {
+    errors.push({ path, message: "expected a non-empty object of field definitions" });
+    return;
+  }
+  for (const [name, fieldConfig] of Object.entries(fields)) {
+    checkField(fieldConfig, `${path}.${name}`, errors);
+  }
+}
+
+function checkField(config, path, errors) {
+  if (!isPlainObject(config)) {
+    errors.push({ path, message: "expected a field definition object" });
+    return;
+  }
+
+  const type = config.type ?? "string";
+  if (!FIELD_TYPES.includes(type)) {
+    errors.push({ path: `${path}.type`, message: `unknown type ${JSON.stringify(type)} (expected ${FIELD_TYPES.join(", ")})` });
+    return;
+  }
+  if (config.description !== undefined && typeof config.description !== "string") {
+    errors.push({ path: `${path}.description`, message: "expected a string" });
+  }
+
+  switch (type) {
+    case "enum":
+      if (parseOptions(config.options).length === 0) {
+        errors.push({ path: `${path}.options`, message: "enum requires options (\"a|b\" or an array)" });
+      }
+      break;
+
+    case "flags":
+      if (!Array.isArray(config.fields) || config.fields.length === 0 || !config.fields.every((f) => typeof f === "string" && f)) {
+        errors.push({ path: `${path}.fields`, message: "flags requires a non-empty array of flag names" });
+      }
+      break;
+
+    case "object":
+      checkFields(config.fields, `${path}.fields`, errors);
+      break;
+
+    case "array": {
+      const itemType = config.itemType ?? "string";
+      if (!ITEM_TYPES.includes(itemType)) {
+        errors.push({ path: `${path}.itemType`, message: `unknown item type ${JSON.stringify(itemType)} (expected ${ITEM_TYPES.join(", ")})` });
+      } else if (itemType === "object") {
+        checkFields(config.itemFields, `${path}.itemFields`, errors);
+      }
+      break;
+    }
+  }
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* COMPILE DSL TO STRICT JSON SCHEMA                               */
+/* Strict mode requires every property to be listed in `required`  */
+/* and additionalProperties: false; optional data is nullable      */
+/* ─────────────────────────────────────────────────────────────── */
+function toJsonSchema(schema) {
+  return compileObject(schema);
+}
+
+function compileObject(fields) {
+  const properties = {};
+  for (const [name, fieldConfig] of Object.entries(fields || {})) {
+    properties[name] = compileField(fieldConfig || {});
+  }
+
+  return {
+    type: "object",
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false,
+  };
+}
+
+function compileField(config) {
+  const described = (node) => (config.description ? { ...node, description: config.description } : node);
+
+  switch (config.type) {
+    case "flags": {
+      const flags = Object.fromEntries((config.fields || []).map((flag) => [flag, { type: "boolean" }]));
+      return described(nullable(compileObject(flags)));
+    }
+
+    case "object":
+      return described(nullable(compileObject(config.fields)));
+
+    case "array": {
+      const items = config.itemType === "object"
+        ? compileObject(config.itemFields)
+        : { type: config.itemType || "string" };
+      return described({ type: "array", items });
+    }
+
+    case "enum": {
+      const options = parseOptions(config.options);
+      return described({ type: ["string", "null"], enum: [...options, null] });
+    }
+
+    case "boolean":
+    case "number":
+      return described({ type: [config.type, "null"] });
+
+    default:
+      return described({ type: ["string", "null"] });
+  }
+}
+
+function nullable(node) {
+  return { anyOf: [node, { type: "null" }] };
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HELPERS                                                         */
+/* ─────────────────────────────────────────────────────────────── */
+function parseOptions(options) {
+  if (Array.isArray(options)) return options.map(String);
+  if (typeof options !== "string") return [];
+  return options.split("|").map((o) => o.trim()).filter(Boolean);
+}
+
+function mismatch(state, path, value, expected, repaired, lossless = repaired !== null) {
+  return repairOrFail(state, path, value, repaired, lossless, `expected ${expected}, got ${describeType(value)}`);
+}
+
+/**
+ * With coerce, a lossless repair is only recorded as a coercion; anything
+ * else (or any problem without coerce) is an error.
+ */
+function repairOrFail(state, path, from, to, lossless, message) {
+  if (!state.coerce || !lossless) fail(state, path, message);
+  return repair(state, path, from, to);
+}
+
+function fail(state, path, message) {
+  state.errors.push({ path, message });
+}
+
+function repair(state, path, from, to) {
+  if (state.coerce) state.coercions.push({ path, from: from === undefined ? null : from, to });
+  return state.coerce ? to : from;
+}
+
+function describeType(value) {
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+module.exports = {
+  validateInsights,
+  validateSchema,
+  toJsonSchema,
+  parseOptions,
+};
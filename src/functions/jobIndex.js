@@ -0,0 +1,228 @@
+/**
+ * InsightFlow - Job Index
+ * Looks batch jobs up by status, object, configId and submission date without
+ * reading every job blob. JOB_INDEX_BACKEND=tags (default) keeps the index in
+ * blob index tags on the job blobs; JOB_INDEX_BACKEND=memory keeps it in the
+ * process, for Azurite and local runs. The memory backend is for a single
+ * instance only: it never sees jobs written by other instances after loading
+ */
+
+const BACKEND = process.env.JOB_INDEX_BACKEND === "memory" ? "memory" : "tags";
+const CONTAINER = "batch-jobs";
+
+// Status folders a job blob lives in: <folder>/<batchId>.json. Jobs only move
+// to later folders in this order (getJob relies on it)
+const FOLDERS = ["pending", "completed", "processed", "failed"];
+const STATUSES = [...FOLDERS, "cancelled"];
+
+// Blob index tag values allow letters, digits, space and + - . / : = _ only
+const TAG_VALUE_PATTERN = /[^A-Za-z0-9 +\-./:=_]/g;
+const MAX_TAG_VALUE_LENGTH = 256;
+
+async function streamToString(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", (d) => chunks.push(d.toString()));
+    stream.on("end", () => resolve(chunks.join("")));
+    stream.on("error", reject);
+  });
+}
+
+function tagValue(value) {
+  return String(value).replace(TAG_VALUE_PATTERN, "_").slice(0, MAX_TAG_VALUE_LENGTH);
+}
+
+/**
+ * The indexed fields of a job. Objects are matched case-insensitively.
+ */
+function indexEntry(job) {
+  const entry = {
+    kind: "job",
+    status: tagValue(job.status),
+    object: tagValue(String(job.objectName || "").toLowerCase()),
+    submittedAt: tagValue(job.submittedAt),
+  };
+  if (job.configId) entry.configId = tagValue(job.configId);
+  return entry;
+}
+
+/**
+ * Normalize query parameters: { status, objectName, configId, from, to },
+ * where from/to bound submittedAt (from inclusive, to exclusive).
+ */
+function normalizeFilter({ status, objectName, configId, from, to } = {}) {
+  if (status && !STATUSES.includes(status)) throw new Error(`Unknown job status: ${status}`);
+  const filter = {};
+  if (status) filter.status = status;
+  if (objectName) filter.object = tagValue(objectName.toLowerCase());
+  if (configId) filter.configId = tagValue(configId);
+  if (from) filter.from = new Date(from).toISOString();
+  if (to) filter.to = new Date(to).toISOString();
+  return filter;
+}
+
+function entryMatches(entry, filter) {
+  if (filter.status && entry.status !== filter.status) return false;
+  if (filter.object && entry.object !== filter.object) return false;
+  if (filter.configId && entry.configId !== filter.configId) return false;
+  if (filter.from && entry.submittedAt < filter.from) return false;
+  if (filter.to && entry.submittedAt >= filter.to) return false;
+  return true;
+}
+
+/**
+ * Whether a job (read from its blob) matches a normalized filter. The tag index
+ * lags writes slightly, so query results are checked against the job itself.
+ */
+function matches(job, filter) {
+  return entryMatches(indexEntry(job), filter);
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* BLOB INDEX TAGS BACKEND                                         */
+/* Every job upload carries its tags; queries use Find Blobs by    */
+/* Tags, which is eventually consistent with the uploads           */
+/* ─────────────────────────────────────────────────────────────── */
+function tagFilterExpression(filter) {
+  const clauses = [`@container = '${CONTAINER}'`, `"kind" = 'job'`];
+  if (filter.status) clauses.push(`"status" = '${filter.status}'`);
+  if (filter.object) clauses.push(`"object" = '${filter.object}'`);
+  if (filter.configId) clauses.push(`"configId" = '${filter.configId}'`);
+  if (filter.from) clauses.push(`"submittedAt" >= '${filter.from}'`);
+  if (filter.to) clauses.push(`"submittedAt" < '${filter.to}'`);
+  return clauses.join(" AND ");
+}
+
+const tagsBackend = {
+  uploadOptions(job) {
+    return { tags: indexEntry(job) };
+  },
+
+  async record() {},
+
+  async remove() {},
+
+  async reindex(blobClient, job) {
+    await blobClient.setTags(indexEntry(job));
+  },
+
+  async query(container, filter, { pageSize, continuationToken }) {
+    const pages = container
+      .findBlobsByTags(tagFilterExpression(filter))
+      .byPage({ maxPageSize: pageSize, continuationToken: continuationToken || undefined });
+    const { value: page } = await pages.next();
+    return {
+      blobNames: (page?.blobs || []).map((blob) => blob.name),
+      continuationToken: page?.continuationToken || null,
+    };
+  },
+};
+
+/* ─────────────────────────────────────────────────────────────── */
+/* IN-MEMORY BACKEND                                               */
+/* Built from the status folders on first query, then kept up to   */
+/* date by this process's writes only: single instance use, never  */
+/* with a scaled-out app                                           */
+/* ─────────────────────────────────────────────────────────────── */
+const entries = new Map(); // blobName -> indexEntry
+let loading = null;
+
+async function loadEntries(container) {
+  for (const folder of FOLDERS) {
+    for await (const blob of container.listBlobsFlat({ prefix: `${folder}/` })) {
+      try {
+        const response = await container.getBlockBlobClient(blob.name).download(0);
+        entries.set(blob.name, indexEntry(JSON.parse(await streamToString(response.readableStreamBody))));
+      } catch (err) {
+        // Moved since it was listed
+        if (err.statusCode !== 404) throw err;
+      }
+    }
+  }
+}
+
+const memoryBackend = {
+  uploadOptions() {
+    return {};
+  },
+
+  async record(blobName, job) {
+    entries.set(blobName, indexEntry(job));
+  },
+
+  async remove(blobName) {
+    entries.delete(blobName);
+  },
+
+  async reindex(blobClient, job) {
+    entries.set(blobClient.name, indexEntry(job));
+  },
+
+  async query(container, filter, { pageSize, continuationToken }) {
+    if (!loading) {
+      loading = loadEntries(container).catch((err) => {
+        loading = null;
+        throw err;
+      });
+    }
+    await loading;
+
+    const names = [...entries.keys()]
+      .filter((name) => entryMatches(entries.get(name), filter))
+      .sort();
+    const offset = continuationToken ? parseInt(Buffer.from(continuationToken, "base64").toString("utf8"), 10) || 0 : 0;
+    const next = offset + pageSize;
+    return {
+      blobNames: names.slice(offset, next),
+      continuationToken: next < names.length ? Buffer.from(String(next)).toString("base64") : null,
+    };
+  },
+};
+
+const backend = BACKEND === "memory" ? memoryBackend : tagsBackend;
+
+/**
+ * Extra upload options for a job blob (its tags, for the tags backend).
+ */
+function uploadOptions(job) {
+  return backend.uploadOptions(job);
+}
+
+/**
+ * Keep the index in step with a job blob this process wrote or deleted.
+ */
+async function record(blobName, job) {
+  return backend.record(blobName, job);
+}
+
+async function remove(blobName) {
+  return backend.remove(blobName);
+}
+
+/**
+ * Index a job blob written before the index existed.
+ */
+async function reindex(blobClient, job) {
+  return backend.reindex(blobClient, job);
+}
+
+/**
+ * One page of job blob names matching a normalized filter, as
+ * { blobNames, continuationToken }. Results are not in any particular order.
+ */
+async function query(container, filter, { pageSize = 50, continuationToken } = {}) {
+  return backend.query(container, filter, { pageSize, continuationToken });
+}
+
+module.exports = {
+  BACKEND,
+  FOLDERS,
+  STATUSES,
+  normalizeFilter,
+  matches,
+  uploadOptions,
+  record,
+  remove,
+  reindex,
+  query,
+};
@@ -0,0 +1,54 @@
+/**
+ * InsightFlow - Job Maintenance
+ * Timer trigger deleting finished batch jobs past JOB_RETENTION_DAYS, and an
+ * HTTP trigger to (re)build the job index (see jobIndex.js)
+ */
+
+const { app } = require("@azure/functions");
+const batchJobStorage = require("./batchJobStorage");
+const { preflight, respond } = require("./httpResponses");
+const jobIndex = require("./jobIndex");
+
+// 0 keeps jobs forever
+const RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS || "90", 10);
+
+/* ─────────────────────────────────────────────────────────────── */
+/* TIMER TRIGGER - Purge Old Jobs (daily, 02:15)                   */
+/* ─────────────────────────────────────────────────────────────── */
+app.timer("jobRetention", {
+  schedule: "0 15 2 * * *",
+  handler: async (timer, context) => {
+    if (!(RETENTION_DAYS > 0)) return;
+
+    try {
+      const before = new Date(Date.now() - RETENTION_DAYS * 86400000);
+      const purged = await batchJobStorage.purgeJobs(before);
+      context.log(`Purged ${purged} finished jobs submitted before ${before.toISOString()}`);
+    } catch (err) {
+      context.error("Job retention failed:", err);
+      throw err;
+    }
+  },
+});
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HTTP TRIGGER - Reindex Batch Jobs                               */
+/* The first index query after upgrading indexes every job once;   */
+/* this redoes it, e.g. after tags were lost                       */
+/* ─────────────────────────────────────────────────────────────── */
+app.http("reindexBatchJobs", {
+  methods: ["POST", "OPTIONS"],
+  authLevel: "function",
+  handler: async (request, context) => {
+    if (request.method === "OPTIONS") return preflight("POST");
+
+    try {
+      const indexed = await batchJobStorage.reindexJobs();
+      context.log(`Indexed ${indexed} batch jobs (${jobIndex.BACKEND} backend)`);
+      return respond(200, { success: true, backend: jobIndex.BACKEND, indexed });
+    } catch (error) {
+      context.error("Error:", error);
+      return respond(500, { success: false, error: error.message });
+    }
+  },
+});
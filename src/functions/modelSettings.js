@@ -0,0 +1,116 @@
+/**
+ * InsightFlow - Model Settings
+ * Resolves the deployment and sampling parameters for a run (`analysis.model`)
+ * and turns them into chat completions body parameters
+ */
+
+const DEFAULT_BATCH_DEPLOYMENT = process.env.AZURE_OPENAI_BATCH_DEPLOYMENT_NAME || "gpt-4o-mini-batch";
+const DEFAULT_REALTIME_DEPLOYMENT =
+  process.env.AZURE_OPENAI_REALTIME_DEPLOYMENT_NAME || process.env.AZURE_OPENAI_DEPLOYMENT_NAME;
+
+// Deployments a run may select; defaults to the configured batch and real-time deployments
+const ALLOWED_DEPLOYMENTS = process.env.AZURE_OPENAI_ALLOWED_DEPLOYMENTS
+  ? process.env.AZURE_OPENAI_ALLOWED_DEPLOYMENTS.split(",").map((d) => d.trim()).filter(Boolean)
+  : [DEFAULT_BATCH_DEPLOYMENT, DEFAULT_REALTIME_DEPLOYMENT].filter(Boolean);
+
+const DEFAULT_TEMPERATURE = 0.3;
+const DEFAULT_MAX_TOKENS = 4000;
+const REASONING_EFFORTS = ["low", "medium", "high"];
+const PARAMS = ["temperature", "maxTokens", "topP", "seed", "reasoningEffort"];
+
+/**
+ * Settings for a run: `analysis.model`, then the preset's `modelParams`, then defaults.
+ *
+ * @param {object} config - run config
+ * @param {"batch"|"realtime"} mode - batch deployments can't serve direct calls,
+ *   so real-time analysis uses `analysis.model.realtimeDeployment`
+ * @returns {{ deployment, temperature, maxTokens, topP, seed, reasoningEffort }}
+ */
+function resolveModel(config, mode = "batch") {
+  const model = config?.analysis?.model || {};
+  const preset = config?.analysis?.resolvedPreset?.modelParams || {};
+  const reasoningEffort = model.reasoningEffort ?? preset.reasoningEffort ?? null;
+
+  return {
+    deployment: mode === "realtime"
+      ? model.realtimeDeployment || DEFAULT_REALTIME_DEPLOYMENT
+      : model.deployment || DEFAULT_BATCH_DEPLOYMENT,
+    // Reasoning models reject sampling parameters
+    temperature: reasoningEffort ? null : model.temperature ?? preset.temperature ?? DEFAULT_TEMPERATURE,
+    maxTokens: model.maxTokens ?? preset.maxTokens ?? DEFAULT_MAX_TOKENS,
+    topP: reasoningEffort ? null : model.topP ?? preset.topP ?? null,
+    seed: model.seed ?? preset.seed ?? null,
+    reasoningEffort,
+  };
+}
+
+/**
+ * Chat completions body parameters for resolved settings (without messages).
+ */
+function chatParams(settings) {
+  const params = { model: settings.deployment };
+
+  if (settings.reasoningEffort) {
+    params.max_completion_tokens = settings.maxTokens;
+    params.reasoning_effort = settings.reasoningEffort;
+  } else {
+    params.temperature = settings.temperature;
+    params.max_tokens = settings.maxTokens;
+    if (settings.topP !== null) params.top_p = settings.topP;
+  }
+  if (settings.seed !== null) params.seed = settings.seed;
+
+  return params;
+}
+
+/**
+ * Check `analysis.model` (or a preset's `modelParams` with `allowDeployment: false`);
+ * returns a list of error messages.
+ */
+function validateModel(model, { path = "analysis.model", allowDeployment = true } = {}) {
+  if (model === undefined || model === null) return [];
+  if (typeof model !== "object" || Array.isArray(model)) return [`${path} must be an object`];
+
+  const known = allowDeployment ? [...PARAMS, "deployment", "realtimeDeployment"] : PARAMS;
+  const errors = Object.keys(model)
+    .filter((key) => !known.includes(key))
+    .map((key) => `${path}.${key} is not supported (use ${known.join(", ")})`);
+
+  for (const key of ["deployment", "realtimeDeployment"]) {
+    if (!allowDeployment || model[key] === undefined) continue;
+    if (!ALLOWED_DEPLOYMENTS.includes(model[key])) {
+      errors.push(`${path}.${key} "${model[key]}" is not an allowed deployment (${ALLOWED_DEPLOYMENTS.join(", ") || "none configured"})`);
+    }
+  }
+  if (model.temperature !== undefined && !isNumberBetween(model.temperature, 0, 2)) {
+    errors.push(`${path}.temperature must be a number between 0 and 2`);
+  }
+  if (model.topP !== undefined && !isNumberBetween(model.topP, 0, 1)) {
+    errors.push(`${path}.topP must be a number between 0 and 1`);
+  }
+  if (model.maxTokens !== undefined && !(Number.isInteger(model.maxTokens) && model.maxTokens > 0)) {
+    errors.push(`${path}.maxTokens must be a positive integer`);
+  }
+  if (model.seed !== undefined && !Number.isInteger(model.seed)) {
+    errors.push(`${path}.seed must be an integer`);
+  }
+  if (model.reasoningEffort !== undefined) {
+    if (!REASONING_EFFORTS.includes(model.reasoningEffort)) {
+      errors.push(`${path}.reasoningEffort must be one of ${REASONING_EFFORTS.join(", ")}`);
+    } else if (model.temperature !== undefined || model.topP !== undefined) {
+      errors.push(`${path}.reasoningEffort can't be combined with temperature or topP`);
+    }
+  }
+  return errors;
+}
+
+function isNumberBetween(value, min, max) {
+  return typeof value === "number" && value >= min && value <= max;
+}
+
+module.exports = {
+  ALLOWED_DEPLOYMENTS,
+  resolveModel,
+  chatParams,
+  validateModel,
+};
@@ -0,0 +1,31 @@
+/**
+ * InsightFlow - Azure OpenAI Client Helper
+ */
+
+const { AzureOpenAI } = require("openai");
+
+const AZURE_OPENAI_ENDPOINT = process.env.AZURE_AI_PROJECT_ENDPOINT;
+const AZURE_OPENAI_DEPLOYMENT = process.env.AZURE_OPENAI_DEPLOYMENT_NAME;
+const AZURE_OPENAI_API_KEY = process.env.AZURE_OPENAI_API_KEY;
+// reasoning_effort and max_completion_tokens need 2024-12-01-preview or later
+const AZURE_OPENAI_API_VERSION = process.env.AZURE_OPENAI_API_VERSION || "2024-12-01-preview";
+
+function isConfigured() {
+  return !!(AZURE_OPENAI_ENDPOINT && AZURE_OPENAI_API_KEY);
+}
+
+function createClient({ deployment = AZURE_OPENAI_DEPLOYMENT } = {}) {
+  if (!isConfigured()) throw new Error("Azure OpenAI not configured");
+
+  return new AzureOpenAI({
+    endpoint: AZURE_OPENAI_ENDPOINT,
+    apiKey: AZURE_OPENAI_API_KEY,
+    deployment,
+    apiVersion: AZURE_OPENAI_API_VERSION,
+  });
+}
+
+module.exports = {
+  isConfigured,
+  createClient,
+};
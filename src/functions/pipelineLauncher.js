@@ -0,0 +1,135 @@
+/**
+ * InsightFlow - Pipeline Launcher
+ * Starts a run from a config: validation, preset pinning, watermark window,
+ * ADF extract run, config blob and run record. Used by triggerPipeline and
+ * the schedule runner so both start runs the same way.
+ */
+
+const adfClient = require("./adfClient");
+const configStorage = require("./configStorage");
+const { validateRunConfig } = require("./configValidator");
+const presetStorage = require("./presetStorage");
+const runTracker = require("./runTracker");
+const { toWhereClause } = require("./soqlFilter");
+const watermarkStorage = require("./watermarkStorage");
+
+const SUBSCRIPTION_ID = process.env.AZURE_SUBSCRIPTION_ID;
+const RESOURCE_GROUP = process.env.AZURE_RESOURCE_GROUP;
+const DYNAMIC_DATA_FACTORY_NAME = process.env.DYNAMIC_DATA_FACTORY_NAME || "insightflow-dynamic-adf-poc";
+const DYNAMIC_PIPELINE_NAME = process.env.DYNAMIC_PIPELINE_NAME || "DynamicSalesforceExtractPipeline";
+
+/**
+ * Resolves to { ok, status, body } where `body` is the triggerPipeline response
+ * ({ success: true, runId, configId, ... } or { success: false, error, details? }).
+ * A started run also has `configId` next to `body`: the ID of its run record,
+ * set even when the config couldn't be saved and `body.configId` is null.
+ *
+ * @param {object} config - run config (source, analysis, output, dataset, budget, ...)
+ * @param {{ scheduleId?: string }} [options] - set when started by a schedule
+ */
+async function startRun(config, context, { scheduleId = null } = {}) {
+  if (!SUBSCRIPTION_ID || !RESOURCE_GROUP) {
+    return failure(500, "Missing AZURE_SUBSCRIPTION_ID or AZURE_RESOURCE_GROUP");
+  }
+
+  // Validate the whole config up front; nothing is started for a config with errors
+  const { source, analysis } = config;
+  const configErrors = validateRunConfig(config);
+  if (configErrors.length > 0) return failure(400, "Invalid config", configErrors);
+
+  // Pin the preset version so every batch of this run uses the same prompt
+  try {
+    config.analysis = await presetStorage.resolveAnalysis(analysis);
+  } catch (err) {
+    if (err.code !== "UNKNOWN_PRESET") throw err;
+    return failure(400, err.message);
+  }
+  if (scheduleId) config.scheduleId = scheduleId;
+
+  // configId is generated up front so ADF can stamp it on the dataset blob
+  const configId = configStorage.createConfigId(source.object);
+  context.log(`Triggering pipeline for object: ${source.object} (config ${configId})`);
+
+  // Incremental runs only extract what changed since the last successful write-back
+  const window = await watermarkStorage.openWindow(source);
+  if (window) config.watermark = window;
+
+  // Trigger ADF pipeline; structured filters are compiled with quoted values
+  const whereClause = watermarkStorage.windowClause(window, toWhereClause(source));
+  const pipelineParams = {
+    objectApiName: source.object,
+    fieldNames: source.fields.join(","),
+    whereClause,
+    configId,
+  };
+
+  const result = await adfClient.createPipelineRun(DYNAMIC_DATA_FACTORY_NAME, DYNAMIC_PIPELINE_NAME, pipelineParams);
+  if (!result.ok) {
+    return failure(result.status, `Pipeline trigger failed: ${result.status}`, result.errorText);
+  }
+
+  context.log(`Pipeline triggered: ${result.runId}`);
+
+  // Save config to blob storage for downstream functions
+  const configSaved = await saveConfig(configId, config, result.runId, context);
+
+  // Start the end-to-end run record (see getRunStatus)
+  await runTracker
+    .createRun({
+      configId,
+      objectName: source.object,
+      extractRunId: result.runId,
+      factoryName: DYNAMIC_DATA_FACTORY_NAME,
+      pipelineName: DYNAMIC_PIPELINE_NAME,
+      watermark: window,
+      scheduleId,
+      notify: config.notify,
+    })
+    .catch((err) => context.warn(`Failed to create run record: ${err.message}`));
+
+  return {
+    ok: true,
+    status: 200,
+    configId,
+    body: {
+      success: true,
+      message: "Pipeline triggered successfully",
+      runId: result.runId,
+      configId: configSaved ? configId : null,
+      source: {
+        object: source.object,
+        fields: source.fields,
+        filter: whereClause || null,
+      },
+      watermark: window,
+      analysis: config.analysis?.resolvedPreset
+        ? `${config.analysis.resolvedPreset.name}@${config.analysis.resolvedPreset.version}`
+        : analysis?.type || "default",
+      timestamp: new Date().toISOString(),
+    },
+  };
+}
+
+function failure(status, error, details) {
+  return { ok: false, status, body: { success: false, error, ...(details !== undefined ? { details } : {}) } };
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* SAVE CONFIG TO BLOB                                             */
+/* ─────────────────────────────────────────────────────────────── */
+async function saveConfig(configId, config, runId, context) {
+  try {
+    await configStorage.saveConfig(configId, config, runId);
+    context.log(`Config saved: ${configId}`);
+    return true;
+  } catch (err) {
+    context.warn(`Failed to save config: ${err.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  DYNAMIC_DATA_FACTORY_NAME,
+  DYNAMIC_PIPELINE_NAME,
+  startRun,
+};
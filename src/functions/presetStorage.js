@@ -0,0 +1,251 @@
+/**
+ * InsightFlow - Preset Storage Helper
+ * Named, versioned prompt presets; `analysis.preset` refers to "name" (latest)
+ * or "name@version". The built-in presets are seeded as version 1.
+ */
+
+const { BlobServiceClient } = require("@azure/storage-blob");
+const { validateSchema } = require("./insightSchema");
+const { validateModel } = require("./modelSettings");
+const { PRESETS } = require("./promptBuilder");
+
+const STORAGE_CONNECTION_STRING = process.env.AZURE_STORAGE_CONNECTION_STRING || process.env.AzureWebJobsStorage;
+const CONTAINER = "prompt-presets";
+const MAX_SAVE_ATTEMPTS = 5;
+
+// <name>/v<version>.json - one immutable document per version
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const VERSION_BLOB_PATTERN = /^(.+)\/v(\d+)\.json$/;
+
+let seeded = false;
+
+async function getContainer() {
+  if (!STORAGE_CONNECTION_STRING) throw new Error("Storage not configured");
+  const client = BlobServiceClient.fromConnectionString(STORAGE_CONNECTION_STRING);
+  const container = client.getContainerClient(CONTAINER);
+  await container.createIfNotExists();
+  if (!seeded) {
+    await seedBuiltins(container);
+    seeded = true;
+  }
+  return container;
+}
+
+async function streamToString(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", (d) => chunks.push(d.toString()));
+    stream.on("end", () => resolve(chunks.join("")));
+    stream.on("error", reject);
+  });
+}
+
+async function downloadJson(container, blobName) {
+  const blobClient = container.getBlockBlobClient(blobName);
+  if (!(await blobClient.exists())) return null;
+  const response = await blobClient.download(0);
+  return JSON.parse(await streamToString(response.readableStreamBody));
+}
+
+/**
+ * Write version 1 of each built-in preset unless it already exists. Runs once
+ * per instance, so a deleted built-in comes back with its default content.
+ */
+async function seedBuiltins(container) {
+  for (const [name, preset] of Object.entries(PRESETS)) {
+    const doc = {
+      name,
+      version: 1,
+      description: `Built-in ${name} preset`,
+      systemPrompt: preset.systemPrompt,
+      insights: preset.insights,
+      schema: null,
+      modelParams: {},
+      builtin: true,
+      createdAt: new Date().toISOString(),
+    };
+    const content = JSON.stringify(doc, null, 2);
+    try {
+      await container.getBlockBlobClient(`${name}/v1.json`).upload(content, Buffer.byteLength(content), {
+        blobHTTPHeaders: { blobContentType: "application/json" },
+        conditions: { ifNoneMatch: "*" },
+      });
+    } catch (err) {
+      if (err.statusCode !== 409 && err.statusCode !== 412) throw err;
+    }
+  }
+}
+
+/**
+ * "sales-call" → { name: "sales-call", version: null }, "sales-call@3" → { ..., version: 3 }
+ */
+function parsePresetRef(ref) {
+  const [name, version] = String(ref).split("@");
+  return { name, version: version === undefined ? null : parseInt(version, 10) };
+}
+
+async function listVersions(container, name) {
+  const versions = [];
+  for await (const blob of container.listBlobsFlat({ prefix: `${name}/` })) {
+    const match = blob.name.match(VERSION_BLOB_PATTERN);
+    if (match && match[1] === name) versions.push(parseInt(match[2], 10));
+  }
+  return versions.sort((a, b) => a - b);
+}
+
+/**
+ * Latest version when `version` is null. Resolves to null when not found.
+ */
+async function getPreset(name, version = null) {
+  const container = await getContainer();
+  if (version === null) {
+    const versions = await listVersions(container, name);
+    if (versions.length === 0) return null;
+    version = versions[versions.length - 1];
+  }
+  return downloadJson(container, `${name}/v${version}.json`);
+}
+
+/**
+ * Every preset name with its latest version document and version list.
+ */
+async function listPresets() {
+  const container = await getContainer();
+  const byName = new Map();
+  for await (const blob of container.listBlobsFlat()) {
+    const match = blob.name.match(VERSION_BLOB_PATTERN);
+    if (!match) continue;
+    if (!byName.has(match[1])) byName.set(match[1], []);
+    byName.get(match[1]).push(parseInt(match[2], 10));
+  }
+
+  const presets = [];
+  for (const [name, versions] of [...byName.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    versions.sort((a, b) => a - b);
+    const latest = await downloadJson(container, `${name}/v${versions[versions.length - 1]}.json`);
+    presets.push({ ...latest, versions });
+  }
+  return presets;
+}
+
+/**
+ * Store a new version of a preset (version 1 for a new name). Concurrent saves
+ * of the same name never overwrite each other: the create is conditional.
+ */
+async function savePreset(name, data) {
+  const container = await getContainer();
+
+  for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+    const versions = await listVersions(container, name);
+    const version = (versions[versions.length - 1] || 0) + 1;
+    const doc = {
+      name,
+      version,
+      description: data.description || null,
+      systemPrompt: data.systemPrompt,
+      insights: data.insights || null,
+      schema: data.schema || null,
+      modelParams: data.modelParams || {},
+      builtin: false,
+      createdAt: new Date().toISOString(),
+    };
+
+    const content = JSON.stringify(doc, null, 2);
+    try {
+      await container.getBlockBlobClient(`${name}/v${version}.json`).upload(content, Buffer.byteLength(content), {
+        blobHTTPHeaders: { blobContentType: "application/json" },
+        conditions: { ifNoneMatch: "*" },
+      });
+      return doc;
+    } catch (err) {
+      if ((err.statusCode !== 409 && err.statusCode !== 412) || attempt === MAX_SAVE_ATTEMPTS) throw err;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Delete one version, or every version when `version` is null.
+ * Resolves to the number of versions deleted.
+ */
+async function deletePreset(name, version = null) {
+  const container = await getContainer();
+  const versions = version === null ? await listVersions(container, name) : [version];
+
+  let deleted = 0;
+  for (const v of versions) {
+    const result = await container.getBlockBlobClient(`${name}/v${v}.json`).deleteIfExists();
+    if (result.succeeded) deleted++;
+  }
+  return deleted;
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* RESOLVE analysis.preset FOR A RUN                               */
+/* The resolved preset is copied into the run config so batches,   */
+/* retries and follow-ups use exactly the version the run started  */
+/* with, even if the preset changes later                          */
+/* ─────────────────────────────────────────────────────────────── */
+async function resolveAnalysis(analysis) {
+  if (!analysis?.preset) return analysis;
+
+  const { name, version } = parsePresetRef(analysis.preset);
+  let preset;
+  if (STORAGE_CONNECTION_STRING) {
+    preset = await getPreset(name, version);
+  } else if (PRESETS[name] && (version === null || version === 1)) {
+    preset = { name, version: 1, ...PRESETS[name], modelParams: {}, builtin: true };
+  }
+  if (!preset) {
+    const error = new Error(`Unknown preset ${analysis.preset}`);
+    error.code = "UNKNOWN_PRESET";
+    throw error;
+  }
+
+  return {
+    ...analysis,
+    insights: analysis.insights || preset.insights || undefined,
+    schema: analysis.schema || preset.schema || undefined,
+    resolvedPreset: {
+      name: preset.name,
+      version: preset.version,
+      systemPrompt: preset.systemPrompt,
+      modelParams: preset.modelParams || {},
+    },
+  };
+}
+
+/**
+ * Check a preset document from the API; returns a list of error messages.
+ */
+function validatePreset(data) {
+  const errors = [];
+  if (!NAME_PATTERN.test(data?.name || "")) {
+    errors.push("name must be 1-64 lowercase letters, digits, '-' or '_'");
+  }
+  if (typeof data?.systemPrompt !== "string" || !data.systemPrompt.trim()) {
+    errors.push("systemPrompt is required");
+  }
+  if (data?.insights !== undefined && !(Array.isArray(data.insights) && data.insights.every((i) => typeof i === "string"))) {
+    errors.push("insights must be an array of field names");
+  }
+  if (data?.schema !== undefined) {
+    errors.push(...validateSchema(data.schema, "schema").map((e) => `${e.path}: ${e.message}`));
+  }
+  if (!data?.insights && !data?.schema) {
+    errors.push("insights or schema is required");
+  }
+  errors.push(...validateModel(data?.modelParams, { path: "modelParams", allowDeployment: false }));
+  return errors;
+}
+
+module.exports = {
+  parsePresetRef,
+  getPreset,
+  listPresets,
+  savePreset,
+  deletePreset,
+  resolveAnalysis,
+  validatePreset,
+};
@@ -0,0 +1,118 @@
+/**
+ * InsightFlow - Presets API
+ * HTTP triggers to list, read, save and delete versioned prompt presets
+ */
+
+const { app } = require("@azure/functions");
+const { preflight, respond } = require("./httpResponses");
+const presetStorage = require("./presetStorage");
+
+/**
+ * Accepts ?name=sales-call@2 or ?name=sales-call&version=2
+ */
+function readPresetRef(request) {
+  const { name, version } = presetStorage.parsePresetRef(request.query.get("name") || "");
+  const versionParam = request.query.get("version");
+  return { name, version: versionParam ? parseInt(versionParam, 10) : version };
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HTTP TRIGGER - List Presets                                     */
+/* ─────────────────────────────────────────────────────────────── */
+app.http("listPresets", {
+  methods: ["GET", "OPTIONS"],
+  authLevel: "function",
+  handler: async (request, context) => {
+    if (request.method === "OPTIONS") return preflight("GET");
+
+    try {
+      const presets = await presetStorage.listPresets();
+      return respond(200, { success: true, count: presets.length, presets });
+    } catch (error) {
+      context.error("Error:", error);
+      return respond(500, { success: false, error: error.message });
+    }
+  },
+});
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HTTP TRIGGER - Get Preset                                       */
+/* ─────────────────────────────────────────────────────────────── */
+app.http("getPreset", {
+  methods: ["GET", "OPTIONS"],
+  authLevel: "function",
+  handler: async (request, context) => {
+    if (request.method === "OPTIONS") return preflight("GET");
+
+    const { name, version } = readPresetRef(request);
+    if (!name) return respond(400, { success: false, error: "name parameter required" });
+    if (Number.isNaN(version)) return respond(400, { success: false, error: "version must be a number" });
+
+    try {
+      const preset = await presetStorage.getPreset(name, version);
+      if (!preset) return respond(404, { success: false, error: "Preset not found" });
+      return respond(200, { success: true, preset });
+    } catch (error) {
+      context.error("Error:", error);
+      return respond(500, { success: false, error: error.message });
+    }
+  },
+});
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HTTP TRIGGER - Save Preset                                      */
+/* Every save creates a new version; existing versions never change*/
+/* ─────────────────────────────────────────────────────────────── */
+app.http("savePreset", {
+  methods: ["POST", "OPTIONS"],
+  authLevel: "function",
+  handler: async (request, context) => {
+    if (request.method === "OPTIONS") return preflight("POST");
+
+    let body = {};
+    try {
+      const bodyText = await request.text();
+      if (bodyText) body = JSON.parse(bodyText);
+    } catch {
+      return respond(400, { success: false, error: "Invalid JSON body" });
+    }
+
+    const errors = presetStorage.validatePreset(body);
+    if (errors.length > 0) return respond(400, { success: false, error: "Invalid preset", details: errors });
+
+    try {
+      const preset = await presetStorage.savePreset(body.name, body);
+      context.log(`Preset ${preset.name}@${preset.version} saved`);
+      return respond(201, { success: true, preset, ref: `${preset.name}@${preset.version}` });
+    } catch (error) {
+      context.error("Error:", error);
+      return respond(500, { success: false, error: error.message });
+    }
+  },
+});
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HTTP TRIGGER - Delete Preset                                    */
+/* Runs already started keep their copy of the preset              */
+/* ─────────────────────────────────────────────────────────────── */
+app.http("deletePreset", {
+  methods: ["DELETE", "OPTIONS"],
+  authLevel: "function",
+  handler: async (request, context) => {
+    if (request.method === "OPTIONS") return preflight("DELETE");
+
+    const { name, version } = readPresetRef(request);
+    if (!name) return respond(400, { success: false, error: "name parameter required" });
+    if (Number.isNaN(version)) return respond(400, { success: false, error: "version must be a number" });
+
+    try {
+      const deleted = await presetStorage.deletePreset(name, version);
+      if (deleted === 0) return respond(404, { success: false, error: "Preset not found" });
+      context.log(`Preset ${name}${version ? `@${version}` : ""} deleted (${deleted} versions)`);
+      return respond(200, { success: true, name, deletedVersions: deleted });
+    } catch (error) {
+      context.error("Error:", error);
+      return respond(500, { success: false, error: error.message });
+    }
+  },
+});
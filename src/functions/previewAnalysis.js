@@ -0,0 +1,159 @@
+/**
+ * InsightFlow - Preview Analysis
+ * HTTP trigger that shows what a run config would send to Azure OpenAI for a
+ * few sample records (prompts, JSONL lines, schema, token estimate) without
+ * starting a run; optionally analyzes the first record live
+ */
+
+const { app } = require("@azure/functions");
+const batchSubmitter = require("./batchSubmitter");
+const { validateRunConfig } = require("./configValidator");
+const costEstimator = require("./costEstimator");
+const { preflight, respond } = require("./httpResponses");
+const modelSettings = require("./modelSettings");
+const presetStorage = require("./presetStorage");
+const { buildSchemaDescription } = require("./promptBuilder");
+const realtimeAnalyzer = require("./realtimeAnalyzer");
+const { validateTemplate } = require("./templateEngine");
+
+const PREVIEW_MAX_RECORDS = parseInt(process.env.PREVIEW_MAX_RECORDS, 10) || 10;
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HTTP TRIGGER - Preview Analysis                                 */
+/* Body: { records | record, analysis, source?, output?, dataset?, */
+/*         budget?, live? }                                        */
+/* ─────────────────────────────────────────────────────────────── */
+app.http("previewAnalysis", {
+  methods: ["POST", "OPTIONS"],
+  authLevel: "function",
+  handler: async (request, context) => {
+    if (request.method === "OPTIONS") return preflight("POST");
+
+    let body = {};
+    try {
+      const bodyText = await request.text();
+      if (bodyText) body = JSON.parse(bodyText);
+    } catch {
+      return respond(400, { success: false, error: "Invalid JSON body" });
+    }
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      return respond(400, { success: false, error: "Body must be a JSON object" });
+    }
+
+    const records = Array.isArray(body.records) ? body.records : body.record ? [body.record] : [];
+    if (records.length === 0) {
+      return respond(400, { success: false, error: "Missing required: records or record" });
+    }
+    if (records.length > PREVIEW_MAX_RECORDS) {
+      return respond(413, { success: false, error: `Too many sample records (${records.length} > ${PREVIEW_MAX_RECORDS})` });
+    }
+    if (records.some((record) => !record || typeof record !== "object" || Array.isArray(record))) {
+      return respond(400, { success: false, error: "Each record must be an object" });
+    }
+
+    const { source, output, dataset, budget } = body;
+    const config = { source, analysis: body.analysis || {}, output, dataset, budget };
+    const objectName = source?.object || "record";
+
+    try {
+      // Everything triggerPipeline would reject is reported, not refused
+      const warnings = collectWarnings(config, records);
+
+      try {
+        config.analysis = await presetStorage.resolveAnalysis(config.analysis);
+      } catch (err) {
+        if (err.code !== "UNKNOWN_PRESET") throw err;
+        warnings.push(`${err.message}; previewing with the general preset`);
+        config.analysis = { ...config.analysis, preset: undefined };
+      }
+
+      // A template that doesn't parse can't be rendered; the errors are all there is to show
+      const template = config.analysis.userPromptTemplate;
+      if (template !== undefined && validateTemplate(template).length > 0) {
+        return respond(200, { success: true, valid: false, warnings, requests: [] });
+      }
+
+      const settings = modelSettings.resolveModel(config, "batch");
+      let requests;
+      try {
+        requests = batchSubmitter.buildBatchRequests(records, config, objectName);
+      } catch (err) {
+        warnings.push(`Prompts could not be built: ${err.message}`);
+        return respond(200, { success: true, valid: false, warnings, requests: [] });
+      }
+
+      const schema = config.analysis.schema;
+
+      const preview = {
+        success: true,
+        valid: warnings.length === 0,
+        warnings,
+        preset: config.analysis.resolvedPreset
+          ? `${config.analysis.resolvedPreset.name}@${config.analysis.resolvedPreset.version}`
+          : null,
+        model: settings,
+        schemaDescription: schema && Object.keys(schema).length > 0 ? buildSchemaDescription(schema) : null,
+        responseFormat: batchSubmitter.buildResponseFormat(config),
+        estimate: costEstimator.estimateRun(requests, settings, config),
+        requests: requests.map((r) => {
+          const { body: chatBody } = JSON.parse(r.line);
+          return {
+            customId: r.customId,
+            systemPrompt: chatBody.messages[0].content,
+            userPrompt: chatBody.messages[1].content,
+            estimatedTokens: r.estimatedTokens,
+            jsonl: r.line,
+          };
+        }),
+      };
+
+      // One real call on the first record, through the real-time deployment
+      if (body.live === true) {
+        preview.sample = await analyzeSample(records[0], config, objectName, context);
+      }
+
+      return respond(200, preview);
+    } catch (error) {
+      context.error("Error:", error);
+      return respond(500, { success: false, error: error.message });
+    }
+  },
+});
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HELPERS                                                         */
+/* ─────────────────────────────────────────────────────────────── */
+function collectWarnings(config, records) {
+  // A preview doesn't need a source; without one only its absence goes unreported
+  const warnings = validateRunConfig(config)
+    .filter((e) => config.source !== undefined || !e.path.startsWith("$.source"))
+    .map((e) => `${e.path}: ${e.message}`);
+
+  const { analysis } = config;
+  if (analysis.userPromptTemplate !== undefined && !(analysis.type === "custom" && analysis.systemPrompt)) {
+    warnings.push("analysis.userPromptTemplate is ignored unless analysis.type is \"custom\" with a systemPrompt");
+  }
+
+  // Requested fields the samples don't carry render as N/A in the prompt
+  const sampleKeys = new Set(records.flatMap((r) => Object.keys(r || {}).map((k) => k.toLowerCase())));
+  const missing = (config.source?.fields || []).filter((f) => !sampleKeys.has(f.toLowerCase()) && !f.includes("."));
+  if (missing.length > 0) {
+    warnings.push(`Sample records have no value for source fields: ${missing.join(", ")}`);
+  }
+
+  return warnings;
+}
+
+async function analyzeSample(record, config, objectName, context) {
+  const startTime = Date.now();
+  try {
+    const client = realtimeAnalyzer.createClient(config);
+    const [result] = await realtimeAnalyzer.analyzeRecords(client, { records: [record], config, objectName }, context);
+    const item = realtimeAnalyzer.toResponseItem(result, config.analysis, config.output?.fieldMapping);
+    const usage = result.response?.body?.usage || null;
+    return { ...item, usage, durationMs: Date.now() - startTime };
+  } catch (err) {
+    context.warn(`Live preview failed: ${err.message}`);
+    return { error: err.message, durationMs: Date.now() - startTime };
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * InsightFlow - Prompt Builder
+ * Presets and prompt construction shared by batch submission and retries
+ */
+
+const { parseOptions } = require("./insightSchema");
+const { render, formatRecordData } = require("./templateEngine");
+
+// Built-in presets; stored presets (presetStorage.js) are resolved into
+// analysis.resolvedPreset when a run is triggered
+const PRESETS = {
+  "sales-call": {
+    insights: ["summary", "sentiment", "products", "upsellOpportunity", "competitors", "nextSteps"],
+    systemPrompt: "You analyze sales call records. Output only valid JSON.",
+  },
+  "support-ticket": {
+    insights: ["summary", "sentiment", "escalationRisk", "technicalIssues", "resolution", "followUp"],
+    systemPrompt: "You analyze support tickets. Output only valid JSON.",
+  },
+  "feedback": {
+    insights: ["summary", "sentiment", "npsIndicator", "themes", "suggestions"],
+    systemPrompt: "You analyze customer feedback. Output only valid JSON.",
+  },
+  "compliance": {
+    insights: ["summary", "riskLevel", "violations", "recommendations"],
+    systemPrompt: "You analyze records for compliance issues. Output only valid JSON.",
+  },
+  "general": {
+    insights: ["summary", "sentiment", "keyPoints", "actionItems"],
+    systemPrompt: "You analyze business records. Output only valid JSON.",
+  },
+};
+
+/* ─────────────────────────────────────────────────────────────── */
+/* BUILD PROMPTS BASED ON CONFIG                                   */
+/* ─────────────────────────────────────────────────────────────── */
+function buildPrompts(record, config, objectName) {
+  const analysis = config?.analysis || {};
+
+  // Custom prompts with explicit systemPrompt/userPromptTemplate
+  if (analysis.type === "custom" && analysis.systemPrompt) {
+    let systemPrompt = analysis.systemPrompt || "You analyze records. Output only valid JSON.";
+    let userPrompt = analysis.userPromptTemplate || "Analyze: {{RECORD_DATA}}";
+
+    // Ensure JSON is mentioned
+    if (!(systemPrompt + userPrompt).toLowerCase().includes("json")) {
+      systemPrompt += "\n\nIMPORTANT: Respond with valid JSON only.";
+    }
+
+    // Render placeholders, blocks and filters (see templateEngine.js)
+    userPrompt = render(userPrompt, record);
+
+    return { systemPrompt, userPrompt };
+  }
+
+  // If a custom schema is provided, use it to build the prompt
+  if (analysis.schema && Object.keys(analysis.schema).length > 0) {
+    const schemaDescription = buildSchemaDescription(analysis.schema);
+    const preset = getPreset(analysis);
+
+    const systemPrompt = `${preset.systemPrompt}
+
+You must return a JSON object with this exact structure:
+
+${schemaDescription}
+
+IMPORTANT:
+- Follow the exact field names and types specified above
+- Use null for missing or uncertain data
+- For enum fields, only use the allowed values
+- For arrays, return empty array [] if no items
+- Be precise and do not hallucinate information`;
+
+    const userPrompt = `Analyze this ${objectName} record:
+
+${formatRecordData(record)}
+
+Return a JSON object following the schema described in the system prompt.`;
+
+    return { systemPrompt, userPrompt };
+  }
+
+  // Fallback to preset prompts
+  const preset = getPreset(analysis);
+  const insights = analysis.insights || preset.insights;
+
+  const systemPrompt = `${preset.systemPrompt}
+
+You must return a JSON object with these fields:
+${insights.map((i) => `- ${i}`).join("\n")}
+
+Be precise. Use null for missing data. Do not hallucinate.`;
+
+  const userPrompt = `Analyze this ${objectName} record:
+
+${formatRecordData(record)}
+
+Return a JSON object with: ${insights.join(", ")}`;
+
+  return { systemPrompt, userPrompt };
+}
+
+function getPreset(analysis) {
+  return analysis.resolvedPreset || PRESETS[analysis.preset] || PRESETS["general"];
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* BUILD SCHEMA DESCRIPTION FROM CONFIG                            */
+/* ─────────────────────────────────────────────────────────────── */
+function buildSchemaDescription(schema) {
+  const lines = [];
+
+  for (const [fieldName, fieldConfig] of Object.entries(schema)) {
+    lines.push(describeField(fieldName, fieldConfig, 0));
+  }
+
+  return lines.join("\n\n");
+}
+
+function describeField(name, config, indent = 0) {
+  const prefix = "  ".repeat(indent);
+  const lines = [];
+
+  if (config.type === "flags") {
+    lines.push(`${prefix}${name}: object with boolean flags:`);
+    for (const flag of config.fields || []) {
+      lines.push(`${prefix}  - ${flag}: boolean`);
+    }
+  } else if (config.type === "object" && config.fields) {
+    lines.push(`${prefix}${name}: object with fields:`);
+    for (const [subName, subConfig] of Object.entries(config.fields)) {
+      lines.push(describeField(subName, subConfig, indent + 1));
+    }
+  } else if (config.type === "array" && config.itemType === "object" && config.itemFields) {
+    lines.push(`${prefix}${name}: array of objects, each with:`);
+    for (const [subName, subConfig] of Object.entries(config.itemFields)) {
+      lines.push(describeField(subName, subConfig, indent + 1));
+    }
+  } else if (config.type === "array") {
+    lines.push(`${prefix}${name}: array of ${config.itemType || "string"}s`);
+  } else if (config.type === "enum") {
+    const options = parseOptions(config.options);
+    lines.push(`${prefix}${name}: string, one of [${(options.length > 0 ? options : ["value"]).join(", ")}]`);
+  } else if (config.type === "boolean") {
+    lines.push(`${prefix}${name}: boolean`);
+  } else if (config.type === "number") {
+    const desc = config.description ? ` (${config.description})` : "";
+    lines.push(`${prefix}${name}: number${desc}`);
+  } else {
+    const desc = config.description ? ` - ${config.description}` : "";
+    lines.push(`${prefix}${name}: string${desc}`);
+  }
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  PRESETS,
+  buildPrompts,
+  buildSchemaDescription,
+  describeField,
+  formatRecordData,
+};
@@ -0,0 +1,110 @@
+/**
+ * InsightFlow - Real-time Analysis
+ * HTTP trigger that analyzes a handful of records immediately and returns
+ * the insights inline instead of going through the Batch API
+ */
+
+const { app } = require("@azure/functions");
+const { validateAnalysis } = require("./configValidator");
+const { validateFieldMapping } = require("./fieldMapper");
+const { preflight, respond } = require("./httpResponses");
+const presetStorage = require("./presetStorage");
+const realtimeAnalyzer = require("./realtimeAnalyzer");
+const writeBackTarget = require("./writeBackTarget");
+
+const REALTIME_MAX_RECORDS = parseInt(process.env.REALTIME_MAX_RECORDS, 10) || 50;
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HTTP TRIGGER - Analyze Records                                  */
+/* Body: { records | record, analysis, source?, output? }          */
+/* ─────────────────────────────────────────────────────────────── */
+app.http("analyzeRecords", {
+  methods: ["POST", "OPTIONS"],
+  authLevel: "function",
+  handler: async (request, context) => {
+    if (request.method === "OPTIONS") return preflight("POST");
+
+    let body = {};
+    try {
+      const bodyText = await request.text();
+      if (bodyText) body = JSON.parse(bodyText);
+    } catch {
+      return respond(400, { success: false, error: "Invalid JSON body" });
+    }
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      return respond(400, { success: false, error: "Body must be a JSON object" });
+    }
+
+    const records = Array.isArray(body.records) ? body.records : body.record ? [body.record] : [];
+    if (records.length === 0) {
+      return respond(400, { success: false, error: "Missing required: records or record" });
+    }
+    if (records.length > REALTIME_MAX_RECORDS) {
+      return respond(413, {
+        success: false,
+        error: `Too many records for real-time analysis (${records.length} > ${REALTIME_MAX_RECORDS}); use triggerPipeline instead`,
+      });
+    }
+    if (records.some((record) => !record || typeof record !== "object" || Array.isArray(record))) {
+      return respond(400, { success: false, error: "Each record must be an object" });
+    }
+
+    const { source, analysis, output } = body;
+    const config = { source, analysis, output };
+    // The destination is checked before it is resolved into the reserved field names
+    const destinationErrors = output === undefined || (output && typeof output === "object" && !Array.isArray(output))
+      ? writeBackTarget.validateDestination(config)
+      : ["output must be an object"];
+    if (destinationErrors.length > 0) {
+      return respond(400, { success: false, error: "Invalid output destination", details: destinationErrors });
+    }
+
+    const reserved = writeBackTarget.systemFields(writeBackTarget.resolveDestination(config));
+    const mappingErrors = validateFieldMapping(output?.fieldMapping, reserved);
+    if (mappingErrors.length > 0) {
+      return respond(400, { success: false, error: "Invalid output.fieldMapping", details: mappingErrors });
+    }
+
+    const analysisErrors = validateAnalysis(analysis, source?.fields);
+    if (analysisErrors.length > 0) {
+      return respond(400, { success: false, error: "Invalid analysis config", details: analysisErrors });
+    }
+
+    const objectName = source?.object || "record";
+
+    const startTime = Date.now();
+
+    try {
+      try {
+        config.analysis = await presetStorage.resolveAnalysis(analysis);
+      } catch (err) {
+        if (err.code !== "UNKNOWN_PRESET") throw err;
+        return respond(400, { success: false, error: err.message });
+      }
+
+      const openAIClient = realtimeAnalyzer.createClient(config);
+      const results = await realtimeAnalyzer.analyzeRecords(
+        openAIClient,
+        { records, config, objectName },
+        context
+      );
+
+      const items = results.map((result) => realtimeAnalyzer.toResponseItem(result, config.analysis, output?.fieldMapping));
+      const failed = items.filter((item) => item.error).length;
+      context.log(`Analyzed ${records.length} records in real time (${failed} failed) in ${Date.now() - startTime}ms`);
+
+      return respond(200, {
+        success: true,
+        object: objectName,
+        count: items.length,
+        succeeded: items.length - failed,
+        failed,
+        results: items,
+        durationMs: Date.now() - startTime,
+      });
+    } catch (error) {
+      context.error("Error:", error);
+      return respond(500, { success: false, error: error.message });
+    }
+  },
+});
@@ -0,0 +1,108 @@
+/**
+ * InsightFlow - Real-time Analyzer
+ * Runs records through chat completions directly (no Batch API) with a
+ * concurrency limit; results use the same shape as batch output lines
+ */
+
+const batchSubmitter = require("./batchSubmitter");
+const { mapInsights } = require("./fieldMapper");
+const { validateInsights } = require("./insightSchema");
+const modelSettings = require("./modelSettings");
+const openAIClientFactory = require("./openAIClient");
+const { parseInsights } = require("./resultWriter");
+const { recordIdField } = require("./writeBackTarget");
+
+const REALTIME_CONCURRENCY = parseInt(process.env.REALTIME_CONCURRENCY, 10) || 5;
+
+/**
+ * Client bound to the run's real-time deployment (`analysis.model.realtimeDeployment`).
+ */
+function createClient(config) {
+  return openAIClientFactory.createClient({ deployment: modelSettings.resolveModel(config, "realtime").deployment });
+}
+
+/**
+ * Analyze records with chat completions. Each result is
+ * { custom_id, response: { status_code, body } } or { custom_id, error: { message } },
+ * matching batch output so resultWriter can consume either.
+ */
+async function analyzeRecords(client, { records, recordIds, config, objectName }, context, { concurrency = REALTIME_CONCURRENCY } = {}) {
+  const responseFormat = batchSubmitter.buildResponseFormat(config);
+  const settings = modelSettings.resolveModel(config, "realtime");
+  const idField = recordIdField(config);
+
+  return mapWithConcurrency(records, concurrency, async (record, index) => {
+    const customId = recordIds?.[index] ?? batchSubmitter.getRecordId(record, index, idField);
+    const body = batchSubmitter.buildChatBody(record, config, objectName, {
+      settings,
+      responseFormat,
+    });
+
+    try {
+      const completion = await client.chat.completions.create(body);
+      return { custom_id: customId, response: { status_code: 200, body: completion } };
+    } catch (err) {
+      context.warn(`Real-time analysis failed for ${customId}: ${err.message}`);
+      return { custom_id: customId, error: { code: err.status || null, message: err.message } };
+    }
+  });
+}
+
+/**
+ * One analyzed record as returned by the HTTP endpoints: parsed insights,
+ * schema validation and the Salesforce fields the write-back would set.
+ */
+function toResponseItem(result, analysis, fieldMapping) {
+  if (result.error) return { id: result.custom_id, error: result.error.message };
+
+  const insights = parseInsights(result);
+  if (!insights) return { id: result.custom_id, error: "Unparseable AI response" };
+
+  // Same analysis.schema / analysis.validation rules as the batch output
+  let item = { id: result.custom_id, insights };
+  if (analysis?.schema && Object.keys(analysis.schema).length > 0 && analysis.validation?.enabled !== false) {
+    const check = validateInsights(insights, analysis.schema, { coerce: analysis.validation?.coerce === true });
+    item = {
+      ...item,
+      insights: check.value,
+      valid: check.valid,
+      ...(check.errors.length ? { errors: check.errors } : {}),
+      ...(check.coercions.length ? { coercions: check.coercions } : {}),
+    };
+  }
+
+  // Preview of the Salesforce fields the write-back would set
+  if (fieldMapping && Object.keys(fieldMapping).length > 0) {
+    const { fields, issues } = mapInsights(item.insights, fieldMapping);
+    item.fields = fields;
+    if (issues.length) item.mappingIssues = issues;
+  }
+
+  return item;
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HELPERS                                                         */
+/* ─────────────────────────────────────────────────────────────── */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  REALTIME_CONCURRENCY,
+  createClient,
+  analyzeRecords,
+  toResponseItem,
+};
@@ -0,0 +1,435 @@
+/**
+ * InsightFlow - Result Writer
+ * Turns batch results into the Salesforce output file, validates them,
+ * completes job groups and triggers the ADF WriteBack pipeline
+ */
+
+const { BlobServiceClient } = require("@azure/storage-blob");
+const adfClient = require("./adfClient");
+const batchJobStorage = require("./batchJobStorage");
+const { mapInsights } = require("./fieldMapper");
+const { validateInsights } = require("./insightSchema");
+const runTracker = require("./runTracker");
+const writeBackTarget = require("./writeBackTarget");
+
+const STORAGE_CONNECTION_STRING = process.env.AZURE_STORAGE_CONNECTION_STRING || process.env.AzureWebJobsStorage;
+const OUTPUT_CONTAINER = process.env.OUTPUT_CONTAINER || "output";
+
+/* ─────────────────────────────────────────────────────────────── */
+/* FINISH JOB                                                      */
+/* Standalone jobs write their output directly; members of a group */
+/* stage their results until the last member completes the group   */
+/* ─────────────────────────────────────────────────────────────── */
+async function finishJob(job, results, failedIds, { outputFileId, errorFileId, usage = null }, context) {
+  if (job.groupId) {
+    const memberId = job.rootBatchId || job.batchId;
+    const memberResultsPath = await batchJobStorage.saveStagedResults(`${job.groupId}/${memberId}`, results);
+
+    // On the group before the job moves on: if this fails, the job stays pending and is retried
+    const { completedNow } = await recordGroupMember(job, { status: "completed", memberResultsPath, failedRecordIds: failedIds }, context);
+    await batchJobStorage.markFinished(job.batchId, { outputFileId, errorFileId }, null, { failedRecordIds: failedIds, memberResultsPath, usage });
+    if (job.stagedResultsPath) await batchJobStorage.deleteStagedResults(job.stagedResultsPath);
+
+    await runTracker
+      .recordBatch(job.configId, job.batchId, { status: "completed", usage, completedAt: new Date().toISOString() })
+      .catch((err) => context.warn(`Failed to update run ${job.configId}: ${err.message}`));
+
+    if (completedNow) await finishGroup(job.groupId, context);
+    return;
+  }
+
+  await runTracker
+    .recordBatch(job.configId, job.batchId, { status: "completed", usage, completedAt: new Date().toISOString() })
+    .catch((err) => context.warn(`Failed to update run ${job.configId}: ${err.message}`));
+
+  const { outputPath, validationReport } = await writeOutput(job, results, failedIds, context);
+
+  await batchJobStorage.markFinished(job.batchId, { outputFileId, errorFileId }, outputPath, {
+    failedRecordIds: failedIds,
+    usage,
+    ...(validationReport ? { validation: validationReport } : {}),
+  });
+  if (job.stagedResultsPath) await batchJobStorage.deleteStagedResults(job.stagedResultsPath);
+}
+
+/**
+ * Record a member's final state on its group. Called before the job moves on,
+ * so a job that fails in between is retried and records itself again.
+ */
+async function recordGroupMember(job, updates, context) {
+  const memberId = job.rootBatchId || job.batchId;
+  const result = await batchJobStorage.completeGroupMember(job.groupId, memberId, updates);
+
+  if (!result.completedNow) {
+    const members = Object.values(result.group.members);
+    const done = members.filter((m) => m.status !== "pending").length;
+    context.log(`Group ${job.groupId}: ${done}/${members.length} batches finished`);
+  }
+  return result;
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* FINISH JOB GROUP                                                */
+/* Once every member is done, their results become one output and  */
+/* one write-back. Groups left unfinished by a failed execution are */
+/* finished by the status checker (getGroupsAwaitingOutput)        */
+/* ─────────────────────────────────────────────────────────────── */
+async function finishGroup(groupId, context) {
+  const lock = await batchJobStorage.acquireJobLock(groupId);
+  if (!lock) {
+    context.log(`Group ${groupId} is being finished elsewhere, skipping`);
+    return;
+  }
+
+  try {
+    const group = await batchJobStorage.getJobGroup(groupId);
+    if (group?.status === "in_progress") return;
+    if (!group || group.outputBlobPath) {
+      await batchJobStorage.clearGroupAwaitingOutput(groupId);
+      return;
+    }
+
+    if (group.status === "failed") {
+      context.warn(`Group ${groupId}: every batch failed, nothing to write back`);
+      await runTracker
+        .failRun(group.configId, "batch", "All batches of the dataset failed")
+        .catch((err) => context.warn(`Failed to update run ${group.configId}: ${err.message}`));
+      await batchJobStorage.clearGroupAwaitingOutput(groupId);
+      return;
+    }
+
+    // Combine every member's results into one output file and one write-back
+    const members = Object.values(group.members);
+    const results = [];
+    const failedIds = [];
+    for (const member of members) {
+      if (member.memberResultsPath) results.push(...(await batchJobStorage.loadStagedResults(member.memberResultsPath)));
+      failedIds.push(...(member.failedRecordIds || []));
+    }
+
+    const groupJob = {
+      batchId: groupId,
+      groupId,
+      configId: group.configId,
+      objectName: group.objectName,
+      pipelineRunId: group.pipelineRunId,
+      config: group.config,
+      inputBlobPath: group.inputBlobPath,
+    };
+    const { outputPath, validationReport } = await writeOutput(groupJob, results, failedIds, context);
+
+    await batchJobStorage.updateJobGroup(groupId, (g) => {
+      g.outputBlobPath = outputPath;
+      g.processedAt = new Date().toISOString();
+      if (validationReport) g.validation = validationReport;
+    });
+    await batchJobStorage.clearGroupAwaitingOutput(groupId);
+
+    for (const member of members) {
+      if (member.memberResultsPath) await batchJobStorage.deleteStagedResults(member.memberResultsPath);
+    }
+  } catch (err) {
+    // Its members have moved on already: the status checker tries again
+    context.error(`Group ${groupId}: output not written, retrying on the next check: ${err.message}`);
+  } finally {
+    await lock.release().catch((err) => context.warn(`Failed to release lock on ${groupId}: ${err.message}`));
+  }
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* WRITE FINAL OUTPUT AND TRIGGER WRITEBACK                        */
+/* Claimed per output, so a job processed again (after a crash or  */
+/* by an overlapping execution) never triggers a second write-back */
+/* ─────────────────────────────────────────────────────────────── */
+async function writeOutput(job, results, failedIds, context) {
+  // A group writes one output under its groupId; a job chain under its root batch
+  const writeBackKey = job.groupId || job.rootBatchId || job.batchId;
+  const claim = await batchJobStorage.claimWriteBack(writeBackKey, { configId: job.configId, batchId: job.batchId });
+  if (!claim.claimed && claim.record.status === "writing") {
+    // Left pending: the job is processed again once the claim finishes or goes stale
+    const err = new Error(`Output of ${writeBackKey} is being written by another execution since ${claim.record.claimedAt}`);
+    err.code = "WRITE_BACK_IN_PROGRESS";
+    throw err;
+  }
+  if (!claim.claimed) {
+    context.warn(`Output of ${writeBackKey} already ${claim.record.status} (${claim.record.outputPath}), not writing back again`);
+    return { outputPath: claim.record.outputPath, validationReport: claim.record.validationReport || null };
+  }
+
+  // Transform to Salesforce-compatible format for ADF WriteBack
+  const destination = writeBackTarget.resolveDestination(job.config);
+  const validation = createValidation(job);
+  const mapping = createMapping(job);
+  const processedResults = results
+    .map((result) => transformToSalesforceFormat(result, job, destination, validation, mapping, context))
+    .filter(Boolean);
+
+  // Save to output blob (for ADF to pick up)
+  const { outputPath, fileName } = await saveResults(job, processedResults, context);
+  const validationReport = validation
+    ? await saveValidationReport(job, validation, fileName, context)
+    : null;
+
+  const successCount = processedResults.length;
+  const totalCount = results.length + failedIds.length;
+  context.log(`Saved ${successCount}/${totalCount} results to ${outputPath}`);
+
+  await runTracker
+    .recordStage(job.configId, "output", {
+      blobPath: outputPath,
+      destinationObject: destination.object,
+      destinationMode: destination.mode,
+      recordCount: successCount,
+      failedCount: totalCount - successCount,
+      invalidCount: validationReport?.invalid ?? null,
+      mappedFields: mapping ? Object.keys(mapping.fieldMapping) : null,
+      mappingIssueCount: mapping ? mapping.issues : null,
+      validationReportPath: validationReport?.reportPath || null,
+      savedAt: new Date().toISOString(),
+    })
+    .catch((err) => context.warn(`Failed to update run ${job.configId}: ${err.message}`));
+
+  // Recorded before triggering: if this execution dies now, the write-back is not repeated
+  await batchJobStorage.updateWriteBack(writeBackKey, { status: "triggering", outputPath, validationReport });
+
+  // Trigger ADF WriteBack Pipeline
+  const writeBackRunId = await triggerWriteBackPipeline(fileName, destination, context);
+  await batchJobStorage
+    .updateWriteBack(writeBackKey, { status: writeBackRunId ? "triggered" : "not_triggered", writeBackRunId })
+    .catch((err) => context.warn(`Failed to record write-back of ${writeBackKey}: ${err.message}`));
+
+  await runTracker
+    .recordStage(job.configId, "writeBack", {
+      runId: writeBackRunId,
+      factoryName: destination.factoryName,
+      pipelineName: destination.pipelineName,
+      status: writeBackRunId ? "InProgress" : "NotTriggered",
+      triggeredAt: new Date().toISOString(),
+    })
+    .catch((err) => context.warn(`Failed to update run ${job.configId}: ${err.message}`));
+
+  return { outputPath, validationReport };
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* TRANSFORM TO SALESFORCE FORMAT                                  */
+/* Maps AI insights to the destination's field layout (by default  */
+/* azinsights__c) plus any fields configured in output.fieldMapping */
+/* ─────────────────────────────────────────────────────────────── */
+function transformToSalesforceFormat(result, job, destination, validation, mapping, context) {
+  if (result.error) {
+    context.warn(`Skipping failed record ${result.custom_id}: ${result.error.message}`);
+    return null;
+  }
+
+  let insights = parseInsights(result);
+  if (!insights) {
+    context.warn(`Failed to parse AI response for ${result.custom_id}`);
+    return null;
+  }
+
+  if (validation) {
+    insights = validateRecord(result.custom_id, insights, validation, context);
+    if (!insights) return null;
+  }
+
+  let fields = {};
+  if (mapping) {
+    const mapped = mapInsights(insights, mapping.fieldMapping);
+    if (mapped.issues.length > 0) {
+      mapping.issues += mapped.issues.length;
+      context.warn(`Record ${result.custom_id} field mapping: ${mapped.issues.map((i) => `${i.field} ${i.message}`).join("; ")}`);
+    }
+    fields = mapped.fields;
+  }
+
+  return writeBackTarget.buildOutputRecord(destination, {
+    recordId: result.custom_id,
+    objectName: job.objectName,
+    fields,
+    serializedInsights: truncate(JSON.stringify(insights), 131072),
+  });
+}
+
+function createMapping(job) {
+  const fieldMapping = job.config?.output?.fieldMapping;
+  if (!fieldMapping || Object.keys(fieldMapping).length === 0) return null;
+  return { fieldMapping, issues: 0 };
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* VALIDATE INSIGHTS AGAINST analysis.schema                       */
+/* analysis.validation: { enabled, coerce, onInvalid: flag|skip }  */
+/* ─────────────────────────────────────────────────────────────── */
+function createValidation(job) {
+  const analysis = job.config?.analysis || {};
+  const options = analysis.validation || {};
+  if (!analysis.schema || Object.keys(analysis.schema).length === 0) return null;
+  if (options.enabled === false) return null;
+
+  return {
+    schema: analysis.schema,
+    coerce: options.coerce === true,
+    onInvalid: options.onInvalid === "skip" ? "skip" : "flag",
+    total: 0,
+    invalid: 0,
+    coerced: 0,
+    skipped: 0,
+    records: [],
+  };
+}
+
+function validateRecord(customId, insights, validation, context) {
+  const check = validateInsights(insights, validation.schema, { coerce: validation.coerce });
+  validation.total++;
+
+  if (check.coercions.length > 0) validation.coerced++;
+  if (check.valid) return check.value;
+
+  validation.invalid++;
+  validation.records.push({ customId, errors: check.errors, coercions: check.coercions });
+  context.warn(`Record ${customId} failed schema validation (${check.errors.length} errors)`);
+
+  if (validation.onInvalid === "skip") {
+    validation.skipped++;
+    return null;
+  }
+  return check.value;
+}
+
+/**
+ * Sidecar report next to the output file: per-record validation errors.
+ */
+async function saveValidationReport(job, validation, outputFileName, context) {
+  const blobServiceClient = BlobServiceClient.fromConnectionString(STORAGE_CONNECTION_STRING);
+  const containerClient = blobServiceClient.getContainerClient(OUTPUT_CONTAINER);
+
+  const fileName = outputFileName.replace(/\.jsonl$/, ".validation.json");
+  const report = {
+    batchId: job.batchId,
+    configId: job.configId || null,
+    objectName: job.objectName,
+    coerce: validation.coerce,
+    onInvalid: validation.onInvalid,
+    total: validation.total,
+    valid: validation.total - validation.invalid,
+    invalid: validation.invalid,
+    coerced: validation.coerced,
+    skipped: validation.skipped,
+    records: validation.records,
+    createdAt: new Date().toISOString(),
+  };
+
+  const content = JSON.stringify(report, null, 2);
+  await containerClient.getBlockBlobClient(fileName).upload(content, Buffer.byteLength(content), {
+    blobHTTPHeaders: { blobContentType: "application/json" },
+  });
+
+  context.log(`Validation: ${report.valid}/${report.total} valid, report saved to ${OUTPUT_CONTAINER}/${fileName}`);
+  const { records, ...summary } = report;
+  return { ...summary, reportPath: `${OUTPUT_CONTAINER}/${fileName}` };
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* SAVE RESULTS TO BLOB                                            */
+/* Output as JSONL (JSON Lines) - one record per line for ADF      */
+/* ─────────────────────────────────────────────────────────────── */
+async function saveResults(job, results, context) {
+  const blobServiceClient = BlobServiceClient.fromConnectionString(STORAGE_CONNECTION_STRING);
+  const containerClient = blobServiceClient.getContainerClient(OUTPUT_CONTAINER);
+  await containerClient.createIfNotExists();
+
+  const baseName = job.inputBlobPath.split("/").pop()?.replace(/\.[^/.]+$/, "") || "unknown";
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const fileName = `${baseName}_processed_${timestamp}.jsonl`;
+
+  // JSONL format: one JSON object per line (ADF handles this as tabular data)
+  const content = results.map(r => JSON.stringify(r)).join("\n");
+  const blobClient = containerClient.getBlockBlobClient(fileName);
+  await blobClient.upload(content, Buffer.byteLength(content), {
+    blobHTTPHeaders: { blobContentType: "application/x-ndjson" },
+  });
+
+  context.log(`Saved ${results.length} records to ${OUTPUT_CONTAINER}/${fileName}`);
+  return { outputPath: `${OUTPUT_CONTAINER}/${fileName}`, fileName };
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* TRIGGER ADF WRITEBACK PIPELINE                                  */
+/* ─────────────────────────────────────────────────────────────── */
+async function triggerWriteBackPipeline(fileName, destination, context) {
+  if (!adfClient.isConfigured(destination.factoryName)) {
+    context.warn("ADF not configured, skipping WriteBack pipeline trigger");
+    return null;
+  }
+
+  try {
+    const pipelineParams = writeBackTarget.buildPipelineParameters(destination, fileName);
+
+    const result = await adfClient.createPipelineRun(destination.factoryName, destination.pipelineName, pipelineParams);
+
+    if (!result.ok) {
+      context.error(`Failed to trigger WriteBack pipeline: ${result.status} - ${result.errorText}`);
+      return null;
+    }
+
+    context.log(`WriteBack pipeline ${destination.pipelineName} triggered: ${result.runId} for file ${fileName} → ${destination.object}`);
+    return result.runId;
+  } catch (err) {
+    context.error(`Error triggering WriteBack pipeline: ${err.message}`);
+    return null;
+  }
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* CLASSIFY RESULTS                                                */
+/* Split batch-format result lines into usable results and the     */
+/* custom_ids that errored or returned unparseable JSON            */
+/* ─────────────────────────────────────────────────────────────── */
+function classifyResults(results, context) {
+  const succeeded = [];
+  const failedIds = [];
+
+  for (const result of results) {
+    if (!result.custom_id) continue;
+    if (result.error || (result.response?.status_code && result.response.status_code >= 400)) {
+      const message = result.error?.message || result.response?.body?.error?.message || `HTTP ${result.response.status_code}`;
+      context.warn(`Record ${result.custom_id} failed: ${message}`);
+      failedIds.push(result.custom_id);
+    } else if (!parseInsights(result)) {
+      context.warn(`Unparseable AI response for ${result.custom_id}`);
+      failedIds.push(result.custom_id);
+    } else {
+      succeeded.push(result);
+    }
+  }
+
+  return { succeeded, failedIds };
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HELPERS                                                         */
+/* ─────────────────────────────────────────────────────────────── */
+function parseInsights(result) {
+  const content = result.response?.body?.choices?.[0]?.message?.content;
+  try {
+    return content ? JSON.parse(content) : null;
+  } catch {
+    return null;
+  }
+}
+
+function truncate(str, maxLength) {
+  if (!str) return null;
+  if (typeof str !== "string") str = String(str);
+  return str.length > maxLength ? str.substring(0, maxLength - 3) + "..." : str;
+}
+
+module.exports = {
+  finishJob,
+  recordGroupMember,
+  finishGroup,
+  writeOutput,
+  classifyResults,
+  parseInsights,
+};
@@ -0,0 +1,144 @@
+/**
+ * InsightFlow - Run Status
+ * HTTP trigger returning the full lifecycle of a run (extract → batch → write-back),
+ * plus approval of runs held back by a budget
+ */
+
+const { app } = require("@azure/functions");
+const batchSubmitter = require("./batchSubmitter");
+const configStorage = require("./configStorage");
+const { parseDataset, readDatasetBlob } = require("./datasetParser");
+const datasetSubmitter = require("./datasetSubmitter");
+const { preflight, respond } = require("./httpResponses");
+const runTracker = require("./runTracker");
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HTTP TRIGGER - Get Run Status                                   */
+/* ─────────────────────────────────────────────────────────────── */
+app.http("getRunStatus", {
+  methods: ["GET", "OPTIONS"],
+  authLevel: "function",
+  handler: async (request, context) => {
+    if (request.method === "OPTIONS") return preflight("GET");
+
+    let configId = request.query.get("configId");
+    const runId = request.query.get("runId");
+    if (!configId && !runId) {
+      return respond(400, { success: false, error: "configId or runId parameter required" });
+    }
+
+    try {
+      if (!configId) {
+        const config = await configStorage.getConfigByRunId(runId);
+        configId = config?.configId;
+      }
+
+      let run = configId ? await runTracker.getRun(configId) : null;
+      if (!run) {
+        return respond(404, { success: false, error: "Run not found" });
+      }
+
+      run = await runTracker.refreshAdfStages(run, context);
+
+      return respond(200, {
+        success: true,
+        configId: run.configId,
+        object: run.objectName,
+        status: run.status,
+        currentStage: run.currentStage,
+        progress: runTracker.getProgress(run),
+        error: run.error,
+        approval: run.approval || null,
+        stages: run.stages,
+        createdAt: run.createdAt,
+        updatedAt: run.updatedAt,
+        completedAt: run.completedAt || null,
+      });
+    } catch (error) {
+      context.error("Error:", error);
+      return respond(500, { success: false, error: error.message });
+    }
+  },
+});
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HTTP TRIGGER - Approve Run                                      */
+/* Submits a dataset that was held back for exceeding its budget   */
+/* ─────────────────────────────────────────────────────────────── */
+app.http("approveRun", {
+  methods: ["POST", "OPTIONS"],
+  authLevel: "function",
+  handler: async (request, context) => {
+    if (request.method === "OPTIONS") return preflight("POST");
+
+    const configId = request.query.get("configId");
+    if (!configId) return respond(400, { success: false, error: "configId parameter required" });
+
+    try {
+      const { run, decidedNow } = await runTracker.decideApproval(configId, "approved");
+      if (!run) return respond(404, { success: false, error: "Run not found" });
+      if (!decidedNow) {
+        return respond(409, { success: false, error: `Run is not awaiting approval (status: ${run.status})` });
+      }
+
+      const { datasetPath, objectName, ingestionReportPath } = run.approval;
+      const fileName = datasetPath.replace(/^datasets\//, "");
+      const config = await configStorage.getConfig(configId);
+
+      try {
+        const { records } = batchSubmitter.rejectRecordsWithoutId(
+          parseDataset(await readDatasetBlob(datasetPath), fileName, config?.dataset),
+          config
+        );
+        const requests = batchSubmitter.buildBatchRequests(records, config, objectName);
+        const estimate = datasetSubmitter.estimateDataset(records, requests, config);
+        // Approved over budget: counted in today's spend without the check
+        await datasetSubmitter.reserveBudget(datasetPath, estimate, config, context, { approved: true });
+        await datasetSubmitter.submitDataset(
+          { records, requests, fileName, objectName, config, ingestionReportPath, estimate },
+          context
+        );
+      } catch (err) {
+        await datasetSubmitter.releaseBudget(datasetPath, context);
+        await runTracker
+          .failRun(configId, "batch", `Submission after approval failed: ${err.message}`)
+          .catch((trackErr) => context.warn(`Failed to update run ${configId}: ${trackErr.message}`));
+        throw err;
+      }
+
+      context.log(`Run ${configId} approved and submitted`);
+      return respond(200, { success: true, configId, status: "running", estimate: run.approval.estimate });
+    } catch (error) {
+      context.error("Error:", error);
+      return respond(500, { success: false, error: error.message });
+    }
+  },
+});
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HTTP TRIGGER - Reject Run                                       */
+/* ─────────────────────────────────────────────────────────────── */
+app.http("rejectRun", {
+  methods: ["POST", "OPTIONS"],
+  authLevel: "function",
+  handler: async (request, context) => {
+    if (request.method === "OPTIONS") return preflight("POST");
+
+    const configId = request.query.get("configId");
+    if (!configId) return respond(400, { success: false, error: "configId parameter required" });
+
+    try {
+      const { run, decidedNow } = await runTracker.decideApproval(configId, "rejected");
+      if (!run) return respond(404, { success: false, error: "Run not found" });
+      if (!decidedNow) {
+        return respond(409, { success: false, error: `Run is not awaiting approval (status: ${run.status})` });
+      }
+
+      context.log(`Run ${configId} rejected`);
+      return respond(200, { success: true, configId, status: run.status });
+    } catch (error) {
+      context.error("Error:", error);
+      return respond(500, { success: false, error: error.message });
+    }
+  },
+});
@@ -0,0 +1,428 @@
+/**
+ * InsightFlow - Run Tracker
+ * One record per configId that accumulates every stage of a run:
+ * extract (ADF) → dataset → batch (OpenAI) → output → writeBack (ADF)
+ */
+
+const { BlobServiceClient } = require("@azure/storage-blob");
+const adfClient = require("./adfClient");
+const watermarkStorage = require("./watermarkStorage");
+const webhookNotifier = require("./webhookNotifier");
+
+const STORAGE_CONNECTION_STRING = process.env.AZURE_STORAGE_CONNECTION_STRING || process.env.AzureWebJobsStorage;
+const CONTAINER = "pipeline-runs";
+const MAX_UPDATE_ATTEMPTS = 5;
+
+const STAGES = ["extract", "dataset", "batch", "output", "writeBack"];
+// awaiting-writeback/<configId>.json marks runs whose write-back ADF run is still followed
+const WRITE_BACK_PREFIX = "awaiting-writeback/";
+// awaiting-extract/<configId>.json marks runs whose dataset hasn't arrived yet
+const EXTRACT_PREFIX = "awaiting-extract/";
+// Runs in these states have not finished (see getActiveRun)
+const ACTIVE_STATUSES = ["running", "awaiting_approval"];
+// A run still active this long after it started is treated as stuck: it no
+// longer blocks its schedule or gets replayed for an identical config
+const STALE_RUN_MS = (parseFloat(process.env.STALE_RUN_HOURS) || 48) * 3600000;
+
+async function getContainer() {
+  if (!STORAGE_CONNECTION_STRING) throw new Error("Storage not configured");
+  const client = BlobServiceClient.fromConnectionString(STORAGE_CONNECTION_STRING);
+  const container = client.getContainerClient(CONTAINER);
+  await container.createIfNotExists();
+  return container;
+}
+
+async function streamToString(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", (d) => chunks.push(d.toString()));
+    stream.on("end", () => resolve(chunks.join("")));
+    stream.on("error", reject);
+  });
+}
+
+async function createRun(data) {
+  const container = await getContainer();
+  const now = new Date().toISOString();
+  const run = {
+    configId: data.configId,
+    objectName: data.objectName,
+    status: "running",
+    currentStage: "extract",
+    createdAt: now,
+    updatedAt: now,
+    error: null,
+    // Incremental extraction window, moved onto the watermark once write-back succeeds
+    watermark: data.watermark || null,
+    scheduleId: data.scheduleId || null,
+    // Webhook target for lifecycle events (see webhookNotifier)
+    notify: data.notify || null,
+    stages: {
+      extract: {
+        runId: data.extractRunId,
+        factoryName: data.factoryName,
+        pipelineName: data.pipelineName,
+        status: "InProgress",
+        startedAt: now,
+        completedAt: null,
+      },
+      dataset: null,
+      batch: null,
+      output: null,
+      writeBack: null,
+    },
+  };
+
+  const content = JSON.stringify(run, null, 2);
+  await container.getBlockBlobClient(`${data.configId}.json`).upload(content, Buffer.byteLength(content), {
+    blobHTTPHeaders: { blobContentType: "application/json" },
+  });
+
+  // Followed by refreshFollowedRuns until the dataset lands (or the extract turns out empty)
+  const marker = JSON.stringify({ configId: data.configId, runId: data.extractRunId });
+  await container.getBlockBlobClient(`${EXTRACT_PREFIX}${data.configId}.json`).upload(marker, Buffer.byteLength(marker), {
+    blobHTTPHeaders: { blobContentType: "application/json" },
+  });
+
+  return run;
+}
+
+async function getRun(configId) {
+  const container = await getContainer();
+  const blobClient = container.getBlockBlobClient(`${configId}.json`);
+  if (!(await blobClient.exists())) return null;
+
+  const response = await blobClient.download(0);
+  return JSON.parse(await streamToString(response.readableStreamBody));
+}
+
+/**
+ * Read-modify-write guarded by the blob ETag; several functions update
+ * the same run (one per batch, the checker, the status endpoint). Webhooks
+ * for the transitions of a successful update are sent from here.
+ */
+async function updateRun(configId, mutate) {
+  if (!configId) return null;
+  const container = await getContainer();
+  const blobClient = container.getBlockBlobClient(`${configId}.json`);
+
+  for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+    if (!(await blobClient.exists())) return null;
+
+    const response = await blobClient.download(0);
+    const before = await streamToString(response.readableStreamBody);
+    const run = JSON.parse(before);
+    mutate(run);
+    run.updatedAt = new Date().toISOString();
+
+    const content = JSON.stringify(run, null, 2);
+    try {
+      await blobClient.upload(content, Buffer.byteLength(content), {
+        blobHTTPHeaders: { blobContentType: "application/json" },
+        conditions: { ifMatch: response.etag },
+      });
+      await webhookNotifier.notifyRunChange(JSON.parse(before), run);
+      return run;
+    } catch (err) {
+      if (err.statusCode !== 412 || attempt === MAX_UPDATE_ATTEMPTS) throw err;
+    }
+  }
+
+  return null;
+}
+
+async function recordStage(configId, stage, patch) {
+  const run = await updateRun(configId, (r) => {
+    r.stages[stage] = { ...(r.stages[stage] || {}), ...patch };
+    if (STAGES.indexOf(stage) >= STAGES.indexOf(r.currentStage)) {
+      r.currentStage = stage;
+    }
+  });
+
+  // Followed by refreshFollowedRuns until the ADF run finishes
+  if (run && stage === "writeBack" && patch.runId) {
+    const container = await getContainer();
+    const content = JSON.stringify({ configId, runId: patch.runId });
+    await container.getBlockBlobClient(`${WRITE_BACK_PREFIX}${configId}.json`).upload(content, Buffer.byteLength(content), {
+      blobHTTPHeaders: { blobContentType: "application/json" },
+    });
+  }
+  return run;
+}
+
+async function recordBatch(configId, batchId, patch) {
+  return updateRun(configId, (run) => {
+    const batch = run.stages.batch || { batchIds: [], jobs: {}, status: "in_progress" };
+    if (!batch.batchIds.includes(batchId)) batch.batchIds.push(batchId);
+    batch.jobs[batchId] = { ...(batch.jobs[batchId] || {}), ...patch };
+
+    const statuses = Object.values(batch.jobs).map((j) => j.status);
+    if (statuses.some((s) => s === "pending")) batch.status = "in_progress";
+    else if (statuses.every((s) => s === "failed" || s === "cancelled")) batch.status = "failed";
+    else batch.status = "completed";
+
+    run.stages.batch = batch;
+    if (STAGES.indexOf("batch") >= STAGES.indexOf(run.currentStage)) {
+      run.currentStage = "batch";
+    }
+  });
+}
+
+async function completeRun(configId) {
+  return updateRun(configId, (run) => {
+    run.status = "completed";
+    run.completedAt = new Date().toISOString();
+  });
+}
+
+/**
+ * Finish a run whose extract produced no records: there is nothing to analyze
+ * or write back, so it completes here and its watermark moves past the window.
+ */
+async function completeEmptyRun(configId, reason, context) {
+  let completedNow = false;
+
+  const run = await updateRun(configId, (r) => {
+    completedNow = r.status === "running";
+    if (!completedNow) return;
+
+    const now = new Date().toISOString();
+    r.status = "completed";
+    r.completedAt = now;
+    r.currentStage = "dataset";
+    r.stages.dataset = r.stages.dataset || { blobPath: null, recordCount: 0, receivedAt: null };
+    r.stages.dataset.empty = { reason, at: now };
+  });
+
+  if (completedNow && run.watermark) {
+    await watermarkStorage
+      .advanceWatermark(run.watermark, run.configId)
+      .catch((err) => context.warn(`Failed to advance watermark for ${run.configId}: ${err.message}`));
+  }
+  return run;
+}
+
+async function failRun(configId, stage, errorMessage) {
+  return updateRun(configId, (run) => {
+    run.status = "failed";
+    run.currentStage = stage;
+    run.error = { stage, message: errorMessage, at: new Date().toISOString() };
+  });
+}
+
+/**
+ * Park a run whose dataset is over budget until someone approves or rejects it.
+ */
+async function requestApproval(configId, approval) {
+  return updateRun(configId, (run) => {
+    run.status = "awaiting_approval";
+    run.currentStage = "dataset";
+    run.approval = { ...approval, status: "pending", requestedAt: new Date().toISOString(), decidedAt: null };
+  });
+}
+
+/**
+ * Approve or reject a pending run. `decidedNow` is false when the run was not
+ * awaiting approval (already decided, or never parked).
+ */
+async function decideApproval(configId, decision) {
+  let decidedNow = false;
+
+  const run = await updateRun(configId, (r) => {
+    decidedNow = false;
+    if (r.status !== "awaiting_approval" || r.approval?.status !== "pending") return;
+
+    decidedNow = true;
+    r.approval = { ...r.approval, status: decision, decidedAt: new Date().toISOString() };
+    if (decision === "approved") {
+      r.status = "running";
+    } else {
+      r.status = "failed";
+      r.error = { stage: "dataset", message: "Over-budget run rejected", at: r.approval.decidedAt };
+    }
+  });
+
+  return { run, decidedNow };
+}
+
+/**
+ * Rough progress for a single progress bar: each completed stage counts equally.
+ */
+function getProgress(run) {
+  if (run.status === "completed") return 100;
+  const index = STAGES.indexOf(run.currentStage);
+  return Math.round((Math.max(index, 0) / STAGES.length) * 100);
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* REFRESH ADF STAGES                                              */
+/* Extract and write-back runs only change in ADF, so poll them    */
+/* while they are still running (getRunStatus, schedule runner)    */
+/* ─────────────────────────────────────────────────────────────── */
+async function refreshAdfStages(run, context) {
+  if (run.status !== "running") return run;
+
+  const extract = run.stages.extract;
+  if (extract?.runId && !adfClient.isTerminal(extract.status)) {
+    const adfRun = await fetchAdfRun(extract, context);
+    if (adfRun && adfRun.status !== extract.status) {
+      run = (await recordStage(run.configId, "extract", {
+        status: adfRun.status,
+        message: adfRun.message || null,
+        completedAt: adfRun.runEnd || null,
+      })) || run;
+      if (adfRun.status === "Failed" || adfRun.status === "Cancelled") {
+        run = (await failRun(run.configId, "extract", adfRun.message || `Extract ${adfRun.status}`)) || run;
+      }
+    }
+  }
+
+  // ADF finished without the blob trigger seeing a dataset. Only the extract's
+  // own row count says nothing was extracted: a dataset that is late, or never
+  // lands, must not move the watermark past records nobody analyzed
+  const extracted = run.stages.extract;
+  if (run.status === "running" && extracted?.status === "Succeeded" && !run.stages.dataset) {
+    if (extracted.rowsCopied === undefined) {
+      const rowsCopied = await fetchRowsCopied(extracted, context);
+      if (rowsCopied !== undefined) run = (await recordStage(run.configId, "extract", { rowsCopied })) || run;
+    }
+    if (run.stages.extract.rowsCopied === 0) {
+      run = (await completeEmptyRun(run.configId, "Extract copied no rows", context)) || run;
+    }
+  }
+
+  const writeBack = run.stages.writeBack;
+  if (run.status === "running" && writeBack?.runId && !adfClient.isTerminal(writeBack.status)) {
+    const adfRun = await fetchAdfRun(writeBack, context);
+    if (adfRun && adfRun.status !== writeBack.status) {
+      run = (await recordStage(run.configId, "writeBack", {
+        status: adfRun.status,
+        message: adfRun.message || null,
+        completedAt: adfRun.runEnd || null,
+      })) || run;
+      if (adfRun.status === "Succeeded") {
+        run = (await completeRun(run.configId)) || run;
+        if (run.watermark) {
+          await watermarkStorage
+            .advanceWatermark(run.watermark, run.configId)
+            .catch((err) => context.warn(`Failed to advance watermark for ${run.configId}: ${err.message}`));
+        }
+      } else if (adfRun.status === "Failed" || adfRun.status === "Cancelled") {
+        run = (await failRun(run.configId, "writeBack", adfRun.message || `WriteBack ${adfRun.status}`)) || run;
+      }
+    }
+  }
+
+  return run;
+}
+
+/**
+ * The run if it is still in progress, or null. ADF stages are refreshed first,
+ * since nothing else completes a run nobody is polling. A run active for longer
+ * than STALE_RUN_HOURS counts as stuck, and so as not active.
+ */
+async function getActiveRun(configId, context) {
+  let run = await getRun(configId);
+  if (!run) return null;
+  run = await refreshAdfStages(run, context);
+  if (!ACTIVE_STATUSES.includes(run.status)) return null;
+
+  if (Date.now() - Date.parse(run.createdAt) > STALE_RUN_MS) {
+    context.warn(`Run ${configId} has been ${run.status} since ${run.createdAt}, treating it as stuck`);
+    return null;
+  }
+  return run;
+}
+
+/**
+ * Poll every run still waiting on ADF (its extract, or its write-back), so
+ * completion (empty runs, watermarks, run.written_back webhooks) doesn't wait
+ * for someone to call getRunStatus. Called by batchStatusChecker.
+ */
+async function refreshFollowedRuns(context) {
+  const container = await getContainer();
+  const followed = [];
+  for (const prefix of [EXTRACT_PREFIX, WRITE_BACK_PREFIX]) {
+    for await (const blob of container.listBlobsFlat({ prefix })) {
+      followed.push({ prefix, configId: blob.name.slice(prefix.length, -".json".length) });
+    }
+  }
+
+  for (const { prefix, configId } of followed) {
+    try {
+      let run = await getRun(configId);
+      if (run) run = await refreshAdfStages(run, context);
+      const waiting = prefix === EXTRACT_PREFIX
+        ? !run?.stages.dataset
+        : !adfClient.isTerminal(run?.stages.writeBack?.status);
+      if (!run || run.status !== "running" || !waiting) {
+        await container.getBlockBlobClient(`${prefix}${configId}.json`).deleteIfExists();
+      }
+    } catch (err) {
+      context.warn(`Failed to refresh run ${configId}: ${err.message}`);
+    }
+  }
+  return followed.length;
+}
+
+async function fetchAdfRun(stage, context) {
+  if (!adfClient.isConfigured(stage.factoryName)) return null;
+
+  try {
+    const response = await adfClient.getPipelineRun(stage.factoryName, stage.runId);
+    if (!response.ok) {
+      context.warn(`Failed to read ADF run ${stage.runId}: ${response.status}`);
+      return null;
+    }
+    return response.run;
+  } catch (err) {
+    context.warn(`Failed to read ADF run ${stage.runId}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Rows written by the copy activities of an extract run: null when it has
+ * none to report them, undefined when ADF couldn't be read (asked again later).
+ */
+async function fetchRowsCopied(stage, context) {
+  if (!adfClient.isConfigured(stage.factoryName)) return null;
+
+  try {
+    const window = {
+      after: stage.startedAt || new Date(Date.now() - STALE_RUN_MS).toISOString(),
+      before: new Date().toISOString(),
+    };
+    const response = await adfClient.queryActivityRuns(stage.factoryName, stage.runId, window);
+    if (!response.ok) {
+      context.warn(`Failed to read activities of ADF run ${stage.runId}: ${response.status}`);
+      return undefined;
+    }
+    const copies = response.activities.filter((a) => a.activityType === "Copy" && a.status === "Succeeded");
+    const counts = copies.map((a) => a.output?.rowsCopied ?? a.output?.rowsRead);
+    if (counts.length === 0 || counts.some((count) => typeof count !== "number")) return null;
+    return counts.reduce((sum, count) => sum + count, 0);
+  } catch (err) {
+    context.warn(`Failed to read activities of ADF run ${stage.runId}: ${err.message}`);
+    return undefined;
+  }
+}
+
+module.exports = {
+  STAGES,
+  ACTIVE_STATUSES,
+  createRun,
+  getRun,
+  updateRun,
+  recordStage,
+  recordBatch,
+  completeRun,
+  completeEmptyRun,
+  failRun,
+  requestApproval,
+  decideApproval,
+  getProgress,
+  refreshAdfStages,
+  getActiveRun,
+  refreshFollowedRuns,
+};
@@ -0,0 +1,88 @@
+/**
+ * InsightFlow - Schedule Runner
+ * Timer trigger that starts due analysis schedules through the same launcher
+ * as triggerPipeline, skipping a schedule while its previous run is active
+ */
+
+const { app } = require("@azure/functions");
+const { nextRun } = require("./cronSchedule");
+const pipelineLauncher = require("./pipelineLauncher");
+const runTracker = require("./runTracker");
+const scheduleStorage = require("./scheduleStorage");
+
+/* ─────────────────────────────────────────────────────────────── */
+/* TIMER TRIGGER - Run Due Schedules (every minute)                */
+/* ─────────────────────────────────────────────────────────────── */
+app.timer("scheduleRunner", {
+  schedule: "0 * * * * *",
+  handler: async (timer, context) => {
+    try {
+      const now = new Date();
+      const schedules = await scheduleStorage.listSchedules();
+      const due = schedules.filter((s) => !s.paused && s.nextRunAt && new Date(s.nextRunAt) <= now);
+      if (due.length === 0) return;
+
+      context.log(`${due.length} of ${schedules.length} schedules due`);
+      for (const schedule of due) {
+        try {
+          await fireSchedule(schedule, now, context);
+        } catch (err) {
+          context.error(`Schedule ${schedule.name} failed:`, err.message);
+        }
+      }
+    } catch (err) {
+      context.error("Schedule runner failed:", err);
+      throw err;
+    }
+  },
+});
+
+/* ─────────────────────────────────────────────────────────────── */
+/* FIRE ONE SCHEDULE                                               */
+/* Claiming moves nextRunAt on under an ETag, so overlapping       */
+/* timer executions never start an occurrence twice; missed        */
+/* occurrences are not caught up                                   */
+/* ─────────────────────────────────────────────────────────────── */
+async function fireSchedule(schedule, now, context) {
+  const scheduledFor = schedule.nextRunAt;
+  const claimed = await scheduleStorage.updateSchedule(schedule.name, (s) => {
+    if (s.paused || s.nextRunAt !== scheduledFor) return false;
+    s.nextRunAt = nextRun(s.cron, now)?.toISOString() || null;
+  });
+  if (!claimed) return;
+
+  const execution = { scheduledFor, firedAt: new Date().toISOString() };
+
+  // A previous run that is still running or awaiting approval blocks this occurrence,
+  // unless it has been active longer than STALE_RUN_HOURS
+  const previous = claimed.lastRun?.configId ? await runTracker.getActiveRun(claimed.lastRun.configId, context) : null;
+  if (previous) {
+    Object.assign(execution, { status: "skipped", reason: `previous run ${previous.configId} is ${previous.status}` });
+    context.log(`Schedule ${schedule.name} skipped: ${execution.reason}`);
+  } else {
+    // The launcher pins presets and watermarks onto the config it is given
+    const result = await pipelineLauncher
+      .startRun(structuredClone(claimed.config), context, { scheduleId: schedule.name })
+      .catch((err) => ({ ok: false, body: { error: err.message } }));
+    if (result.ok) {
+      // The run record's ID: the next occurrence is guarded on it even if the config wasn't saved
+      Object.assign(execution, { status: "started", configId: result.configId, runId: result.body.runId });
+      context.log(`Schedule ${schedule.name} started run ${result.body.runId} (config ${result.body.configId})`);
+    } else {
+      Object.assign(execution, { status: "failed", error: result.body.error, details: result.body.details ?? null });
+      context.warn(`Schedule ${schedule.name} could not start: ${result.body.error}`);
+    }
+  }
+
+  await scheduleStorage
+    .recordExecution(schedule.name, execution)
+    .catch((err) => context.warn(`Failed to record execution of ${schedule.name}: ${err.message}`));
+  await scheduleStorage
+    .updateSchedule(schedule.name, (s) => {
+      s.lastExecution = execution;
+      if (execution.status === "started") {
+        s.lastRun = { configId: execution.configId, runId: execution.runId, startedAt: execution.firedAt };
+      }
+    })
+    .catch((err) => context.warn(`Failed to update schedule ${schedule.name}: ${err.message}`));
+}
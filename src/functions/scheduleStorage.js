@@ -0,0 +1,223 @@
+/**
+ * InsightFlow - Schedule Storage
+ * Saved analysis definitions (a run config plus a cron schedule) and the log
+ * of their executions, fired by scheduleRunner.js
+ */
+
+const { BlobServiceClient } = require("@azure/storage-blob");
+const { validateRunConfig } = require("./configValidator");
+const { nextRun, validateCron } = require("./cronSchedule");
+
+const STORAGE_CONNECTION_STRING = process.env.AZURE_STORAGE_CONNECTION_STRING || process.env.AzureWebJobsStorage;
+const CONTAINER = "analysis-schedules";
+const MAX_UPDATE_ATTEMPTS = 5;
+
+// definitions/<name>.json                  - one schedule, updated in place (ETag-guarded)
+// executions/<name>/<firedAt>.json         - one record per fired, skipped or failed occurrence
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+async function getContainer() {
+  if (!STORAGE_CONNECTION_STRING) throw new Error("Storage not configured");
+  const client = BlobServiceClient.fromConnectionString(STORAGE_CONNECTION_STRING);
+  const container = client.getContainerClient(CONTAINER);
+  await container.createIfNotExists();
+  return container;
+}
+
+async function streamToString(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", (d) => chunks.push(d.toString()));
+    stream.on("end", () => resolve(chunks.join("")));
+    stream.on("error", reject);
+  });
+}
+
+async function downloadJson(container, blobName) {
+  const blobClient = container.getBlockBlobClient(blobName);
+  if (!(await blobClient.exists())) return null;
+  const response = await blobClient.download(0);
+  return JSON.parse(await streamToString(response.readableStreamBody));
+}
+
+function nextRunAt(schedule, after = new Date()) {
+  if (schedule.paused) return null;
+  return nextRun(schedule.cron, after)?.toISOString() || null;
+}
+
+async function getSchedule(name) {
+  const container = await getContainer();
+  return downloadJson(container, `definitions/${name}.json`);
+}
+
+async function listSchedules() {
+  const container = await getContainer();
+  const schedules = [];
+  for await (const blob of container.listBlobsFlat({ prefix: "definitions/" })) {
+    const schedule = await downloadJson(container, blob.name);
+    if (schedule) schedules.push(schedule);
+  }
+  return schedules.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Read-modify-write of one definition guarded by its ETag, so the runner's
+ * claim on an occurrence and API edits never overwrite each other. `mutate`
+ * may return false to leave the definition unchanged; resolves to null then,
+ * or when the definition doesn't exist.
+ */
+async function updateSchedule(name, mutate) {
+  const container = await getContainer();
+  const blobClient = container.getBlockBlobClient(`definitions/${name}.json`);
+
+  for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+    if (!(await blobClient.exists())) return null;
+
+    const response = await blobClient.download(0);
+    const schedule = JSON.parse(await streamToString(response.readableStreamBody));
+    if (mutate(schedule) === false) return null;
+    schedule.updatedAt = new Date().toISOString();
+
+    const content = JSON.stringify(schedule, null, 2);
+    try {
+      await blobClient.upload(content, Buffer.byteLength(content), {
+        blobHTTPHeaders: { blobContentType: "application/json" },
+        conditions: { ifMatch: response.etag },
+      });
+      return schedule;
+    } catch (err) {
+      if (err.statusCode !== 412 || attempt === MAX_UPDATE_ATTEMPTS) throw err;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create a schedule or replace its definition; run history is kept.
+ *
+ * @returns {Promise<{ schedule: object, created: boolean }>}
+ */
+async function saveSchedule(data) {
+  const definition = {
+    description: data.description || null,
+    cron: data.cron,
+    paused: data.paused === true,
+    config: data.config,
+  };
+
+  const updated = await updateSchedule(data.name, (schedule) => {
+    Object.assign(schedule, definition);
+    schedule.nextRunAt = nextRunAt(schedule);
+  });
+  if (updated) return { schedule: updated, created: false };
+
+  const container = await getContainer();
+  const now = new Date().toISOString();
+  const schedule = {
+    name: data.name,
+    ...definition,
+    nextRunAt: nextRunAt(definition),
+    lastRun: null,
+    lastExecution: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const content = JSON.stringify(schedule, null, 2);
+  try {
+    await container.getBlockBlobClient(`definitions/${data.name}.json`).upload(content, Buffer.byteLength(content), {
+      blobHTTPHeaders: { blobContentType: "application/json" },
+      conditions: { ifNoneMatch: "*" },
+    });
+  } catch (err) {
+    // Created concurrently: apply this definition on top of it
+    if (err.statusCode !== 409 && err.statusCode !== 412) throw err;
+    return saveSchedule(data);
+  }
+  return { schedule, created: true };
+}
+
+/**
+ * Pausing clears nextRunAt; resuming schedules the next occurrence from now,
+ * so occurrences missed while paused are not caught up.
+ */
+async function setPaused(name, paused) {
+  return updateSchedule(name, (schedule) => {
+    schedule.paused = paused;
+    schedule.nextRunAt = nextRunAt(schedule);
+  });
+}
+
+/**
+ * Deletes the definition; its execution log is kept.
+ */
+async function deleteSchedule(name) {
+  const container = await getContainer();
+  const result = await container.getBlockBlobClient(`definitions/${name}.json`).deleteIfExists();
+  return result.succeeded;
+}
+
+async function recordExecution(name, execution) {
+  const container = await getContainer();
+  const blobName = `executions/${name}/${execution.firedAt.replace(/[:.]/g, "-")}.json`;
+  const content = JSON.stringify({ name, ...execution }, null, 2);
+  await container.getBlockBlobClient(blobName).upload(content, Buffer.byteLength(content), {
+    blobHTTPHeaders: { blobContentType: "application/json" },
+  });
+}
+
+/**
+ * Most recent executions first.
+ */
+async function listExecutions(name, limit = 20) {
+  const container = await getContainer();
+  const blobNames = [];
+  for await (const blob of container.listBlobsFlat({ prefix: `executions/${name}/` })) {
+    blobNames.push(blob.name);
+  }
+
+  const executions = [];
+  for (const blobName of blobNames.sort().reverse().slice(0, limit)) {
+    const execution = await downloadJson(container, blobName);
+    if (execution) executions.push(execution);
+  }
+  return executions;
+}
+
+/**
+ * Check a schedule definition; returns a list of error messages.
+ */
+function validateSchedule(data) {
+  const errors = [];
+  if (!NAME_PATTERN.test(data?.name || "")) {
+    errors.push("name must be 1-64 lowercase letters, digits, '-' or '_'");
+  }
+  errors.push(...validateCron(data?.cron).map((e) => `cron: ${e}`));
+  if (data?.paused !== undefined && typeof data.paused !== "boolean") {
+    errors.push("paused must be a boolean");
+  }
+  if (data?.description !== undefined && typeof data.description !== "string") {
+    errors.push("description must be a string");
+  }
+  if (data?.config === null || typeof data?.config !== "object" || Array.isArray(data.config)) {
+    errors.push("config is required: the triggerPipeline request body to run");
+  } else {
+    errors.push(...validateRunConfig(data.config).map((e) => `config${e.path.slice(1)}: ${e.message}`));
+  }
+  return errors;
+}
+
+module.exports = {
+  NAME_PATTERN,
+  getSchedule,
+  listSchedules,
+  updateSchedule,
+  saveSchedule,
+  setPaused,
+  deleteSchedule,
+  recordExecution,
+  listExecutions,
+  validateSchedule,
+  nextRunAt,
+};
@@ -0,0 +1,138 @@
+/**
+ * InsightFlow - Schedules API
+ * HTTP triggers to list, read, save, pause, resume and delete scheduled
+ * analyses (run by scheduleRunner.js)
+ */
+
+const { app } = require("@azure/functions");
+const { preflight, respond } = require("./httpResponses");
+const scheduleStorage = require("./scheduleStorage");
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HTTP TRIGGER - List Schedules                                   */
+/* ─────────────────────────────────────────────────────────────── */
+app.http("listSchedules", {
+  methods: ["GET", "OPTIONS"],
+  authLevel: "function",
+  handler: async (request, context) => {
+    if (request.method === "OPTIONS") return preflight("GET");
+
+    try {
+      const schedules = await scheduleStorage.listSchedules();
+      return respond(200, { success: true, count: schedules.length, schedules });
+    } catch (error) {
+      context.error("Error:", error);
+      return respond(500, { success: false, error: error.message });
+    }
+  },
+});
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HTTP TRIGGER - Get Schedule (with recent executions)            */
+/* ─────────────────────────────────────────────────────────────── */
+app.http("getSchedule", {
+  methods: ["GET", "OPTIONS"],
+  authLevel: "function",
+  handler: async (request, context) => {
+    if (request.method === "OPTIONS") return preflight("GET");
+
+    const name = request.query.get("name");
+    if (!name) return respond(400, { success: false, error: "name parameter required" });
+
+    try {
+      const schedule = await scheduleStorage.getSchedule(name);
+      if (!schedule) return respond(404, { success: false, error: "Schedule not found" });
+
+      const limit = parseInt(request.query.get("limit"), 10) || 20;
+      const executions = await scheduleStorage.listExecutions(name, limit);
+      return respond(200, { success: true, schedule, executions });
+    } catch (error) {
+      context.error("Error:", error);
+      return respond(500, { success: false, error: error.message });
+    }
+  },
+});
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HTTP TRIGGER - Save Schedule                                    */
+/* Body: { name, cron, config, description?, paused? }; saving an  */
+/* existing name replaces its definition and keeps its history     */
+/* ─────────────────────────────────────────────────────────────── */
+app.http("saveSchedule", {
+  methods: ["POST", "OPTIONS"],
+  authLevel: "function",
+  handler: async (request, context) => {
+    if (request.method === "OPTIONS") return preflight("POST");
+
+    let body = {};
+    try {
+      const bodyText = await request.text();
+      if (bodyText) body = JSON.parse(bodyText);
+    } catch {
+      return respond(400, { success: false, error: "Invalid JSON body" });
+    }
+
+    const errors = scheduleStorage.validateSchedule(body);
+    if (errors.length > 0) return respond(400, { success: false, error: "Invalid schedule", details: errors });
+
+    try {
+      const { schedule, created } = await scheduleStorage.saveSchedule(body);
+      context.log(`Schedule ${schedule.name} ${created ? "created" : "updated"} (next run ${schedule.nextRunAt || "none"})`);
+      return respond(created ? 201 : 200, { success: true, schedule });
+    } catch (error) {
+      context.error("Error:", error);
+      return respond(500, { success: false, error: error.message });
+    }
+  },
+});
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HTTP TRIGGER - Pause / Resume Schedule                          */
+/* ─────────────────────────────────────────────────────────────── */
+for (const [functionName, paused] of [["pauseSchedule", true], ["resumeSchedule", false]]) {
+  app.http(functionName, {
+    methods: ["POST", "OPTIONS"],
+    authLevel: "function",
+    handler: async (request, context) => {
+      if (request.method === "OPTIONS") return preflight("POST");
+
+      const name = request.query.get("name");
+      if (!name) return respond(400, { success: false, error: "name parameter required" });
+
+      try {
+        const schedule = await scheduleStorage.setPaused(name, paused);
+        if (!schedule) return respond(404, { success: false, error: "Schedule not found" });
+        context.log(`Schedule ${name} ${paused ? "paused" : "resumed"}`);
+        return respond(200, { success: true, schedule });
+      } catch (error) {
+        context.error("Error:", error);
+        return respond(500, { success: false, error: error.message });
+      }
+    },
+  });
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HTTP TRIGGER - Delete Schedule                                  */
+/* Runs already started are not affected                           */
+/* ─────────────────────────────────────────────────────────────── */
+app.http("deleteSchedule", {
+  methods: ["DELETE", "OPTIONS"],
+  authLevel: "function",
+  handler: async (request, context) => {
+    if (request.method === "OPTIONS") return preflight("DELETE");
+
+    const name = request.query.get("name");
+    if (!name) return respond(400, { success: false, error: "name parameter required" });
+
+    try {
+      const deleted = await scheduleStorage.deleteSchedule(name);
+      if (!deleted) return respond(404, { success: false, error: "Schedule not found" });
+      context.log(`Schedule ${name} deleted`);
+      return respond(200, { success: true, name });
+    } catch (error) {
+      context.error("Error:", error);
+      return respond(500, { success: false, error: error.message });
+    }
+  },
+});
@@ -0,0 +1,254 @@
+/**
+ * InsightFlow - SOQL Filter
+ * Validates `source.filter` and compiles it to the WHERE clause ADF runs.
+ * Structured filters are conditions and AND/OR/NOT groups:
+ *
+ *   { "and": [
+ *     { "field": "Status", "op": "!=", "value": "Closed" },
+ *     { "field": "CreatedDate", "op": ">=", "value": { "date": "LAST_N_DAYS:30" } },
+ *     { "or": [{ "field": "Priority", "op": "in", "value": ["High", "Urgent"] },
+ *              { "field": "IsEscalated", "op": "=", "value": true }] }
+ *   ] }
+ *
+ * A raw SOQL string is only accepted with `source.rawFilter: true`.
+ */
+
+const API_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+const OPERATORS = ["=", "!=", "<", "<=", ">", ">=", "like", "in", "not in"];
+const LIST_OPERATORS = ["in", "not in"];
+const RANGE_OPERATORS = ["<", "<=", ">", ">="];
+
+// Fields that may be filtered on without being extracted (e.g. CreatedDate)
+const FILTER_FIELDS = (process.env.SOQL_FILTER_FIELDS || "Id,CreatedDate,LastModifiedDate,SystemModstamp,OwnerId")
+  .split(",")
+  .map((f) => f.trim())
+  .filter(Boolean);
+
+const DATE_LITERALS = [
+  "YESTERDAY", "TODAY", "TOMORROW",
+  "LAST_WEEK", "THIS_WEEK", "NEXT_WEEK",
+  "LAST_MONTH", "THIS_MONTH", "NEXT_MONTH",
+  "LAST_90_DAYS", "NEXT_90_DAYS",
+  "LAST_QUARTER", "THIS_QUARTER", "NEXT_QUARTER",
+  "LAST_YEAR", "THIS_YEAR", "NEXT_YEAR",
+  "LAST_FISCAL_QUARTER", "THIS_FISCAL_QUARTER", "NEXT_FISCAL_QUARTER",
+  "LAST_FISCAL_YEAR", "THIS_FISCAL_YEAR", "NEXT_FISCAL_YEAR",
+];
+const DATE_N_LITERAL_PATTERN =
+  /^(LAST|NEXT)_N_(DAYS|WEEKS|MONTHS|QUARTERS|YEARS|FISCAL_QUARTERS|FISCAL_YEARS):\d+$|^N_(DAYS|WEEKS|MONTHS|QUARTERS|YEARS|FISCAL_QUARTERS|FISCAL_YEARS)_AGO:\d+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,3})?(Z|[+-]\d{2}:\d{2})$/;
+
+const STRING_ESCAPES = { "\\": "\\\\", "'": "\\'", "\"": "\\\"", "\n": "\\n", "\r": "\\r", "\t": "\\t", "\b": "\\b", "\f": "\\f" };
+
+/**
+ * Fields a structured filter may refer to: the extracted fields plus SOQL_FILTER_FIELDS.
+ */
+function allowedFields(source) {
+  const fields = Array.isArray(source?.fields) ? source.fields.filter((f) => typeof f === "string") : [];
+  return [...new Set([...fields, ...FILTER_FIELDS])];
+}
+
+/**
+ * Check `source.filter` (structured or raw).
+ *
+ * @returns {Array<{path: string, message: string}>}
+ */
+function validateFilter(source, path = "$.source.filter") {
+  const filter = source?.filter;
+  if (filter === undefined || filter === null || filter === "") return [];
+
+  if (typeof filter === "string") {
+    if (source.rawFilter !== true) {
+      return [{ path, message: "raw SOQL filters require source.rawFilter: true; use a structured filter instead" }];
+    }
+    return checkRawFilter(filter).map((message) => ({ path, message }));
+  }
+
+  const errors = [];
+  const known = new Map(allowedFields(source).map((f) => [f.toLowerCase(), f]));
+  checkNode(filter, path, known, errors);
+  return errors;
+}
+
+/**
+ * The WHERE clause (without the keyword) for a validated source; "" without a filter.
+ */
+function toWhereClause(source) {
+  const filter = source?.filter;
+  if (filter === undefined || filter === null || filter === "") return "";
+  if (typeof filter === "string") return filter;
+  return compileNode(filter, true);
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* STRUCTURED FILTERS                                              */
+/* An array is shorthand for { and: [...] }                        */
+/* ─────────────────────────────────────────────────────────────── */
+function checkNode(node, path, known, errors) {
+  if (Array.isArray(node)) {
+    checkGroup(node, path, known, errors);
+  } else if (!isPlainObject(node)) {
+    errors.push({ path, message: "expected a condition or an and/or/not group" });
+  } else if ("and" in node || "or" in node || "not" in node) {
+    const key = ["and", "or", "not"].find((k) => k in node);
+    if (Object.keys(node).length !== 1) {
+      errors.push({ path, message: `a group has only one key ("${key}")` });
+    } else if (key === "not") {
+      checkNode(node.not, `${path}.not`, known, errors);
+    } else {
+      checkGroup(node[key], `${path}.${key}`, known, errors);
+    }
+  } else {
+    checkCondition(node, path, known, errors);
+  }
+}
+
+function checkGroup(nodes, path, known, errors) {
+  if (!Array.isArray(nodes) || nodes.length === 0) {
+    errors.push({ path, message: "expected a non-empty array of conditions" });
+    return;
+  }
+  nodes.forEach((child, index) => checkNode(child, `${path}[${index}]`, known, errors));
+}
+
+function checkCondition({ field, op, value, ...rest }, path, known, errors) {
+  const extra = Object.keys(rest);
+  if (extra.length > 0) errors.push({ path, message: `unexpected keys ${extra.join(", ")} (expected field, op, value)` });
+
+  if (typeof field !== "string" || !field.split(".").every((part) => API_NAME_PATTERN.test(part))) {
+    errors.push({ path: `${path}.field`, message: `invalid field API name ${JSON.stringify(field)}` });
+  } else if (!known.has(field.toLowerCase())) {
+    errors.push({ path: `${path}.field`, message: `${field} is not in source.fields or SOQL_FILTER_FIELDS` });
+  }
+
+  const operator = typeof op === "string" ? op.toLowerCase() : op;
+  if (!OPERATORS.includes(operator)) {
+    errors.push({ path: `${path}.op`, message: `unknown operator ${JSON.stringify(op)} (expected ${OPERATORS.join(", ")})` });
+    return;
+  }
+
+  const valuePath = `${path}.value`;
+  if (LIST_OPERATORS.includes(operator)) {
+    if (!Array.isArray(value) || value.length === 0) {
+      errors.push({ path: valuePath, message: `${operator} requires a non-empty array of values` });
+    } else {
+      value.forEach((item, index) => checkValue(item, `${valuePath}[${index}]`, errors));
+    }
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    errors.push({ path: valuePath, message: `a list of values needs the "in" or "not in" operator` });
+  } else if (value === null) {
+    if (operator !== "=" && operator !== "!=") errors.push({ path: valuePath, message: "null can only be compared with = or !=" });
+  } else if (operator === "like" && typeof value !== "string") {
+    errors.push({ path: valuePath, message: "like requires a string pattern" });
+  } else if (RANGE_OPERATORS.includes(operator) && typeof value === "boolean") {
+    errors.push({ path: valuePath, message: `booleans can't be compared with ${operator}` });
+  } else {
+    checkValue(value, valuePath, errors);
+  }
+}
+
+function checkValue(value, path, errors) {
+  if (typeof value === "string" || typeof value === "boolean" || value === null) return;
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) errors.push({ path, message: "expected a finite number" });
+    return;
+  }
+  if (isPlainObject(value) && Object.keys(value).length === 1 && "date" in value) {
+    if (!isDateValue(value.date)) {
+      errors.push({ path: `${path}.date`, message: `expected a SOQL date literal (e.g. LAST_N_DAYS:30), a date or an ISO datetime, got ${JSON.stringify(value.date)}` });
+    }
+    return;
+  }
+  errors.push({ path, message: "expected a string, number, boolean, null or { \"date\": ... }" });
+}
+
+function isDateValue(value) {
+  if (typeof value !== "string") return false;
+  return DATE_LITERALS.includes(value) || DATE_N_LITERAL_PATTERN.test(value) || DATE_PATTERN.test(value) || DATETIME_PATTERN.test(value);
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* COMPILE                                                         */
+/* Only validated filters are compiled; values are always quoted   */
+/* or checked literals, never pasted in                            */
+/* ─────────────────────────────────────────────────────────────── */
+function compileNode(node, topLevel = false) {
+  if (Array.isArray(node)) return compileGroup(node, "AND", topLevel);
+  if ("and" in node) return compileGroup(node.and, "AND", topLevel);
+  if ("or" in node) return compileGroup(node.or, "OR", topLevel);
+  if ("not" in node) return `NOT (${compileNode(node.not, true)})`;
+
+  const operator = node.op.toLowerCase();
+  if (LIST_OPERATORS.includes(operator)) {
+    return `${node.field} ${operator.toUpperCase()} (${node.value.map(formatValue).join(", ")})`;
+  }
+  return `${node.field} ${operator === "like" ? "LIKE" : operator} ${formatValue(node.value)}`;
+}
+
+function compileGroup(nodes, joiner, topLevel) {
+  const parts = nodes.map((child) => compileNode(child));
+  if (parts.length === 1) return parts[0];
+  const clause = parts.join(` ${joiner} `);
+  return topLevel ? clause : `(${clause})`;
+}
+
+function formatValue(value) {
+  if (value === null) return "null";
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  if (typeof value === "number") return String(value);
+  if (isPlainObject(value)) {
+    if (!isDateValue(value.date)) throw new Error(`Invalid date value ${JSON.stringify(value.date)}`);
+    return value.date;
+  }
+  return `'${String(value).replace(/[\\'"\n\r\t\b\f]/g, (c) => STRING_ESCAPES[c])}'`;
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* RAW FILTERS                                                     */
+/* Sanity checks only; Salesforce still has the final word on      */
+/* field names and operators, but anything that would end or       */
+/* escape the statement is refused                                 */
+/* ─────────────────────────────────────────────────────────────── */
+function checkRawFilter(filter) {
+  const errors = [];
+  if (/^\s*where\b/i.test(filter)) errors.push("omit the WHERE keyword");
+
+  let depth = 0;
+  let inString = false;
+  for (let i = 0; i < filter.length; i++) {
+    const char = filter[i];
+    if (inString) {
+      if (char === "\\") i++;
+      else if (char === "'") inString = false;
+      continue;
+    }
+
+    if (char === "'") inString = true;
+    else if (char === "(") depth++;
+    else if (char === ")" && --depth < 0) {
+      errors.push(`unmatched ")" at position ${i + 1}`);
+      depth = 0;
+    } else if (char === ";") errors.push("must not contain ';'");
+    else if (filter.startsWith("--", i) || filter.startsWith("/*", i)) errors.push("must not contain comments");
+  }
+
+  if (inString) errors.push("unterminated string literal");
+  if (depth > 0) errors.push(`${depth} unclosed "("`);
+  return [...new Set(errors)];
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+module.exports = {
+  OPERATORS,
+  allowedFields,
+  validateFilter,
+  toWhereClause,
+  checkRawFilter,
+};
@@ -0,0 +1,344 @@
+/**
+ * InsightFlow - Template Engine
+ * Renders `analysis.userPromptTemplate` against a record:
+ *
+ *   {{Subject}}  {{Account.Name}}  {{Description | truncate: 500 | default: "none"}}
+ *   {{#if IsEscalated}}...{{else}}...{{/if}}   {{#unless Closed}}...{{/unless}}
+ *   {{#each Contacts}}{{@index}}. {{Name}}{{/each}}   {{! comment }}   \{{ literal
+ *
+ * Special names: {{record}} / {{RECORD_DATA}} (Key: value lines), {{RECORD_JSON}}
+ * Filters: default, truncate, date, upper, lower, trim, json, join
+ */
+
+const MISSING = "N/A";
+const SPECIAL_NAMES = ["record", "record_data", "record_json"];
+const BLOCKS = ["if", "unless", "each"];
+
+const FILTERS = {
+  default: (value, fallback = "") => (isEmpty(value) ? fallback : value),
+  truncate: (value, length = 100) => {
+    if (value === null || value === undefined) return value;
+    const text = stringify(value);
+    return text.length > length ? text.substring(0, Math.max(length - 3, 0)) + "..." : text;
+  },
+  date: (value, format = "YYYY-MM-DD") => formatDate(value, format),
+  upper: (value) => (value === null || value === undefined ? value : stringify(value).toUpperCase()),
+  lower: (value) => (value === null || value === undefined ? value : stringify(value).toLowerCase()),
+  trim: (value) => (value === null || value === undefined ? value : stringify(value).trim()),
+  json: (value) => JSON.stringify(value ?? null),
+  join: (value, separator = ", ") => (Array.isArray(value) ? value.map(stringify).join(separator) : value),
+};
+
+const compiled = new Map();
+const MAX_COMPILED = 100;
+
+/**
+ * Render a template for one record. Throws on template syntax errors.
+ */
+function render(template, record) {
+  return renderNodes(compile(template), [{ data: record }], record);
+}
+
+/**
+ * Parse a template into nodes; results are cached per template string.
+ */
+function compile(template) {
+  if (!compiled.has(template)) {
+    if (compiled.size >= MAX_COMPILED) compiled.clear();
+    compiled.set(template, parse(template));
+  }
+  return compiled.get(template);
+}
+
+/**
+ * Check a template's syntax and, when `fields` is given, that every top-level
+ * placeholder refers to one of them. Returns a list of error messages.
+ */
+function validateTemplate(template, fields) {
+  if (typeof template !== "string") return ["template must be a string"];
+
+  let nodes;
+  try {
+    nodes = parse(template);
+  } catch (err) {
+    return [err.message];
+  }
+  if (!fields || fields.length === 0) return [];
+
+  const known = fields.map((f) => f.toLowerCase());
+  const errors = [];
+  for (const path of collectRootPaths(nodes)) {
+    if (!isKnownPath(path, known)) errors.push(`{{${path}}} does not refer to a requested field`);
+  }
+  return [...new Set(errors)];
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* PARSER                                                          */
+/* Nodes: { type: "text", value } | { type: "var", path, filters } */
+/* | { type: "if"|"unless"|"each", path, body, alternate }         */
+/* ─────────────────────────────────────────────────────────────── */
+function parse(template) {
+  const root = { body: [] };
+  const stack = [{ node: root, target: root.body }];
+  const tagPattern = /(\\)?\{\{([\s\S]*?)\}\}/g;
+  let lastIndex = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  const pushText = (value) => {
+    if (value) current().target.push({ type: "text", value });
+  };
+
+  while ((match = tagPattern.exec(template)) !== null) {
+    pushText(template.slice(lastIndex, match.index));
+    lastIndex = tagPattern.lastIndex;
+
+    // \{{ ... }} renders literally
+    if (match[1]) {
+      pushText(match[0].slice(1));
+      continue;
+    }
+
+    const tag = match[2].trim();
+    const at = `at position ${match.index}`;
+
+    if (tag.startsWith("!")) continue;
+
+    if (tag.startsWith("#")) {
+      const [keyword, ...rest] = tag.slice(1).trim().split(/\s+/);
+      if (!BLOCKS.includes(keyword)) throw new Error(`Unknown block {{#${keyword}}} ${at}`);
+      const path = rest.join(" ");
+      if (!isPath(path)) throw new Error(`{{#${keyword}}} needs a field name ${at}`);
+
+      const node = { type: keyword, path, body: [], alternate: null };
+      current().target.push(node);
+      stack.push({ node, target: node.body });
+      continue;
+    }
+
+    if (tag === "else") {
+      const frame = current();
+      if (stack.length === 1 || frame.node.alternate) throw new Error(`Unexpected {{else}} ${at}`);
+      frame.node.alternate = [];
+      frame.target = frame.node.alternate;
+      continue;
+    }
+
+    if (tag.startsWith("/")) {
+      const keyword = tag.slice(1).trim();
+      if (stack.length === 1 || current().node.type !== keyword) {
+        throw new Error(`Unexpected {{/${keyword}}} ${at}`);
+      }
+      stack.pop();
+      continue;
+    }
+
+    current().target.push(parseVariable(tag, at));
+  }
+
+  pushText(template.slice(lastIndex));
+  if (stack.length > 1) throw new Error(`Unclosed {{#${current().node.type} ${current().node.path}}}`);
+  return root.body;
+}
+
+function parseVariable(tag, at) {
+  const [path, ...filterParts] = splitPipes(tag);
+  if (!isPath(path)) throw new Error(`Invalid placeholder {{${tag}}} ${at}`);
+
+  const filters = filterParts.map((part) => {
+    const separator = part.indexOf(":");
+    const name = (separator === -1 ? part : part.slice(0, separator)).trim();
+    if (!FILTERS[name]) throw new Error(`Unknown filter "${name}" ${at}`);
+    const args = separator === -1 ? [] : parseArgs(part.slice(separator + 1), at);
+    return { name, args };
+  });
+
+  return { type: "var", path, filters };
+}
+
+function splitPipes(tag) {
+  // Split on | outside quotes
+  const parts = [];
+  let current = "";
+  let quote = null;
+  for (const char of tag) {
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === "|") {
+      parts.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+  return parts;
+}
+
+function parseArgs(text, at) {
+  const args = [];
+  const argPattern = /\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(-?\d+(?:\.\d+)?))\s*(?:,|$)/y;
+  let match;
+  while (argPattern.lastIndex < text.length && (match = argPattern.exec(text)) !== null) {
+    if (match[3] !== undefined) args.push(Number(match[3]));
+    else args.push((match[1] ?? match[2]).replace(/\\(.)/g, "$1"));
+  }
+  if (argPattern.lastIndex < text.trimEnd().length) throw new Error(`Invalid filter arguments "${text.trim()}" ${at}`);
+  return args;
+}
+
+function isPath(path) {
+  return /^(this|@index|@first|@last|[A-Za-z_][\w]*)(\.[A-Za-z_][\w]*)*$/.test(path);
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* RENDERER                                                        */
+/* ─────────────────────────────────────────────────────────────── */
+function renderNodes(nodes, scopes, record) {
+  let output = "";
+
+  for (const node of nodes) {
+    if (node.type === "text") {
+      output += node.value;
+      continue;
+    }
+
+    const value = resolve(node.path, scopes, record);
+
+    if (node.type === "var") {
+      const filtered = node.filters.reduce((v, f) => FILTERS[f.name](v, ...f.args), value);
+      const hasDefault = node.filters.some((f) => f.name === "default");
+      output += !hasDefault && isEmpty(filtered) ? MISSING : stringify(filtered);
+    } else if (node.type === "each") {
+      const items = Array.isArray(value) ? value : [];
+      if (items.length === 0) {
+        if (node.alternate) output += renderNodes(node.alternate, scopes, record);
+        continue;
+      }
+      items.forEach((item, index) => {
+        const scope = { data: item, index, first: index === 0, last: index === items.length - 1 };
+        output += renderNodes(node.body, [...scopes, scope], record);
+      });
+    } else {
+      const truthy = !isEmpty(value) && value !== false && value !== 0;
+      const branch = (node.type === "if") === truthy ? node.body : node.alternate;
+      if (branch) output += renderNodes(branch, scopes, record);
+    }
+  }
+
+  return output;
+}
+
+function resolve(path, scopes, record) {
+  const scope = scopes[scopes.length - 1];
+  if (path === "@index") return scope.index ?? null;
+  if (path === "@first") return scope.first ?? null;
+  if (path === "@last") return scope.last ?? null;
+  if (path === "this") return scope.data;
+  if (path.startsWith("this.")) return lookup(scope.data, path.slice(5));
+
+  // Innermost loop item first, then outer scopes, then the record
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const value = lookup(scopes[i].data, path);
+    if (value !== undefined) return value;
+  }
+
+  const special = path.toLowerCase();
+  if (special === "record" || special === "record_data") return formatRecordData(record);
+  if (special === "record_json") return JSON.stringify(record, null, 2);
+  return undefined;
+}
+
+function lookup(data, path) {
+  if (data === null || typeof data !== "object") return undefined;
+
+  // Flattened relationship keys ("Account.Name") as written by some extracts
+  const flat = findKey(data, path);
+  if (flat !== undefined) return data[flat];
+
+  const [head, ...rest] = path.split(".");
+  const key = findKey(data, head);
+  if (key === undefined) return undefined;
+  return rest.length === 0 ? data[key] : lookup(data[key], rest.join("."));
+}
+
+function findKey(data, name) {
+  if (Object.prototype.hasOwnProperty.call(data, name)) return name;
+  const lower = name.toLowerCase();
+  return Object.keys(data).find((k) => k.toLowerCase() === lower);
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* VALIDATION HELPERS                                              */
+/* ─────────────────────────────────────────────────────────────── */
+function collectRootPaths(nodes, depth = 0, paths = []) {
+  for (const node of nodes) {
+    if (node.type === "text") continue;
+
+    // Inside {{#each}} names resolve against the item first, so only check the loop source
+    const checkable = depth === 0 && !node.path.startsWith("this") && !node.path.startsWith("@");
+    if (checkable && !SPECIAL_NAMES.includes(node.path.toLowerCase())) paths.push(node.path);
+
+    if (node.body) collectRootPaths(node.body, node.type === "each" ? depth + 1 : depth, paths);
+    if (node.alternate) collectRootPaths(node.alternate, depth, paths);
+  }
+  return paths;
+}
+
+function isKnownPath(path, known) {
+  const lower = path.toLowerCase();
+  return known.some((field) => field === lower || field.startsWith(`${lower}.`) || lower.startsWith(`${field}.`));
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* FORMATTING                                                      */
+/* ─────────────────────────────────────────────────────────────── */
+function formatRecordData(record) {
+  return Object.entries(record)
+    .map(([key, value]) => `${key}: ${isEmpty(value) ? MISSING : stringify(value)}`)
+    .join("\n");
+}
+
+function stringify(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) {
+    return value.every((v) => v === null || typeof v !== "object") ? value.map(stringify).join(", ") : JSON.stringify(value);
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function formatDate(value, format) {
+  if (isEmpty(value)) return value;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return value;
+  if (format === "iso") return date.toISOString();
+
+  const pad = (n) => String(n).padStart(2, "0");
+  const parts = {
+    YYYY: String(date.getUTCFullYear()),
+    MM: pad(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds()),
+  };
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, (token) => parts[token]);
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === "" || (Array.isArray(value) && value.length === 0);
+}
+
+module.exports = {
+  FILTERS,
+  render,
+  compile,
+  validateTemplate,
+  formatRecordData,
+};
@@ -0,0 +1,26 @@
+/**
+ * InsightFlow - Token Estimator
+ * Cheap token estimates for sizing batches (no tokenizer dependency).
+ * ~4 characters per token for English text, plus per-message overhead.
+ */
+
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const REQUEST_OVERHEAD_TOKENS = 3;
+
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+function estimateMessagesTokens(messages) {
+  return messages.reduce(
+    (sum, m) => sum + MESSAGE_OVERHEAD_TOKENS + estimateTokens(m.content),
+    REQUEST_OVERHEAD_TOKENS
+  );
+}
+
+module.exports = {
+  estimateTokens,
+  estimateMessagesTokens,
+};
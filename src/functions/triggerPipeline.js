@@ -4,16 +4,13 @@
  */
 
 const { app } = require("@azure/functions");
-const { DefaultAzureCredential } = require("@azure/identity");
-const { BlobServiceClient } = require("@azure/storage-blob");
+const adfClient = require("./adfClient");
+const configStorage = require("./configStorage");
+const { preflight, respond } = require("./httpResponses");
+const idempotencyStorage = require("./idempotencyStorage");
+const pipelineLauncher = require("./pipelineLauncher");
 
-const SUBSCRIPTION_ID = process.env.AZURE_SUBSCRIPTION_ID;
-const RESOURCE_GROUP = process.env.AZURE_RESOURCE_GROUP;
-const DYNAMIC_DATA_FACTORY_NAME = process.env.DYNAMIC_DATA_FACTORY_NAME || "insightflow-dynamic-adf-poc";
-const DYNAMIC_PIPELINE_NAME = process.env.DYNAMIC_PIPELINE_NAME || "DynamicSalesforceExtractPipeline";
-const STORAGE_CONNECTION_STRING = process.env.AZURE_STORAGE_CONNECTION_STRING || process.env.AzureWebJobsStorage;
-
-const CONFIG_CONTAINER = "pipeline-configs";
+const { DYNAMIC_DATA_FACTORY_NAME } = pipelineLauncher;
 
 /* ─────────────────────────────────────────────────────────────── */
 /* HTTP TRIGGER - Start Pipeline                                   */
@@ -23,127 +20,51 @@ app.http("triggerPipeline", {
   authLevel: "function",
   handler: async (request, context) => {
     // CORS preflight
-    if (request.method === "OPTIONS") {
-      return {
-        status: 204,
-        headers: {
-          "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Methods": "POST, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type, Authorization, x-functions-key",
-        },
-      };
-    }
-
-    const corsHeaders = {
-      "Access-Control-Allow-Origin": "*",
-      "Content-Type": "application/json",
-    };
+    if (request.method === "OPTIONS") return preflight("POST", ["Idempotency-Key"]);
 
     try {
-      // Validate environment
-      if (!SUBSCRIPTION_ID || !RESOURCE_GROUP) {
-        return {
-          status: 500,
-          headers: corsHeaders,
-          body: JSON.stringify({
-            success: false,
-            error: "Missing AZURE_SUBSCRIPTION_ID or AZURE_RESOURCE_GROUP",
-          }),
-        };
-      }
-
       // Parse request body
       let config = {};
       try {
         const bodyText = await request.text();
         if (bodyText) config = JSON.parse(bodyText);
       } catch {
-        return {
-          status: 400,
-          headers: corsHeaders,
-          body: JSON.stringify({ success: false, error: "Invalid JSON body" }),
-        };
+        return respond(400, { success: false, error: "Invalid JSON body" });
       }
 
-      // Validate required config
-      const { source, analysis } = config;
-      if (!source?.object || !source?.fields?.length) {
-        return {
-          status: 400,
-          headers: corsHeaders,
-          body: JSON.stringify({
-            success: false,
-            error: "Missing required: source.object and source.fields",
-          }),
-        };
+      // A retried request (same Idempotency-Key, or the same config while its
+      // run is active) gets the original response instead of a second run
+      const idempotencyKey = request.headers.get("idempotency-key");
+      if (idempotencyKey !== null) {
+        const keyErrors = idempotencyStorage.validateKey(idempotencyKey);
+        if (keyErrors.length > 0) {
+          return respond(400, { success: false, error: keyErrors[0] });
+        }
       }
 
-      context.log(`Triggering pipeline for object: ${source.object}`);
-
-      // Trigger ADF pipeline
-      const credential = new DefaultAzureCredential();
-      const token = await credential.getToken("https://management.azure.com/.default");
-
-      const runUrl = `https://management.azure.com/subscriptions/${SUBSCRIPTION_ID}/resourceGroups/${RESOURCE_GROUP}/providers/Microsoft.DataFactory/factories/${DYNAMIC_DATA_FACTORY_NAME}/pipelines/${DYNAMIC_PIPELINE_NAME}/createRun?api-version=2018-06-01`;
-
-      const pipelineParams = {
-        objectApiName: source.object,
-        fieldNames: source.fields.join(","),
-        whereClause: source.filter || "",
-      };
-
-      const response = await fetch(runUrl, {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${token.token}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(pipelineParams),
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        return {
-          status: response.status,
-          headers: corsHeaders,
-          body: JSON.stringify({
-            success: false,
-            error: `Pipeline trigger failed: ${response.status}`,
-            details: errorText,
-          }),
-        };
+      const guard = await idempotencyStorage.acquire(idempotencyKey, config, context);
+      if (guard.replay) {
+        context.log(`Replaying run ${guard.replay.body.runId} (config ${guard.replay.body.configId})`);
+        return respond(guard.replay.status, guard.replay.body, { "Idempotent-Replayed": "true" });
+      }
+      if (guard.conflict) {
+        return respond(guard.conflict.status, { success: false, error: guard.conflict.error });
       }
 
-      const result = await response.json();
-      context.log(`Pipeline triggered: ${result.runId}`);
-
-      // Save config to blob storage for downstream functions
-      const configId = await saveConfig(source.object, config, result.runId, context);
-
-      return {
-        status: 200,
-        headers: corsHeaders,
-        body: JSON.stringify({
-          success: true,
-          message: "Pipeline triggered successfully",
-          runId: result.runId,
-          configId,
-          source: {
-            object: source.object,
-            fields: source.fields,
-            filter: source.filter || null,
-          },
-          analysis: analysis?.preset || analysis?.type || "default",
-          timestamp: new Date().toISOString(),
-        }),
-      };
+      let result;
+      try {
+        result = await pipelineLauncher.startRun(config, context);
+      } finally {
+        // Only started runs are replayed; anything else may be retried
+        const settle = result?.ok
+          ? idempotencyStorage.complete(guard.lock, { status: result.status, body: result.body })
+          : idempotencyStorage.release(guard.lock);
+        await settle.catch((err) => context.warn(`Failed to update idempotency record: ${err.message}`));
+      }
+      return respond(result.status, result.body);
     } catch (error) {
       context.error("Error:", error);
-      return {
-        status: 500,
-        headers: corsHeaders,
-        body: JSON.stringify({ success: false, error: error.message }),
-      };
+      return respond(500, { success: false, error: error.message });
     }
   },
 });
@@ -155,105 +76,71 @@ app.http("checkPipelineStatus", {
   methods: ["GET", "OPTIONS"],
   authLevel: "function",
   handler: async (request, context) => {
-    if (request.method === "OPTIONS") {
-      return {
-        status: 204,
-        headers: {
-          "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Methods": "GET, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type, Authorization, x-functions-key",
-        },
-      };
-    }
-
-    const corsHeaders = {
-      "Access-Control-Allow-Origin": "*",
-      "Content-Type": "application/json",
-    };
+    if (request.method === "OPTIONS") return preflight("GET");
 
     const runId = request.query.get("runId");
     if (!runId) {
-      return {
-        status: 400,
-        headers: corsHeaders,
-        body: JSON.stringify({ success: false, error: "runId parameter required" }),
-      };
+      return respond(400, { success: false, error: "runId parameter required" });
     }
 
     try {
-      const credential = new DefaultAzureCredential();
-      const token = await credential.getToken("https://management.azure.com/.default");
-
-      const statusUrl = `https://management.azure.com/subscriptions/${SUBSCRIPTION_ID}/resourceGroups/${RESOURCE_GROUP}/providers/Microsoft.DataFactory/factories/${DYNAMIC_DATA_FACTORY_NAME}/pipelineruns/${runId}?api-version=2018-06-01`;
-
-      const response = await fetch(statusUrl, {
-        method: "GET",
-        headers: { Authorization: `Bearer ${token.token}` },
-      });
+      const response = await adfClient.getPipelineRun(DYNAMIC_DATA_FACTORY_NAME, runId);
 
       if (!response.ok) {
-        const errorText = await response.text();
-        return {
-          status: response.status,
-          headers: corsHeaders,
-          body: JSON.stringify({ success: false, error: errorText }),
-        };
+        return respond(response.status, { success: false, error: response.errorText });
       }
 
-      const result = await response.json();
+      const result = response.run;
 
-      return {
-        status: 200,
-        headers: corsHeaders,
-        body: JSON.stringify({
-          success: true,
-          runId: result.runId,
-          status: result.status,
-          message: result.message,
-          runStart: result.runStart,
-          runEnd: result.runEnd,
-        }),
-      };
+      return respond(200, {
+        success: true,
+        runId: result.runId,
+        status: result.status,
+        message: result.message,
+        runStart: result.runStart,
+        runEnd: result.runEnd,
+      });
     } catch (error) {
-      return {
-        status: 500,
-        headers: corsHeaders,
-        body: JSON.stringify({ success: false, error: error.message }),
-      };
+      return respond(500, { success: false, error: error.message });
     }
   },
 });
 
 /* ─────────────────────────────────────────────────────────────── */
-/* SAVE CONFIG TO BLOB                                             */
+/* HTTP TRIGGER - Get Pipeline Config (by configId or history)     */
 /* ─────────────────────────────────────────────────────────────── */
-async function saveConfig(objectName, config, runId, context) {
-  try {
-    const blobServiceClient = BlobServiceClient.fromConnectionString(STORAGE_CONNECTION_STRING);
-    const containerClient = blobServiceClient.getContainerClient(CONFIG_CONTAINER);
-    await containerClient.createIfNotExists();
+app.http("getPipelineConfig", {
+  methods: ["GET", "OPTIONS"],
+  authLevel: "function",
+  handler: async (request, context) => {
+    if (request.method === "OPTIONS") return preflight("GET");
 
-    const configId = `${objectName.toLowerCase()}_${Date.now()}`;
-    const configData = {
-      ...config,
-      configId,
-      pipelineRunId: runId,
-      createdAt: new Date().toISOString(),
-    };
+    const configId = request.query.get("configId");
+    const runId = request.query.get("runId");
+    const objectName = request.query.get("object");
+    if (!configId && !runId && !objectName) {
+      return respond(400, { success: false, error: "configId, runId or object parameter required" });
+    }
 
-    // Save with object name prefix for blob trigger to find
-    const blobName = `${objectName.toLowerCase()}_config.json`;
-    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
-    await blockBlobClient.upload(
-      JSON.stringify(configData, null, 2),
-      JSON.stringify(configData, null, 2).length,
-      { blobHTTPHeaders: { blobContentType: "application/json" } }
-    );
+    try {
+      if (objectName && !configId && !runId) {
+        const limit = parseInt(request.query.get("limit"), 10) || 50;
+        const configs = await configStorage.listConfigs(objectName, limit);
+        return respond(200, { success: true, object: objectName, count: configs.length, configs });
+      }
+
+      const config = configId
+        ? await configStorage.getConfig(configId)
+        : await configStorage.getConfigByRunId(runId);
 
-    context.log(`Config saved: ${blobName}`);
-    return configId;
-  } catch (err) {
-    context.warn(`Failed to save config: ${err.message}`);
-    return null;
-  }
-}
+      if (!config) {
+        return respond(404, { success: false, error: "Config not found" });
+      }
+
+      return respond(200, { success: true, config });
+    } catch (error) {
+      context.error("Error:", error);
+      return respond(500, { success: false, error: error.message });
+    }
+  },
+});
@@ -0,0 +1,169 @@
+/**
+ * InsightFlow - Watermark Storage
+ * Incremental extraction (`source.incremental`): one watermark per object and
+ * key holding the upper bound of the last run whose write-back succeeded
+ */
+
+const { BlobServiceClient } = require("@azure/storage-blob");
+
+const STORAGE_CONNECTION_STRING = process.env.AZURE_STORAGE_CONNECTION_STRING || process.env.AzureWebJobsStorage;
+const CONTAINER = "watermarks";
+const MAX_UPDATE_ATTEMPTS = 5;
+
+const WATERMARK_FIELDS = ["SystemModstamp", "LastModifiedDate"];
+const DEFAULT_FIELD = "SystemModstamp";
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/;
+
+async function getContainer() {
+  if (!STORAGE_CONNECTION_STRING) throw new Error("Storage not configured");
+  const client = BlobServiceClient.fromConnectionString(STORAGE_CONNECTION_STRING);
+  const container = client.getContainerClient(CONTAINER);
+  await container.createIfNotExists();
+  return container;
+}
+
+async function streamToString(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", (d) => chunks.push(d.toString()));
+    stream.on("end", () => resolve(chunks.join("")));
+    stream.on("error", reject);
+  });
+}
+
+function blobName(objectName, key) {
+  return `${objectName.toLowerCase()}/${key}.json`;
+}
+
+/**
+ * `source.incremental` is `true` or `{ key, field, initial }`; null when the run is not incremental.
+ */
+function resolveIncremental(source) {
+  const incremental = source?.incremental;
+  if (!incremental) return null;
+
+  const options = incremental === true ? {} : incremental;
+  return {
+    object: source.object,
+    key: options.key || "default",
+    field: options.field || DEFAULT_FIELD,
+    initial: options.initial || null,
+  };
+}
+
+async function getWatermark(objectName, key = "default") {
+  const container = await getContainer();
+  const blobClient = container.getBlockBlobClient(blobName(objectName, key));
+  if (!(await blobClient.exists())) return null;
+
+  const response = await blobClient.download(0);
+  return JSON.parse(await streamToString(response.readableStreamBody));
+}
+
+/**
+ * The extraction window of a new incremental run: (last watermark, now].
+ * Without a watermark yet the window starts at `initial`, or is open-ended
+ * for a first full load. Returns null for non-incremental sources.
+ *
+ * @returns {Promise<{ object, key, field, from: string|null, upTo: string }|null>}
+ */
+async function openWindow(source, now = new Date()) {
+  const incremental = resolveIncremental(source);
+  if (!incremental) return null;
+
+  const watermark = await getWatermark(incremental.object, incremental.key);
+  // SOQL datetimes have no milliseconds; the bound is floored to the second
+  const upTo = now.toISOString().replace(/\.\d{3}Z$/, "Z");
+
+  return {
+    object: incremental.object,
+    key: incremental.key,
+    field: incremental.field,
+    from: watermark?.value || incremental.initial,
+    upTo,
+  };
+}
+
+/**
+ * SOQL condition for a window, combined with the run's own filter.
+ */
+function windowClause(window, whereClause = "") {
+  if (!window) return whereClause;
+
+  const bounds = [`${window.field} <= ${window.upTo}`];
+  if (window.from) bounds.unshift(`${window.field} > ${window.from}`);
+
+  return whereClause ? `(${whereClause}) AND ${bounds.join(" AND ")}` : bounds.join(" AND ");
+}
+
+/**
+ * Move the watermark to a succeeded run's upper bound. Runs can finish out
+ * of order; the watermark never moves backwards. ETag-guarded.
+ */
+async function advanceWatermark(window, configId) {
+  const container = await getContainer();
+  const blobClient = container.getBlockBlobClient(blobName(window.object, window.key));
+
+  for (let attempt = 1; ; attempt++) {
+    let watermark = { object: window.object, key: window.key, field: window.field, value: null };
+    let conditions = { ifNoneMatch: "*" };
+    if (await blobClient.exists()) {
+      const response = await blobClient.download(0);
+      watermark = JSON.parse(await streamToString(response.readableStreamBody));
+      conditions = { ifMatch: response.etag };
+    }
+
+    if (watermark.value && watermark.value >= window.upTo) return watermark;
+
+    watermark = {
+      ...watermark,
+      field: window.field,
+      value: window.upTo,
+      configId,
+      updatedAt: new Date().toISOString(),
+    };
+
+    const content = JSON.stringify(watermark, null, 2);
+    try {
+      await blobClient.upload(content, Buffer.byteLength(content), {
+        blobHTTPHeaders: { blobContentType: "application/json" },
+        conditions,
+      });
+      return watermark;
+    } catch (err) {
+      if ((err.statusCode !== 412 && err.statusCode !== 409) || attempt >= MAX_UPDATE_ATTEMPTS) throw err;
+    }
+  }
+}
+
+/**
+ * Check a config's `source.incremental`; returns a list of error messages.
+ */
+function validateIncremental(incremental) {
+  if (incremental === undefined || incremental === null || typeof incremental === "boolean") return [];
+  if (typeof incremental !== "object" || Array.isArray(incremental)) {
+    return ["source.incremental must be true or an object"];
+  }
+
+  const errors = [];
+  if (incremental.key !== undefined && !KEY_PATTERN.test(String(incremental.key))) {
+    errors.push("source.incremental.key must be 1-64 letters, digits, '-' or '_'");
+  }
+  if (incremental.field !== undefined && !WATERMARK_FIELDS.includes(incremental.field)) {
+    errors.push(`source.incremental.field must be one of ${WATERMARK_FIELDS.join(", ")}`);
+  }
+  if (incremental.initial !== undefined && !(typeof incremental.initial === "string" && DATETIME_PATTERN.test(incremental.initial))) {
+    errors.push("source.incremental.initial must be a UTC datetime (2026-01-31T00:00:00Z)");
+  }
+  return errors;
+}
+
+module.exports = {
+  resolveIncremental,
+  getWatermark,
+  openWindow,
+  windowClause,
+  advanceWatermark,
+  validateIncremental,
+};
@@ -0,0 +1,60 @@
+/**
+ * InsightFlow - Webhook Deliveries
+ * Timer trigger sending queued webhook deliveries (retrying failed ones with
+ * backoff), and an HTTP trigger to read the delivery log (see webhookNotifier.js)
+ */
+
+const { app } = require("@azure/functions");
+const { preflight, respond } = require("./httpResponses");
+const webhookNotifier = require("./webhookNotifier");
+
+/* ─────────────────────────────────────────────────────────────── */
+/* TIMER TRIGGER - Send Webhook Deliveries (every minute)          */
+/* ─────────────────────────────────────────────────────────────── */
+app.timer("webhookSend", {
+  schedule: "30 * * * * *",
+  handler: async (timer, context) => {
+    try {
+      const sent = await webhookNotifier.sendDueDeliveries();
+      if (sent.length === 0) return;
+
+      const delivered = sent.filter((d) => d.status === "delivered").length;
+      const failed = sent.filter((d) => d.status === "failed");
+      context.log(`Sent ${sent.length} webhook deliveries: ${delivered} delivered, ${failed.length} failed for good`);
+      for (const delivery of failed) {
+        context.warn(`Webhook ${delivery.event} for ${delivery.configId} to ${delivery.target.url || delivery.target.format} failed after ${delivery.attempts.length} attempts`);
+      }
+    } catch (err) {
+      context.error("Webhook delivery failed:", err);
+      throw err;
+    }
+  },
+});
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HTTP TRIGGER - List Webhook Deliveries                          */
+/* ─────────────────────────────────────────────────────────────── */
+app.http("listWebhookDeliveries", {
+  methods: ["GET", "OPTIONS"],
+  authLevel: "function",
+  handler: async (request, context) => {
+    if (request.method === "OPTIONS") return preflight("GET");
+
+    const status = request.query.get("status") || undefined;
+    if (status && !webhookNotifier.FOLDERS.includes(status)) {
+      return respond(400, { success: false, error: `status must be one of ${webhookNotifier.FOLDERS.join(", ")}` });
+    }
+
+    try {
+      const deliveries = await webhookNotifier.listDeliveries({
+        status,
+        configId: request.query.get("configId") || undefined,
+        limit: parseInt(request.query.get("limit"), 10) || 100,
+      });
+      return respond(200, { success: true, count: deliveries.length, deliveries });
+    } catch (error) {
+      context.error("Error:", error);
+      return respond(500, { success: false, error: error.message });
+    }
+  },
+});
@@ -0,0 +1,458 @@
+/**
+ * InsightFlow - Webhook Notifier
+ * Posts run lifecycle events to the run's `notify` target and the global
+ * WEBHOOK_URL, signed with WEBHOOK_SECRET. Run updates only queue deliveries;
+ * webhookDeliveries.js sends them, retries failures with backoff, and every
+ * delivery is logged
+ */
+
+const crypto = require("crypto");
+const { BlobServiceClient } = require("@azure/storage-blob");
+
+const STORAGE_CONNECTION_STRING = process.env.AZURE_STORAGE_CONNECTION_STRING || process.env.AzureWebJobsStorage;
+const CONTAINER = "webhook-deliveries";
+
+const EVENTS = ["batch.submitted", "batch.completed", "batch.failed", "run.written_back", "run.failed"];
+const FORMATS = ["json", "platformEvent"];
+
+// Global target, notified for every run in addition to the run's own notify
+const WEBHOOK_URL = process.env.WEBHOOK_URL;
+const WEBHOOK_EVENTS = process.env.WEBHOOK_EVENTS;
+const WEBHOOK_FORMAT = process.env.WEBHOOK_FORMAT || "json";
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+
+// Salesforce Platform Events: posted to /sobjects/<event>/ with a client credentials token
+const SF_INSTANCE_URL = process.env.SF_INSTANCE_URL;
+const SF_CLIENT_ID = process.env.SF_CLIENT_ID;
+const SF_CLIENT_SECRET = process.env.SF_CLIENT_SECRET;
+const SF_API_VERSION = process.env.SF_API_VERSION || "v60.0";
+const DEFAULT_PLATFORM_EVENT = process.env.WEBHOOK_PLATFORM_EVENT || "InsightFlow_Run_Event__e";
+const PLATFORM_EVENT_PATTERN = /^[A-Za-z][A-Za-z0-9_]*__e$/;
+
+// Minutes to wait before each retry; the delivery fails after the last one
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60, 240];
+const REQUEST_TIMEOUT_MS = 10000;
+// A delivery claimed for sending but not finished by then (the sender died) is due again
+const CLAIM_TIMEOUT_MS = 2 * 60000;
+
+// pending/<deliveryId>.json     - waiting for a retry (nextAttemptAt), or being sent (status "sending")
+// delivered/<deliveryId>.json   - accepted by the endpoint (2xx)
+// failed/<deliveryId>.json      - gave up after every retry
+const FOLDERS = ["pending", "delivered", "failed"];
+
+let sfToken = null;
+
+async function getContainer() {
+  if (!STORAGE_CONNECTION_STRING) throw new Error("Storage not configured");
+  const client = BlobServiceClient.fromConnectionString(STORAGE_CONNECTION_STRING);
+  const container = client.getContainerClient(CONTAINER);
+  await container.createIfNotExists();
+  return container;
+}
+
+async function streamToString(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", (d) => chunks.push(d.toString()));
+    stream.on("end", () => resolve(chunks.join("")));
+    stream.on("error", reject);
+  });
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* EVENTS FROM RUN CHANGES                                         */
+/* runTracker passes every run update through here, so events      */
+/* fire once per transition, whichever function caused it          */
+/* ─────────────────────────────────────────────────────────────── */
+function detectEvents(before, after) {
+  const events = [];
+  const previousJobs = before?.stages?.batch?.jobs || {};
+
+  for (const [batchId, job] of Object.entries(after.stages?.batch?.jobs || {})) {
+    const previous = previousJobs[batchId]?.status;
+    if (job.status === previous) continue;
+    if (job.status === "pending" && previous === undefined) {
+      events.push({ event: "batch.submitted", batchId });
+    } else if (job.status === "completed") {
+      events.push({ event: "batch.completed", batchId });
+    } else if ((job.status === "failed" || job.status === "cancelled") && previous !== "failed" && previous !== "cancelled") {
+      events.push({ event: "batch.failed", batchId });
+    }
+  }
+
+  // Runs complete once the write-back run succeeded, or when there was nothing to write back
+  if (after.status === "completed" && before?.status !== "completed") {
+    events.push({ event: "run.written_back" });
+  }
+  if (after.status === "failed" && before?.status !== "failed") {
+    events.push({ event: "run.failed" });
+  }
+
+  return events;
+}
+
+function buildPayload(event, batchId, run) {
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    occurredAt: new Date().toISOString(),
+    configId: run.configId,
+    objectName: run.objectName,
+    scheduleId: run.scheduleId || null,
+    runStatus: run.status,
+    currentStage: run.currentStage,
+  };
+
+  if (batchId) {
+    const job = run.stages.batch.jobs[batchId];
+    payload.batch = {
+      batchId,
+      status: job.status,
+      recordCount: job.recordCount ?? null,
+      failedCount: job.failedCount ?? null,
+      error: job.error || null,
+    };
+  }
+  if (event === "run.written_back") {
+    payload.output = {
+      blobPath: run.stages.output?.blobPath || null,
+      recordCount: run.stages.output?.recordCount ?? null,
+      destinationObject: run.stages.output?.destinationObject || null,
+    };
+    payload.writeBack = { runId: run.stages.writeBack?.runId || null, status: run.stages.writeBack?.status || null };
+  }
+  if (event === "run.failed") payload.error = run.error;
+
+  return payload;
+}
+
+/**
+ * The run's notify target (if any) plus the global one, each only for the
+ * events it subscribed to.
+ */
+function resolveTargets(notify, event) {
+  const targets = [];
+  if (notify && (notify.url || notify.format === "platformEvent")) {
+    targets.push({
+      source: "run",
+      url: notify.url || null,
+      format: notify.format || "json",
+      platformEvent: notify.platformEvent || null,
+      events: notify.events || EVENTS,
+    });
+  }
+  if (WEBHOOK_URL || WEBHOOK_FORMAT === "platformEvent") {
+    targets.push({
+      source: "global",
+      url: WEBHOOK_URL || null,
+      format: WEBHOOK_FORMAT,
+      platformEvent: null,
+      events: WEBHOOK_EVENTS ? WEBHOOK_EVENTS.split(",").map((e) => e.trim()) : EVENTS,
+    });
+  }
+  return targets.filter((target) => target.events.includes(event));
+}
+
+/**
+ * Queue the events of a run update as pending deliveries, sent by the
+ * webhookSend timer so a slow endpoint never holds up the update. Never
+ * throws: a webhook problem can't fail the run update itself.
+ */
+async function notifyRunChange(before, after) {
+  for (const { event, batchId } of detectEvents(before, after)) {
+    const targets = resolveTargets(after.notify, event);
+    if (targets.length === 0) continue;
+
+    const payload = buildPayload(event, batchId, after);
+    for (const target of targets) {
+      const delivery = {
+        id: `${payload.id}-${target.source}`,
+        event,
+        configId: after.configId,
+        target: { source: target.source, url: target.url, format: target.format, platformEvent: target.platformEvent },
+        payload,
+        status: "pending",
+        attempts: [],
+        nextAttemptAt: payload.occurredAt,
+        createdAt: payload.occurredAt,
+        completedAt: null,
+      };
+      await saveDelivery(delivery).catch(() => null);
+    }
+  }
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* DELIVERY                                                        */
+/* One POST per attempt; the outcome moves the delivery record to  */
+/* delivered/, failed/ or back to pending/ with the next attempt   */
+/* ─────────────────────────────────────────────────────────────── */
+async function attemptDelivery(delivery, claimEtag) {
+  const startedAt = Date.now();
+  let attempt;
+  try {
+    const response = await post(delivery);
+    attempt = { at: new Date(startedAt).toISOString(), status: response.status, error: response.ok ? null : await responseError(response) };
+  } catch (err) {
+    attempt = { at: new Date(startedAt).toISOString(), status: null, error: err.message };
+  }
+  attempt.durationMs = Date.now() - startedAt;
+
+  delivery.attempts.push(attempt);
+  delivery.claim = null;
+
+  if (attempt.status >= 200 && attempt.status < 300) {
+    Object.assign(delivery, { status: "delivered", nextAttemptAt: null, completedAt: new Date().toISOString() });
+  } else if (delivery.attempts.length > RETRY_DELAYS_MINUTES.length) {
+    Object.assign(delivery, { status: "failed", nextAttemptAt: null, completedAt: new Date().toISOString() });
+  } else {
+    const delayMs = RETRY_DELAYS_MINUTES[delivery.attempts.length - 1] * 60000;
+    Object.assign(delivery, { status: "pending", nextAttemptAt: new Date(Date.now() + delayMs).toISOString() });
+  }
+
+  // Only while the claim holds: one that expired mid-send may have been taken
+  // over, and the execution holding it now records the outcome
+  try {
+    await saveDelivery(delivery, { ifMatch: claimEtag });
+  } catch (err) {
+    if (err.statusCode === 412) return null;
+    throw err;
+  }
+  return delivery;
+}
+
+async function post(delivery) {
+  const body = JSON.stringify(
+    delivery.target.format === "platformEvent" ? toPlatformEvent(delivery.payload) : delivery.payload
+  );
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers = {
+    "Content-Type": "application/json",
+    "X-InsightFlow-Event": delivery.event,
+    "X-InsightFlow-Delivery": delivery.id,
+    "X-InsightFlow-Timestamp": timestamp,
+  };
+  if (WEBHOOK_SECRET) headers["X-InsightFlow-Signature"] = sign(timestamp, body);
+
+  let url = delivery.target.url;
+  if (delivery.target.format === "platformEvent" && !url) {
+    const eventName = delivery.target.platformEvent || DEFAULT_PLATFORM_EVENT;
+    url = `${SF_INSTANCE_URL}/services/data/${SF_API_VERSION}/sobjects/${eventName}/`;
+    headers.Authorization = `Bearer ${await getSalesforceToken()}`;
+  }
+
+  return fetch(url, { method: "POST", headers, body, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+}
+
+/**
+ * HMAC-SHA256 of `<timestamp>.<body>`; receivers recompute it with the shared
+ * secret and reject old timestamps to stop replays.
+ */
+function sign(timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// Platform Event fields: flat custom fields, the full event as JSON in Payload__c
+function toPlatformEvent(payload) {
+  return {
+    Event_Type__c: payload.event,
+    Config_Id__c: payload.configId,
+    Object_Name__c: payload.objectName,
+    Run_Status__c: payload.runStatus,
+    Batch_Id__c: payload.batch?.batchId || null,
+    Occurred_At__c: payload.occurredAt,
+    Payload__c: JSON.stringify(payload),
+  };
+}
+
+async function getSalesforceToken() {
+  if (!SF_INSTANCE_URL || !SF_CLIENT_ID || !SF_CLIENT_SECRET) {
+    throw new Error("SF_INSTANCE_URL, SF_CLIENT_ID and SF_CLIENT_SECRET are required for Platform Events");
+  }
+  if (sfToken && sfToken.expiresAt > Date.now()) return sfToken.value;
+
+  const response = await fetch(`${SF_INSTANCE_URL}/services/oauth2/token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ grant_type: "client_credentials", client_id: SF_CLIENT_ID, client_secret: SF_CLIENT_SECRET }).toString(),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  if (!response.ok) throw new Error(`Salesforce token request failed: ${response.status}`);
+
+  const result = await response.json();
+  // Session lifetime isn't returned; refresh well within the shortest org setting
+  sfToken = { value: result.access_token, expiresAt: Date.now() + 10 * 60000 };
+  return sfToken.value;
+}
+
+async function responseError(response) {
+  const text = await response.text().catch(() => "");
+  return `HTTP ${response.status}${text ? `: ${text.slice(0, 500)}` : ""}`;
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* DELIVERY LOG                                                    */
+/* ─────────────────────────────────────────────────────────────── */
+/**
+ * Deliveries being sent stay in pending/. The due time, run and creation time
+ * are kept as blob metadata, so listings don't download every record.
+ * `conditions` guard the record in pending/. A finished delivery is written
+ * there first and then moved to delivered/ or failed/: a move cut short is
+ * completed by the next claimDelivery rather than sent again. Resolves to the
+ * pending/ record's new ETag, or null once it has been moved.
+ */
+async function saveDelivery(delivery, conditions = {}) {
+  const container = await getContainer();
+  const pending = container.getBlockBlobClient(`pending/${delivery.id}.json`);
+  const { etag } = await uploadDelivery(pending, delivery, conditions);
+  if (delivery.status === "pending" || delivery.status === "sending") return etag;
+
+  await uploadDelivery(container.getBlockBlobClient(`${delivery.status}/${delivery.id}.json`), delivery);
+  await pending.deleteIfExists({ conditions: { ifMatch: etag } }).catch((err) => {
+    // Already moved by claimDelivery
+    if (err.statusCode !== 412) throw err;
+  });
+  return null;
+}
+
+async function uploadDelivery(blobClient, delivery, conditions = {}) {
+  const content = JSON.stringify(delivery, null, 2);
+  return blobClient.upload(content, Buffer.byteLength(content), {
+    blobHTTPHeaders: { blobContentType: "application/json" },
+    metadata: {
+      dueat: (delivery.status === "sending" ? delivery.claim.until : delivery.nextAttemptAt) || "",
+      configid: delivery.configId || "",
+      createdat: delivery.createdAt,
+    },
+    conditions,
+  });
+}
+
+/**
+ * Send pending deliveries that are new or whose backoff has passed.
+ *
+ * @returns {Promise<Array<object>>} the deliveries attempted
+ */
+async function sendDueDeliveries(now = new Date()) {
+  const container = await getContainer();
+  const sent = [];
+  for await (const blob of container.listBlobsFlat({ prefix: "pending/", includeMetadata: true })) {
+    if (blob.metadata?.dueat && new Date(blob.metadata.dueat) > now) continue;
+
+    const claimed = await claimDelivery(container, blob.name, now);
+    const delivery = claimed && (await attemptDelivery(claimed.delivery, claimed.etag));
+    if (delivery) sent.push(delivery);
+  }
+  return sent;
+}
+
+/**
+ * Mark a due delivery as being sent, conditional on its ETag, so overlapping
+ * timer executions and scaled-out instances never send the same attempt twice.
+ * Resolves to { delivery, etag } (the claim's ETag, which its outcome is written
+ * against), or null when it was claimed elsewhere or is no longer due.
+ */
+async function claimDelivery(container, blobName, now) {
+  let response;
+  try {
+    response = await container.getBlockBlobClient(blobName).download(0);
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+  const delivery = JSON.parse(await streamToString(response.readableStreamBody));
+  // Finished, but the move out of pending/ was cut short
+  if (delivery.status === "delivered" || delivery.status === "failed") {
+    await saveDelivery(delivery, { ifMatch: response.etag }).catch((err) => {
+      if (err.statusCode !== 412) throw err;
+    });
+    return null;
+  }
+
+  const dueAt = delivery.status === "sending" ? delivery.claim.until : delivery.nextAttemptAt;
+  if (dueAt && new Date(dueAt) > now) return null;
+
+  delivery.status = "sending";
+  delivery.claim = { attempt: delivery.attempts.length + 1, until: new Date(now.getTime() + CLAIM_TIMEOUT_MS).toISOString() };
+  try {
+    return { delivery, etag: await saveDelivery(delivery, { ifMatch: response.etag }) };
+  } catch (err) {
+    if (err.statusCode === 412) return null;
+    throw err;
+  }
+}
+
+/**
+ * Delivery records, newest first, optionally for one status and/or run. Only
+ * the records returned are downloaded; the rest is filtered on blob metadata.
+ */
+async function listDeliveries({ status, configId, limit = 100 } = {}) {
+  const container = await getContainer();
+  const blobs = [];
+  for (const folder of status ? [status] : FOLDERS) {
+    for await (const blob of container.listBlobsFlat({ prefix: `${folder}/`, includeMetadata: true })) {
+      // Records saved before metadata was kept have none and are checked once read
+      if (configId && blob.metadata?.configid !== undefined && blob.metadata.configid !== configId) continue;
+      blobs.push(blob);
+    }
+  }
+  blobs.sort((a, b) => (b.metadata?.createdat || "").localeCompare(a.metadata?.createdat || ""));
+
+  const deliveries = [];
+  for (const blob of blobs) {
+    if (deliveries.length >= limit) break;
+    try {
+      const response = await container.getBlockBlobClient(blob.name).download(0);
+      const delivery = JSON.parse(await streamToString(response.readableStreamBody));
+      if (!configId || delivery.configId === configId) deliveries.push(delivery);
+    } catch (err) {
+      // Moved to another folder since it was listed
+      if (err.statusCode !== 404) throw err;
+    }
+  }
+  return deliveries;
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* VALIDATION (notify in the trigger config)                       */
+/* ─────────────────────────────────────────────────────────────── */
+function validateNotify(notify) {
+  if (notify === undefined || notify === null) return [];
+  if (typeof notify !== "object" || Array.isArray(notify)) return ["notify must be an object"];
+
+  const errors = [];
+  const format = notify.format ?? "json";
+  if (!FORMATS.includes(format)) {
+    errors.push(`notify.format must be one of ${FORMATS.join(", ")}`);
+  }
+  if (notify.url !== undefined || format !== "platformEvent") {
+    let url = null;
+    try {
+      url = new URL(notify.url);
+    } catch {
+      // reported below
+    }
+    if (!url || url.protocol !== "https:") errors.push("notify.url must be an https URL");
+  }
+  if (notify.events !== undefined) {
+    if (!Array.isArray(notify.events) || notify.events.length === 0) {
+      errors.push("notify.events must be a non-empty array");
+    } else {
+      const unknown = notify.events.filter((e) => !EVENTS.includes(e));
+      if (unknown.length > 0) errors.push(`notify.events: unknown ${unknown.join(", ")} (expected ${EVENTS.join(", ")})`);
+    }
+  }
+  if (notify.platformEvent !== undefined && !PLATFORM_EVENT_PATTERN.test(String(notify.platformEvent))) {
+    errors.push("notify.platformEvent must be a Platform Event API name ending in __e");
+  }
+  return errors;
+}
+
+module.exports = {
+  EVENTS,
+  FOLDERS,
+  notifyRunChange,
+  sendDueDeliveries,
+  listDeliveries,
+  validateNotify,
+};
@@ -0,0 +1,168 @@
+/**
+ * InsightFlow - Write-back Target
+ * Resolves where a run's insights land in Salesforce (`output.destination`)
+ * and which ADF pipeline writes them back (`output.writeBack`)
+ */
+
+const DEFAULT_OBJECT = process.env.SF_DESTINATION_OBJECT || "azinsights__c";
+const DEFAULT_FACTORY_NAME = process.env.DYNAMIC_DATA_FACTORY_NAME || process.env.DATA_FACTORY_NAME;
+const DEFAULT_PIPELINE_NAME = process.env.WRITEBACK_PIPELINE_NAME || "SalesforceWriteBackPipeline";
+
+// insightsObject: one new record per analyzed record on a custom insights object
+// sourceRecord: mapped fields are written onto the analyzed record itself
+const MODES = ["insightsObject", "sourceRecord"];
+const OPERATIONS = ["insert", "upsert", "update"];
+
+const DEFAULT_LAYOUT = {
+  parentIdField: "ParentObjectId__c",
+  objectNameField: "ParentObjectApiName__c",
+  rawInsightsField: "RawInsightsJSON__c",
+};
+
+/**
+ * Fill in defaults for a config's destination and write-back pipeline.
+ */
+function resolveDestination(config) {
+  const output = config?.output || {};
+  const destination = output.destination || {};
+  const writeBack = output.writeBack || {};
+  const sourceRecord = destination.mode === "sourceRecord";
+
+  return {
+    mode: sourceRecord ? "sourceRecord" : "insightsObject",
+    object: destination.object || (sourceRecord ? config?.source?.object : DEFAULT_OBJECT),
+    operation: destination.operation || (sourceRecord ? "update" : "insert"),
+    externalIdField: destination.externalIdField || (sourceRecord ? "Id" : null),
+    parentIdField: sourceRecord ? null : destination.parentIdField || DEFAULT_LAYOUT.parentIdField,
+    objectNameField: sourceRecord ? null : destination.objectNameField ?? DEFAULT_LAYOUT.objectNameField,
+    rawInsightsField: destination.rawInsightsField !== undefined
+      ? destination.rawInsightsField
+      : sourceRecord ? null : DEFAULT_LAYOUT.rawInsightsField,
+    factoryName: writeBack.factoryName || DEFAULT_FACTORY_NAME,
+    pipelineName: writeBack.pipelineName || DEFAULT_PIPELINE_NAME,
+    parameters: writeBack.parameters || {},
+    // Runs without an explicit destination keep the original { fileName } contract
+    custom: !!output.destination,
+  };
+}
+
+/**
+ * Source field whose value identifies each record (becomes the batch custom_id).
+ * Only differs from the default Id/Name when writing back onto the source
+ * record by external ID.
+ */
+function recordIdField(config) {
+  const destination = config?.output?.destination;
+  return destination?.mode === "sourceRecord" ? destination.externalIdField || "Id" : null;
+}
+
+/**
+ * Fields InsightFlow sets itself, which field mappings must not target.
+ */
+function systemFields(destination) {
+  return [
+    destination.parentIdField,
+    destination.objectNameField,
+    destination.rawInsightsField,
+    destination.mode === "sourceRecord" ? destination.externalIdField : null,
+  ].filter(Boolean);
+}
+
+/**
+ * Check output.destination / output.writeBack; returns a list of error messages.
+ */
+function validateDestination(config) {
+  const output = config?.output || {};
+  const errors = [];
+  const { destination, writeBack } = output;
+
+  if (destination !== undefined) {
+    if (!isPlainObject(destination)) return ["output.destination must be an object"];
+    if (destination.mode && !MODES.includes(destination.mode)) {
+      errors.push(`output.destination.mode must be one of ${MODES.join(", ")}`);
+    }
+    if (destination.operation && !OPERATIONS.includes(destination.operation)) {
+      errors.push(`output.destination.operation must be one of ${OPERATIONS.join(", ")}`);
+    }
+    if (destination.mode === "sourceRecord" && !destination.object && !config?.source?.object) {
+      errors.push("output.destination.object is required when source.object is not set");
+    }
+    if (destination.operation === "upsert" && !destination.externalIdField && destination.mode !== "sourceRecord") {
+      errors.push("output.destination.externalIdField is required for upsert");
+    }
+    for (const key of ["object", "externalIdField", "parentIdField", "objectNameField"]) {
+      if (destination[key] !== undefined && !isApiName(destination[key])) {
+        errors.push(`output.destination.${key}: invalid Salesforce API name`);
+      }
+    }
+    if (destination.rawInsightsField != null && !isApiName(destination.rawInsightsField)) {
+      errors.push("output.destination.rawInsightsField: invalid Salesforce API name");
+    }
+  }
+
+  if (writeBack !== undefined) {
+    if (!isPlainObject(writeBack)) return [...errors, "output.writeBack must be an object"];
+    if (writeBack.pipelineName !== undefined && (typeof writeBack.pipelineName !== "string" || !writeBack.pipelineName.trim())) {
+      errors.push("output.writeBack.pipelineName must be a non-empty string");
+    }
+    if (writeBack.parameters !== undefined && !isPlainObject(writeBack.parameters)) {
+      errors.push("output.writeBack.parameters must be an object");
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * One output line for the write-back file.
+ */
+function buildOutputRecord(destination, { recordId, objectName, fields, serializedInsights }) {
+  const record = {};
+
+  if (destination.mode === "sourceRecord") {
+    record[destination.externalIdField] = recordId;
+  } else {
+    record[destination.parentIdField] = recordId;
+    if (destination.objectNameField) record[destination.objectNameField] = objectName || null;
+  }
+  if (destination.rawInsightsField) record[destination.rawInsightsField] = serializedInsights;
+
+  return Object.assign(record, fields);
+}
+
+/**
+ * ADF parameters for the write-back run.
+ */
+function buildPipelineParameters(destination, fileName) {
+  if (!destination.custom) return { ...destination.parameters, fileName };
+
+  return {
+    ...destination.parameters,
+    fileName,
+    destinationObject: destination.object,
+    operation: destination.operation,
+    externalIdField: destination.externalIdField || "",
+  };
+}
+
+/* ─────────────────────────────────────────────────────────────── */
+/* HELPERS                                                         */
+/* ─────────────────────────────────────────────────────────────── */
+function isApiName(value) {
+  return typeof value === "string" && /^[A-Za-z][A-Za-z0-9_]*$/.test(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+module.exports = {
+  MODES,
+  OPERATIONS,
+  resolveDestination,
+  recordIdField,
+  systemFields,
+  validateDestination,
+  buildOutputRecord,
+  buildPipelineParameters,
+};
@@ -0,0 +1,65 @@
+/**
+ * InsightFlow - Cron Schedule tests
+ * Parsing, validation and next-run search (UTC)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseCron, validateCron, nextRun } = require("../src/functions/cronSchedule");
+
+function next(expression, after) {
+  return nextRun(expression, new Date(after))?.toISOString() ?? null;
+}
+
+test("parses lists, ranges, steps and names", () => {
+  const cron = parseCron("0,30 9-17/4 1-7 jan,JUL MON-FRI");
+
+  assert.deepEqual([...cron.minutes], [0, 30]);
+  assert.deepEqual([...cron.hours], [9, 13, 17]);
+  assert.deepEqual([...cron.daysOfMonth], [1, 2, 3, 4, 5, 6, 7]);
+  assert.deepEqual([...cron.months], [1, 7]);
+  assert.deepEqual([...cron.daysOfWeek], [1, 2, 3, 4, 5]);
+  assert.equal(cron.anyDay, true);
+
+  assert.deepEqual([...parseCron("5/20 * * * *").minutes], [5, 25, 45]);
+  assert.equal(parseCron("0 0 * * 1").anyDay, false);
+});
+
+test("treats day of week 7 as Sunday and expands macros", () => {
+  assert.ok(parseCron("0 0 * * 7").daysOfWeek.has(0));
+  assert.deepEqual([...parseCron(" @Daily ").hours], [0]);
+  assert.equal(parseCron("@hourly").hours.size, 24);
+});
+
+test("validates expressions", () => {
+  assert.deepEqual(validateCron("*/15 * * * *"), []);
+  assert.deepEqual(validateCron(null), ["expected a string"]);
+  assert.match(validateCron("* * * *")[0], /expected 5 fields/);
+  assert.deepEqual(validateCron("60 * * * *"), ['minute "60" out of range 0-59']);
+  assert.deepEqual(validateCron("* * 0 * *"), ['day of month "0" out of range 1-31']);
+  assert.deepEqual(validateCron("* * * * 1-2-3"), ['invalid range in day of week "1-2-3"']);
+  assert.deepEqual(validateCron("* 5-1 * * *"), ['invalid range in hour "5-1"']);
+  assert.deepEqual(validateCron("*/0 * * * *"), ['invalid step in minute "*/0"']);
+  assert.deepEqual(validateCron("* * * FOO *"), ['month "FOO" out of range 1-12']);
+  assert.deepEqual(validateCron("0 0 30 2 *"), ["expression never matches"]);
+});
+
+test("finds the next matching minute strictly after the given time", () => {
+  assert.equal(next("*/15 * * * *", "2026-03-01T10:00:00Z"), "2026-03-01T10:15:00.000Z");
+  assert.equal(next("*/15 * * * *", "2026-03-01T10:14:59.999Z"), "2026-03-01T10:15:00.000Z");
+  assert.equal(next("30 2 * * *", "2026-03-01T02:30:00Z"), "2026-03-02T02:30:00.000Z");
+  assert.equal(next("@monthly", "2026-12-15T00:00:00Z"), "2027-01-01T00:00:00.000Z");
+});
+
+test("matches either day field when both are restricted, both otherwise", () => {
+  // 2026-03-02 is a Monday
+  assert.equal(next("0 0 15 * MON", "2026-03-01T00:00:00Z"), "2026-03-02T00:00:00.000Z");
+  assert.equal(next("0 0 * * MON", "2026-03-02T00:00:00Z"), "2026-03-09T00:00:00.000Z");
+  assert.equal(next("0 0 */10 * *", "2026-03-02T00:00:00Z"), "2026-03-11T00:00:00.000Z");
+});
+
+test("finds leap days and gives up on dates that never occur", () => {
+  assert.equal(next("0 12 29 2 *", "2026-03-01T00:00:00Z"), "2028-02-29T12:00:00.000Z");
+  assert.equal(next("0 0 31 4 *", "2026-03-01T00:00:00Z"), null);
+});
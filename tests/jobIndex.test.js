@@ -0,0 +1,133 @@
+/**
+ * InsightFlow - Job Index tests
+ * Queries, filters and paging of the in-memory backend against a fake container
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("node:stream");
+
+process.env.JOB_INDEX_BACKEND = "memory";
+
+// The in-memory index lives in the module: load a fresh one per test
+function loadJobIndex() {
+  delete require.cache[require.resolve("../src/functions/jobIndex")];
+  return require("../src/functions/jobIndex");
+}
+
+// Just enough of a ContainerClient for the index: listing and downloads
+function fakeContainer(blobs) {
+  return {
+    async *listBlobsFlat({ prefix }) {
+      for (const name of Object.keys(blobs).sort()) {
+        if (name.startsWith(prefix)) yield { name };
+      }
+    },
+    getBlockBlobClient(name) {
+      return {
+        name,
+        async download() {
+          if (!(name in blobs)) throw Object.assign(new Error("BlobNotFound"), { statusCode: 404 });
+          return { readableStreamBody: Readable.from([JSON.stringify(blobs[name])]) };
+        },
+      };
+    },
+  };
+}
+
+function job(batchId, status, fields = {}) {
+  return { batchId, status, objectName: "Case", submittedAt: "2026-03-01T00:00:00.000Z", ...fields };
+}
+
+function jobBlobs(...jobs) {
+  const folder = (status) => (status === "cancelled" ? "failed" : status);
+  return Object.fromEntries(jobs.map((j) => [`${folder(j.status)}/${j.batchId}.json`, j]));
+}
+
+async function queryAll(jobIndex, container, query, pageSize = 50) {
+  const filter = jobIndex.normalizeFilter(query);
+  const names = [];
+  let continuationToken = null;
+  do {
+    const page = await jobIndex.query(container, filter, { pageSize, continuationToken });
+    names.push(...page.blobNames);
+    continuationToken = page.continuationToken;
+  } while (continuationToken);
+  return names;
+}
+
+test("builds the index from the status folders on first query", async () => {
+  const jobIndex = loadJobIndex();
+  const container = fakeContainer(jobBlobs(job("b1", "pending"), job("b2", "processed"), job("b3", "cancelled")));
+
+  assert.deepEqual(await queryAll(jobIndex, container, {}), ["failed/b3.json", "pending/b1.json", "processed/b2.json"]);
+  assert.deepEqual(await queryAll(jobIndex, container, { status: "pending" }), ["pending/b1.json"]);
+  assert.deepEqual(await queryAll(jobIndex, container, { status: "cancelled" }), ["failed/b3.json"]);
+});
+
+test("filters by object (any case), configId and submittedAt range", async () => {
+  const jobIndex = loadJobIndex();
+  const container = fakeContainer(
+    jobBlobs(
+      job("b1", "processed", { configId: "c1", submittedAt: "2026-01-10T00:00:00.000Z" }),
+      job("b2", "processed", { configId: "c1", objectName: "Lead", submittedAt: "2026-02-10T00:00:00.000Z" }),
+      job("b3", "processed", { configId: "c2", submittedAt: "2026-03-10T00:00:00.000Z" })
+    )
+  );
+
+  assert.deepEqual(await queryAll(jobIndex, container, { objectName: "case" }), ["processed/b1.json", "processed/b3.json"]);
+  assert.deepEqual(await queryAll(jobIndex, container, { configId: "c1" }), ["processed/b1.json", "processed/b2.json"]);
+  assert.deepEqual(await queryAll(jobIndex, container, { configId: "c1", objectName: "LEAD" }), ["processed/b2.json"]);
+  // from inclusive, to exclusive
+  assert.deepEqual(await queryAll(jobIndex, container, { from: "2026-02-10T00:00:00Z", to: "2026-03-10T00:00:00Z" }), [
+    "processed/b2.json",
+  ]);
+});
+
+test("pages results with a continuation token", async () => {
+  const jobIndex = loadJobIndex();
+  const container = fakeContainer(jobBlobs(...["b1", "b2", "b3", "b4", "b5"].map((id) => job(id, "pending"))));
+  const filter = jobIndex.normalizeFilter({ status: "pending" });
+
+  const first = await jobIndex.query(container, filter, { pageSize: 2 });
+  assert.deepEqual(first.blobNames, ["pending/b1.json", "pending/b2.json"]);
+  assert.ok(first.continuationToken);
+
+  const second = await jobIndex.query(container, filter, { pageSize: 2, continuationToken: first.continuationToken });
+  assert.deepEqual(second.blobNames, ["pending/b3.json", "pending/b4.json"]);
+
+  const last = await jobIndex.query(container, filter, { pageSize: 2, continuationToken: second.continuationToken });
+  assert.deepEqual(last.blobNames, ["pending/b5.json"]);
+  assert.equal(last.continuationToken, null);
+});
+
+test("follows this process's writes after loading", async () => {
+  const jobIndex = loadJobIndex();
+  const container = fakeContainer(jobBlobs(job("b1", "pending")));
+  assert.deepEqual(await queryAll(jobIndex, container, { status: "pending" }), ["pending/b1.json"]);
+
+  // b1 moved to completed/
+  await jobIndex.remove("pending/b1.json");
+  await jobIndex.record("completed/b1.json", job("b1", "completed"));
+
+  assert.deepEqual(await queryAll(jobIndex, container, { status: "pending" }), []);
+  assert.deepEqual(await queryAll(jobIndex, container, { status: "completed" }), ["completed/b1.json"]);
+});
+
+test("skips a job moved between listing and reading it", async () => {
+  const jobIndex = loadJobIndex();
+  const blobs = jobBlobs(job("b1", "pending"), job("b2", "pending"));
+  const container = fakeContainer(blobs);
+  const download = container.getBlockBlobClient;
+  container.getBlockBlobClient = (name) => {
+    if (name === "pending/b2.json") delete blobs[name];
+    return download(name);
+  };
+
+  assert.deepEqual(await queryAll(jobIndex, container, {}), ["pending/b1.json"]);
+});
+
+test("rejects an unknown status", () => {
+  const jobIndex = loadJobIndex();
+  assert.throws(() => jobIndex.normalizeFilter({ status: "done" }), /Unknown job status: done/);
+});
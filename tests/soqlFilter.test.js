@@ -0,0 +1,165 @@
+/**
+ * InsightFlow - SOQL Filter tests
+ * Validation and compilation of structured filters, value quoting and the raw filter checks
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { validateFilter, toWhereClause, checkRawFilter } = require("../src/functions/soqlFilter");
+
+function source(filter, fields = ["Subject", "Status", "Priority", "IsEscalated", "Amount", "Account.Name"]) {
+  return { object: "Case", fields, filter };
+}
+
+test("compiles conditions and nested groups", () => {
+  const filter = {
+    and: [
+      { field: "Status", op: "!=", value: "Closed" },
+      { field: "CreatedDate", op: ">=", value: { date: "LAST_N_DAYS:30" } },
+      {
+        or: [
+          { field: "Priority", op: "in", value: ["High", "Urgent"] },
+          { field: "IsEscalated", op: "=", value: true },
+        ],
+      },
+    ],
+  };
+
+  assert.deepEqual(validateFilter(source(filter)), []);
+  assert.equal(
+    toWhereClause(source(filter)),
+    "Status != 'Closed' AND CreatedDate >= LAST_N_DAYS:30 AND (Priority IN ('High', 'Urgent') OR IsEscalated = TRUE)"
+  );
+});
+
+test("compiles arrays as AND, not, like, null and numbers", () => {
+  const filter = [
+    { not: { field: "Subject", op: "like", value: "%test%" } },
+    { field: "Account.Name", op: "=", value: null },
+    { field: "Amount", op: ">", value: 1.5 },
+  ];
+
+  assert.deepEqual(validateFilter(source(filter)), []);
+  assert.equal(toWhereClause(source(filter)), "NOT (Subject LIKE '%test%') AND Account.Name = null AND Amount > 1.5");
+});
+
+test("returns an empty clause without a filter", () => {
+  for (const filter of [undefined, null, ""]) {
+    assert.deepEqual(validateFilter(source(filter)), []);
+    assert.equal(toWhereClause(source(filter)), "");
+  }
+});
+
+test("quotes and escapes string values", () => {
+  const filter = { field: "Subject", op: "=", value: "O'Brien \\ \"quoted\"\nnext" };
+
+  assert.deepEqual(validateFilter(source(filter)), []);
+  assert.equal(toWhereClause(source(filter)), "Subject = 'O\\'Brien \\\\ \\\"quoted\\\"\\nnext'");
+});
+
+test("keeps injection attempts inside the string literal", () => {
+  const filter = { field: "Status", op: "in", value: ["x') OR Id != null OR (Status = 'y", "a\\' OR Name != '"] };
+
+  assert.deepEqual(validateFilter(source(filter)), []);
+  assert.equal(
+    toWhereClause(source(filter)),
+    "Status IN ('x\\') OR Id != null OR (Status = \\'y', 'a\\\\\\' OR Name != \\'')"
+  );
+  assert.deepEqual(checkRawFilter(toWhereClause(source(filter))), []);
+});
+
+test("rejects field names that aren't API names or aren't extracted", () => {
+  const errors = validateFilter(
+    source([
+      { field: "Status = 'x' OR Id", op: "=", value: "y" },
+      { field: "Description", op: "=", value: "y" },
+    ])
+  );
+
+  assert.deepEqual(
+    errors.map((e) => e.path),
+    ["$.source.filter[0].field", "$.source.filter[1].field"]
+  );
+  assert.match(errors[0].message, /invalid field API name/);
+  assert.match(errors[1].message, /not in source\.fields/);
+});
+
+test("rejects date values that aren't SOQL date literals, dates or datetimes", () => {
+  const filter = { field: "CreatedDate", op: ">", value: { date: "TODAY OR Id != null" } };
+
+  assert.deepEqual(
+    validateFilter(source(filter)).map((e) => e.path),
+    ["$.source.filter.value.date"]
+  );
+  assert.throws(() => toWhereClause(source(filter)), /Invalid date value/);
+
+  for (const date of ["TODAY", "N_DAYS_AGO:7", "2026-03-01", "2026-03-01T10:00:00Z", "2026-03-01T10:00:00.123+02:00"]) {
+    assert.deepEqual(validateFilter(source({ field: "CreatedDate", op: ">", value: { date } })), [], date);
+  }
+});
+
+test("rejects unknown operators and mismatched values", () => {
+  const errors = validateFilter(
+    source([
+      { field: "Status", op: "contains", value: "x" },
+      { field: "Status", op: "in", value: [] },
+      { field: "Status", op: "=", value: ["a", "b"] },
+      { field: "Status", op: ">", value: null },
+      { field: "IsEscalated", op: "<", value: true },
+      { field: "Amount", op: "=", value: { raw: "1" } },
+      { field: "Status", op: "=", value: "x", extra: 1 },
+    ])
+  );
+
+  assert.deepEqual(
+    errors.map((e) => e.path),
+    [
+      "$.source.filter[0].op",
+      "$.source.filter[1].value",
+      "$.source.filter[2].value",
+      "$.source.filter[3].value",
+      "$.source.filter[4].value",
+      "$.source.filter[5].value",
+      "$.source.filter[6]",
+    ]
+  );
+});
+
+test("rejects malformed groups", () => {
+  assert.deepEqual(
+    validateFilter(source({ and: [] })).map((e) => e.path),
+    ["$.source.filter.and"]
+  );
+  assert.deepEqual(
+    validateFilter(source({ and: [{ field: "Status", op: "=", value: "x" }], or: [] })).map((e) => e.path),
+    ["$.source.filter"]
+  );
+  assert.deepEqual(
+    validateFilter(source(["Status = 'x'"])).map((e) => e.path),
+    ["$.source.filter[0]"]
+  );
+});
+
+test("only accepts a raw filter with rawFilter: true", () => {
+  const [error] = validateFilter(source("Status = 'Closed'"));
+  assert.match(error.message, /rawFilter: true/);
+
+  const raw = { ...source("Status = 'Closed'"), rawFilter: true };
+  assert.deepEqual(validateFilter(raw), []);
+  assert.equal(toWhereClause(raw), "Status = 'Closed'");
+});
+
+test("refuses raw filters that could end or escape the statement", () => {
+  assert.deepEqual(checkRawFilter("Status = 'a;b' AND (Subject LIKE '--%')"), []);
+  assert.deepEqual(checkRawFilter("Subject = 'it\\'s'"), []);
+
+  assert.deepEqual(checkRawFilter("WHERE Status = 'x'"), ["omit the WHERE keyword"]);
+  assert.deepEqual(checkRawFilter("Status = 'x'; DELETE"), ["must not contain ';'"]);
+  assert.deepEqual(checkRawFilter("Status = 'x' -- comment"), ["must not contain comments"]);
+  assert.deepEqual(checkRawFilter("Status = 'x' /* comment */"), ["must not contain comments"]);
+  assert.deepEqual(checkRawFilter("Status = 'x"), ["unterminated string literal"]);
+  assert.deepEqual(checkRawFilter("Status = 'x\\'"), ["unterminated string literal"]);
+  assert.deepEqual(checkRawFilter("(Status = 'x'"), ['1 unclosed "("']);
+  assert.deepEqual(checkRawFilter("Status = 'x')"), ['unmatched ")" at position 13']);
+});
@@ -0,0 +1,87 @@
+/**
+ * InsightFlow - Template Engine tests
+ * Placeholders, filters, blocks, special names and template validation
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { render, validateTemplate, formatRecordData } = require("../src/functions/templateEngine");
+
+const record = {
+  Id: "500xx01",
+  Subject: "Login fails",
+  Description: "",
+  IsEscalated: true,
+  Priority: null,
+  CreatedDate: "2026-03-01T09:05:07.000Z",
+  Account: { Name: "Contoso" },
+  "Owner.Name": "Dana",
+  Contacts: [{ Name: "Ann" }, { Name: "Bob" }],
+  Tags: ["billing", "login"],
+};
+
+test("renders fields, nested and flattened relationship paths, any case", () => {
+  assert.equal(render("{{Subject}} / {{account.name}} / {{Owner.Name}}", record), "Login fails / Contoso / Dana");
+});
+
+test("renders N/A for missing or empty values unless a default is given", () => {
+  assert.equal(render("{{Priority}} {{Description}} {{Missing}}", record), "N/A N/A N/A");
+  assert.equal(render('{{Priority | default: "none"}} {{Description | default}}|', record), "none |");
+});
+
+test("applies filters in order", () => {
+  assert.equal(render("{{Subject | upper | truncate: 8}}", record), "LOGIN...");
+  assert.equal(render("{{CreatedDate | date}} {{CreatedDate | date: 'HH:mm:ss'}}", record), "2026-03-01 09:05:07");
+  assert.equal(render("{{CreatedDate | date: \"iso\"}}", record), "2026-03-01T09:05:07.000Z");
+  assert.equal(render('{{Tags | join: " + "}} {{Tags}}', record), "billing + login billing, login");
+  assert.equal(render("{{Account | json}}", record), '{"Name":"Contoso"}');
+  assert.equal(render('{{Subject | default: "a | b" | lower}}', record), "login fails");
+});
+
+test("renders if/else, unless and each blocks", () => {
+  assert.equal(render("{{#if IsEscalated}}yes{{else}}no{{/if}}", record), "yes");
+  assert.equal(render("{{#if Priority}}yes{{else}}no{{/if}}", record), "no");
+  assert.equal(render("{{#unless Priority}}unset{{/unless}}", record), "unset");
+  assert.equal(
+    render("{{#each Contacts}}{{@index}}. {{Name}} of {{Subject}}{{#unless @last}}; {{/unless}}{{/each}}", record),
+    "0. Ann of Login fails; 1. Bob of Login fails"
+  );
+  assert.equal(render("{{#each Tags}}[{{this}}]{{/each}}", record), "[billing][login]");
+  assert.equal(render("{{#each Missing}}x{{else}}none{{/each}}", record), "none");
+});
+
+test("renders the special record names, comments and escaped tags", () => {
+  assert.equal(render("{{RECORD_DATA}}", { A: 1, B: null }), "A: 1\nB: N/A");
+  assert.equal(render("{{record}}", { A: 1 }), "A: 1");
+  assert.equal(render("{{RECORD_JSON}}", { A: 1 }), '{\n  "A": 1\n}');
+  assert.equal(render("a{{! ignored }}b \\{{Subject}}", record), "ab {{Subject}}");
+});
+
+test("formats record data with nested values as JSON", () => {
+  assert.equal(formatRecordData({ A: "x", B: [1, 2], C: { D: 1 } }), 'A: x\nB: 1, 2\nC: {"D":1}');
+});
+
+test("throws on template syntax errors", () => {
+  assert.throws(() => render("{{#if Subject}}x", record), /Unclosed \{\{#if Subject\}\}/);
+  assert.throws(() => render("x{{/if}}", record), /Unexpected \{\{\/if\}\} at position 1/);
+  assert.throws(() => render("{{#with Subject}}{{/with}}", record), /Unknown block/);
+  assert.throws(() => render("{{Subject | shout}}", record), /Unknown filter "shout"/);
+  assert.throws(() => render("{{Sub ject}}", record), /Invalid placeholder/);
+  assert.throws(() => render("{{Subject | truncate: ten}}", record), /Invalid filter arguments/);
+});
+
+test("validates syntax and that placeholders refer to requested fields", () => {
+  assert.deepEqual(validateTemplate(42), ["template must be a string"]);
+  assert.deepEqual(validateTemplate("{{#if x}}"), ["Unclosed {{#if x}}"]);
+  assert.deepEqual(validateTemplate("{{Anything}}"), []);
+
+  const fields = ["Subject", "Account.Name", "Contacts"];
+  assert.deepEqual(
+    validateTemplate("{{subject}} {{Account.Name}} {{Account}} {{RECORD_DATA}} {{#each Contacts}}{{Name}}{{/each}}", fields),
+    []
+  );
+  assert.deepEqual(validateTemplate("{{Status}} {{#if Status}}{{Status}}{{/if}}", fields), [
+    "{{Status}} does not refer to a requested field",
+  ]);
+});